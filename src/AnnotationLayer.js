@@ -0,0 +1,635 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/AnnotationLayer.js
+ * PURPOSE: Notes pinned to points on the model
+ *
+ * DESCRIPTION:
+ * Lets instructors pin notes to surface points ("check this joint for
+ * wobble"):
+ * - "Add Pin" mode: click a point on the model, type the note, press Enter
+ * - Pins are attached to the part they were placed on, so they move with
+ *   it in the exploded view
+ * - Clicking a pin shows its note; the Notes dropdown lists all pins
+ * - Notes are saved in localStorage per system and can be exported and
+ *   imported as JSON files
+ *
+ * FILE FORMAT (export/import):
+ *   {
+ *       "system": "table",
+ *       "version": 1,
+ *       "annotations": [
+ *           { "id": "...", "partId": "Table_Leg_1", "point": { "x": 0, "y": 0.1, "z": 0 },
+ *             "text": "Check this joint for wobble", "createdAt": "2025-01-01T12:00:00.000Z" }
+ *       ]
+ *   }
+ * `point` is in the part's local coordinates.
+ *
+ * USAGE:
+ *   const annotations = new AnnotationLayer(viewer, systemConfig.id)
+ *   renderAnnotationPanel('notes-content', annotations)
+ *
+ * STYLING:
+ * See viewer.css for pin, note and panel styling (.annotation-pin, .annotation-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - converting pin points between part and world space
+import * as THREE from 'three'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** localStorage key prefix (followed by the system ID) */
+const STORAGE_KEY_PREFIX = 'tnkr-annotations:'
+
+/** Version of the export file format */
+const FILE_VERSION = 1
+
+/** Annotation IDs as created by createId(): a UUID, or "<time>-<random>" in base 36 */
+const ID_PATTERN = /^(?:[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}|[0-9a-z]+-[0-9a-z]+)$/
+
+/**
+ * @typedef {Object} Annotation
+ * @property {string} id - Unique ID
+ * @property {string} partId - Name of the mesh the pin is attached to
+ * @property {{x: number, y: number, z: number}} point - Pin position in the part's local coordinates
+ * @property {string} text - The note
+ * @property {string} createdAt - ISO timestamp
+ */
+
+/**
+ * Create a unique annotation ID.
+ *
+ * @returns {string} Random ID
+ * @private
+ */
+function createId() {
+    return crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * Check that an imported or stored value is a usable annotation.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if it has a well-formed ID, part, numeric point and text
+ * @private
+ */
+function isAnnotation(value) {
+    return Boolean(value) &&
+        typeof value.id === 'string' &&
+        ID_PATTERN.test(value.id) &&
+        typeof value.partId === 'string' &&
+        typeof value.text === 'string' &&
+        ['x', 'y', 'z'].every(axis => Number.isFinite(value.point?.[axis]))
+}
+
+/**
+ * AnnotationLayer Class
+ *
+ * Owns the pinned notes of one system in one SystemViewer.
+ *
+ * @example
+ * const layer = new AnnotationLayer(viewer, 'table')
+ * layer.setPlacing(true)    // Next click on the model drops a pin
+ * layer.exportJson()        // '{ "system": "table", ... }'
+ */
+export class AnnotationLayer {
+    /**
+     * Create the annotation layer and load saved notes.
+     *
+     * @param {SystemViewer} viewer - The viewer to pin notes in (model must be loaded)
+     * @param {string} systemId - System ID (notes are stored per system)
+     */
+    constructor(viewer, systemId) {
+        /** @type {SystemViewer} The viewer showing the pins */
+        this.viewer = viewer
+
+        /** @type {string} System the notes belong to */
+        this.systemId = systemId
+
+        /** @type {Annotation[]} All notes */
+        this.annotations = []
+
+        /** @type {boolean} Whether the next click drops a pin */
+        this.placing = false
+
+        /** @type {string|null} ID of the note whose text is shown on the canvas */
+        this.openId = null
+
+        /**
+         * @type {function(): void|null}
+         * Called when notes are added, edited or removed, or the mode changes
+         */
+        this.onChange = null
+
+        /** @type {Map<string, HTMLElement>} Pin element per annotation ID */
+        this.pins = new Map()
+
+        /** @type {HTMLElement|null} Text editor of the pin being written */
+        this.editor = null
+
+        /** @type {Annotation|null} Pin that was dropped but not saved yet */
+        this.draft = null
+
+        /** @type {function(THREE.Intersection|null): void} Click handler registered with the viewer */
+        this._boundPick = this.onPick.bind(this)
+
+        // Reusable vectors for the per-frame update
+        this._tempPoint = new THREE.Vector3()
+
+        this.annotations = this.load()
+        this.annotations.forEach(annotation => this.createPin(annotation))
+
+        // Follow the parts and the camera every frame
+        viewer.addFrameListener(this.update.bind(this))
+    }
+
+    /**
+     * Turn pin placement on or off.
+     *
+     * While on, canvas clicks drop pins instead of selecting parts.
+     *
+     * @param {boolean} placing - Whether the next click drops a pin
+     */
+    setPlacing(placing) {
+        this.placing = placing
+
+        if (placing) {
+            // Another tool taking the clicks turns placement off
+            this.viewer.setPickHandler(this._boundPick, () => this.setPlacing(false))
+        } else {
+            this.viewer.releasePickHandler(this._boundPick)
+        }
+        this.viewer.canvas.classList.toggle('pinning', placing)
+
+        this.notifyChange()
+    }
+
+    /**
+     * Drop a pin where the model was clicked and open its editor.
+     *
+     * @param {THREE.Intersection|null} hit - Raycast hit (null = empty space)
+     * @private
+     */
+    onPick(hit) {
+        if (!hit || this.editor) return
+
+        const local = hit.object.worldToLocal(hit.point.clone())
+        const annotation = {
+            id: createId(),
+            partId: hit.object.name,
+            point: { x: local.x, y: local.y, z: local.z },
+            text: '',
+            createdAt: new Date().toISOString()
+        }
+
+        this.draft = annotation
+        this.createPin(annotation)
+        this.openEditor(annotation, true)
+    }
+
+    /**
+     * Show the text editor next to a pin.
+     *
+     * Enter saves, Shift+Enter adds a line, Escape cancels
+     * (which removes a new pin again).
+     *
+     * @param {Annotation} annotation - Note to edit
+     * @param {boolean} [isNew=false] - Whether the pin was just dropped
+     */
+    openEditor(annotation, isNew = false) {
+        this.closeEditor()
+
+        const pin = this.pins.get(annotation.id)
+        if (!pin) return
+
+        const editor = document.createElement('div')
+        editor.className = 'annotation-editor'
+        editor.innerHTML = `
+            <textarea rows="3" placeholder="Write a note..."></textarea>
+            <div class="annotation-editor-actions">
+                <button class="annotation-cancel">Cancel</button>
+                <button class="annotation-save">Save</button>
+            </div>
+        `
+        pin.appendChild(editor)
+        this.editor = editor
+
+        const textarea = editor.querySelector('textarea')
+        textarea.value = annotation.text
+
+        const save = () => {
+            const text = textarea.value.trim()
+            this.closeEditor()
+
+            if (!text) {
+                // An empty new pin is discarded, an emptied one keeps its old text
+                if (isNew) this.removePin(annotation.id)
+                return
+            }
+
+            annotation.text = text
+            if (isNew) this.annotations.push(annotation)
+            this.save()
+            this.notifyChange()
+        }
+        const cancel = () => {
+            this.closeEditor()
+            if (isNew) this.removePin(annotation.id)
+        }
+
+        editor.querySelector('.annotation-save').addEventListener('click', save)
+        editor.querySelector('.annotation-cancel').addEventListener('click', cancel)
+        textarea.addEventListener('keydown', (event) => {
+            event.stopPropagation()  // Keep Escape from leaving other modes
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault()
+                save()
+            } else if (event.key === 'Escape') {
+                cancel()
+            }
+        })
+
+        // Clicks in the editor must not reach the pin (which toggles the note)
+        editor.addEventListener('click', event => event.stopPropagation())
+
+        textarea.focus()
+    }
+
+    /**
+     * Close the text editor without saving.
+     *
+     * @private
+     */
+    closeEditor() {
+        if (this.editor) this.editor.remove()
+        this.editor = null
+        this.draft = null
+    }
+
+    /**
+     * Edit an existing note.
+     *
+     * @param {string} id - Annotation ID
+     */
+    edit(id) {
+        const annotation = this.annotations.find(a => a.id === id)
+        if (annotation) this.openEditor(annotation)
+    }
+
+    /**
+     * Delete a note.
+     *
+     * @param {string} id - Annotation ID
+     */
+    remove(id) {
+        this.annotations = this.annotations.filter(a => a.id !== id)
+        this.removePin(id)
+        this.save()
+        this.notifyChange()
+    }
+
+    /**
+     * Delete all notes of this system.
+     */
+    clear() {
+        this.closeEditor()
+        this.pins.forEach(pin => pin.remove())
+        this.pins.clear()
+        this.annotations = []
+        this.save()
+        this.notifyChange()
+    }
+
+    /**
+     * Show a note's text on the canvas (and hide the others).
+     *
+     * @param {string|null} id - Annotation ID, or null to hide all
+     */
+    openNote(id) {
+        this.openId = id
+        this.pins.forEach((pin, pinId) => pin.classList.toggle('open', pinId === id))
+    }
+
+    /**
+     * Fly the camera to the part a note is pinned to and show the note.
+     *
+     * @param {string} id - Annotation ID
+     */
+    focus(id) {
+        const annotation = this.annotations.find(a => a.id === id)
+        if (!annotation) return
+
+        this.viewer.frameParts(annotation.partId)
+        this.openNote(id)
+    }
+
+    /**
+     * Get the display name of the part a note is pinned to.
+     *
+     * @param {Annotation} annotation - The note
+     * @returns {string} Part name (or mesh name if not in the config)
+     */
+    getPartName(annotation) {
+        return this.viewer.partTree.get(annotation.partId)?.name || annotation.partId
+    }
+
+    /**
+     * Create the pin element of a note on the canvas.
+     *
+     * @param {Annotation} annotation - The note
+     * @private
+     */
+    createPin(annotation) {
+        const pin = document.createElement('div')
+        pin.className = 'annotation-pin'
+        pin.innerHTML = `<i class="ph-fill ph-push-pin"></i><div class="annotation-note"></div>`
+
+        pin.addEventListener('click', () => {
+            this.openNote(this.openId === annotation.id ? null : annotation.id)
+        })
+
+        this.viewer._viewerContainer?.appendChild(pin)
+        this.pins.set(annotation.id, pin)
+    }
+
+    /**
+     * Remove the pin element of a note.
+     *
+     * @param {string} id - Annotation ID
+     * @private
+     */
+    removePin(id) {
+        const pin = this.pins.get(id)
+        if (pin?.contains(this.editor)) this.closeEditor()
+        if (pin) pin.remove()
+        this.pins.delete(id)
+        if (this.openId === id) this.openId = null
+    }
+
+    /**
+     * Move the pins to follow their parts. Runs every frame.
+     *
+     * @private
+     */
+    update() {
+        if (this.pins.size === 0) return
+
+        const canvas = this.viewer.canvas
+        const notes = new Map(this.annotations.map(a => [a.id, a]))
+
+        // Explosion may have moved parts since the last render
+        this.viewer.model.updateMatrixWorld()
+
+        this.pins.forEach((pin, id) => {
+            // A new pin is not in the list until it is saved
+            const annotation = notes.get(id) || (this.draft?.id === id ? this.draft : null)
+            const part = annotation && this.viewer.parts.get(annotation.partId)
+
+            // Pins on missing or hidden parts are not shown
+            if (!part || !part.visible) {
+                pin.style.display = 'none'
+                return
+            }
+
+            const { x, y, z } = annotation.point
+            this._tempPoint.set(x, y, z)
+            part.localToWorld(this._tempPoint).project(this.viewer.camera)
+
+            // Hide pin if the point is behind the camera
+            if (this._tempPoint.z > 1) {
+                pin.style.display = 'none'
+                return
+            }
+
+            pin.style.display = 'block'
+            pin.style.left = (this._tempPoint.x * 0.5 + 0.5) * canvas.clientWidth + 'px'
+            pin.style.top = (-this._tempPoint.y * 0.5 + 0.5) * canvas.clientHeight + 'px'
+
+            const note = pin.querySelector('.annotation-note')
+            if (note.textContent !== annotation.text) note.textContent = annotation.text
+        })
+    }
+
+    // =========================================================================
+    // PERSISTENCE
+    // =========================================================================
+
+    /**
+     * Read the saved notes of this system from localStorage.
+     *
+     * @returns {Annotation[]} Saved notes (empty if none or unreadable)
+     * @private
+     */
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY_PREFIX + this.systemId) || '[]')
+            return Array.isArray(stored) ? stored.filter(isAnnotation) : []
+        } catch (err) {
+            console.warn('Could not read saved annotations:', err)
+            return []
+        }
+    }
+
+    /**
+     * Write the notes of this system to localStorage.
+     *
+     * @private
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY_PREFIX + this.systemId, JSON.stringify(this.annotations))
+        } catch (err) {
+            // Storage full or disabled (e.g., private browsing) - notes stay for this session
+            console.warn('Could not save annotations:', err)
+        }
+    }
+
+    /**
+     * Export all notes as a JSON document.
+     *
+     * @returns {string} JSON in the export file format
+     */
+    exportJson() {
+        return JSON.stringify({
+            system: this.systemId,
+            version: FILE_VERSION,
+            annotations: this.annotations
+        }, null, 2)
+    }
+
+    /**
+     * Import notes from a JSON document (added to the existing ones).
+     *
+     * Notes with an ID that already exists, that are malformed, or that
+     * are pinned to a part this model does not have, are skipped. A file exported from another system is rejected.
+     *
+     * @param {string} json - JSON in the export file format
+     * @returns {{added: number, skipped: number}} How many notes were imported
+     * @throws {Error} If the JSON is invalid or belongs to another system
+     */
+    importJson(json) {
+        const data = JSON.parse(json)
+
+        if (!data || !Array.isArray(data.annotations)) {
+            throw new Error('Not an annotations file')
+        }
+        if (data.system && data.system !== this.systemId) {
+            throw new Error(`These notes belong to "${data.system}"`)
+        }
+
+        const existing = new Set(this.annotations.map(a => a.id))
+        let added = 0
+
+        data.annotations.forEach(item => {
+            if (!isAnnotation(item) || existing.has(item.id)) return
+            if (!this.viewer.parts.has(item.partId)) return
+
+            const annotation = {
+                id: item.id,
+                partId: item.partId,
+                point: { x: item.point.x, y: item.point.y, z: item.point.z },
+                text: item.text,
+                createdAt: item.createdAt || new Date().toISOString()
+            }
+            this.annotations.push(annotation)
+            this.createPin(annotation)
+            existing.add(annotation.id)
+            added++
+        })
+
+        this.save()
+        this.notifyChange()
+
+        return { added, skipped: data.annotations.length - added }
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the notes controls into a container.
+ *
+ * Shows the "Add Pin" toggle, the list of notes (click to fly to a note,
+ * edit, delete), and export/import/clear actions.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'notes-content')
+ * @param {AnnotationLayer} layer - The annotation layer to control
+ */
+export function renderAnnotationPanel(containerId, layer) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    /** @type {string} Result of the last import (shown until the next render) */
+    let status = ''
+
+    const render = () => {
+        /**
+         * Panel structure:
+         * - button.annotation-add: Toggle pin placement
+         * - ul.annotation-list: Notes with part name and actions
+         * - div.annotation-file: Export / Import / Clear
+         */
+        container.innerHTML = `
+            <div class="annotation-panel">
+                <button class="action-btn annotation-add${layer.placing ? ' active' : ''}">
+                    <i class="ph ph-push-pin"></i> ${layer.placing ? 'Click the Model to Pin' : 'Add Pin'}
+                </button>
+                ${layer.annotations.length > 0 ? `
+                    <ul class="annotation-list">
+                        ${layer.annotations.map((a, i) => `
+                            <li>
+                                <span class="annotation-index">${i + 1}</span>
+                                <div class="annotation-body">
+                                    <span class="annotation-text"></span>
+                                    <span class="annotation-part"></span>
+                                </div>
+                                <button class="annotation-action annotation-edit" title="Edit"><i class="ph ph-pencil-simple"></i></button>
+                                <button class="annotation-action annotation-delete" title="Delete"><i class="ph ph-trash"></i></button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="dropdown-placeholder">No notes yet.</p>'}
+                <div class="annotation-file">
+                    <button class="annotation-export" ${layer.annotations.length === 0 ? 'disabled' : ''}>Export</button>
+                    <button class="annotation-import">Import</button>
+                    <button class="annotation-clear" ${layer.annotations.length === 0 ? 'disabled' : ''}>Clear</button>
+                    <input type="file" accept=".json,application/json" hidden>
+                </div>
+                <p class="annotation-status" ${status ? '' : 'hidden'}></p>
+            </div>
+        `
+        // May contain the system name from an imported file - set as text
+        container.querySelector('.annotation-status').textContent = status
+        status = ''
+
+        container.querySelector('.annotation-add').addEventListener('click', () => {
+            layer.setPlacing(!layer.placing)
+        })
+
+        container.querySelectorAll('.annotation-list li').forEach((item, i) => {
+            const annotation = layer.annotations[i]
+            const id = annotation.id
+            item.dataset.id = id
+
+            // Note text and part names come from users and model files - set as text, not HTML
+            item.querySelector('.annotation-text').textContent = annotation.text
+            item.querySelector('.annotation-part').textContent = layer.getPartName(annotation)
+
+            item.addEventListener('click', () => layer.focus(id))
+            item.querySelector('.annotation-edit').addEventListener('click', (e) => {
+                e.stopPropagation()
+                layer.edit(id)
+            })
+            item.querySelector('.annotation-delete').addEventListener('click', (e) => {
+                e.stopPropagation()
+                layer.remove(id)
+            })
+        })
+
+        // ===== EXPORT: download a .json file =====
+        container.querySelector('.annotation-export').addEventListener('click', () => {
+            const blob = new Blob([layer.exportJson()], { type: 'application/json' })
+            const link = document.createElement('a')
+            link.href = URL.createObjectURL(blob)
+            link.download = `${layer.systemId}-notes.json`
+            link.click()
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+        })
+
+        // ===== IMPORT: read a .json file =====
+        const fileInput = container.querySelector('input[type="file"]')
+        container.querySelector('.annotation-import').addEventListener('click', () => fileInput.click())
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0]
+            if (!file) return
+
+            try {
+                const { added, skipped } = layer.importJson(await file.text())
+                status = `Imported ${added} note${added === 1 ? '' : 's'}` + (skipped ? `, skipped ${skipped}` : '')
+            } catch (err) {
+                status = `Import failed: ${err.message}`
+            }
+            render()
+        })
+
+        container.querySelector('.annotation-clear').addEventListener('click', () => {
+            if (confirm('Delete all notes for this system?')) layer.clear()
+        })
+    }
+
+    layer.onChange = render
+    render()
+}
@@ -0,0 +1,552 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/AppearanceTool.js
+ * PURPOSE: Material finishes, environment lighting and background
+ *
+ * DESCRIPTION:
+ * Lets users change how the model looks without touching the GLB:
+ * - Material presets: finishes defined per group of parts in the system
+ *   config (wood species, metal finishes), switched at runtime
+ * - Lighting: the default three-point lights, or image-based lighting from
+ *   an environment map (studio, outdoor, neutral)
+ * - Background: a solid color, a vertical gradient, or the environment
+ *
+ * The studio and outdoor environments are photographed HDRIs (512 × 256
+ * OpenEXR) bundled in public/environments/ (no network needed); see the
+ * README there for their source and license (CC0). The neutral
+ * environment is Three.js' RoomEnvironment.
+ *
+ * MATERIAL PRESETS CONFIG FORMAT:
+ *   materialPresets: [
+ *       {
+ *           id: 'frame',
+ *           name: 'Frame Finish',
+ *           parts: ['Table_Leg_1', 'Table_Leg_2'],   // Parts or assemblies
+ *           options: [
+ *               { id: 'natural', name: 'Natural' },   // No properties = as modelled
+ *               { id: 'black', name: 'Black Lacquer', color: '#1b1b1b', roughness: 0.35 }
+ *           ]
+ *       }
+ *   ]
+ *
+ * An option can set color, metalness, roughness and opacity. The option
+ * marked `default` (or the first one) is applied when the model loads.
+ *
+ * DEFAULTS PER SYSTEM (optional):
+ *   appearance: {
+ *       environment: 'studio',
+ *       background: { mode: 'gradient', color: '#2b2f3a', color2: '#0a0a0a' }
+ *   }
+ *
+ * USAGE:
+ *   const appearance = new AppearanceTool(viewer, systemConfig)
+ *   renderAppearancePanel('appearance-content', appearance)
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.appearance-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - environment maps and background textures
+import * as THREE from 'three'
+
+// EXR Loader - loads the bundled OpenEXR environment maps
+import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js'
+
+// Room Environment - procedural neutral studio room
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Lighting presets.
+ * - lights: Whether the default three-point lights stay on
+ * - file: Equirectangular OpenEXR in public/ (image-based lighting)
+ * - room: Use RoomEnvironment instead of a file
+ * - intensity: Environment intensity
+ * @type {Array<{id: string, name: string, lights: boolean, file?: string, room?: boolean, intensity?: number}>}
+ */
+export const ENVIRONMENT_PRESETS = [
+    { id: 'default', name: 'Default', lights: true },
+    { id: 'studio', name: 'Studio', lights: false, file: '/environments/studio.exr', intensity: 1 },
+    { id: 'outdoor', name: 'Outdoor', lights: false, file: '/environments/outdoor.exr', intensity: 0.6 },
+    { id: 'neutral', name: 'Neutral', lights: false, room: true, intensity: 0.8 }
+]
+
+/** Background modes shown in the panel ('environment' needs an environment map) */
+const BACKGROUND_MODES = [
+    { mode: 'color', label: 'Color' },
+    { mode: 'gradient', label: 'Gradient' },
+    { mode: 'environment', label: 'Environment' }
+]
+
+/** Second gradient color when none is configured */
+const DEFAULT_GRADIENT_COLOR = '#2b2f3a'
+
+/** Blur of the environment when it is shown as background (0-1) */
+const ENVIRONMENT_BACKGROUND_BLURRINESS = 0.4
+
+/** Height of the gradient texture in pixels */
+const GRADIENT_TEXTURE_SIZE = 256
+
+/**
+ * @typedef {Object} BackgroundSettings
+ * @property {'color'|'gradient'|'environment'} mode - Kind of background
+ * @property {string} color - Solid color, or top color of the gradient (CSS hex)
+ * @property {string} color2 - Bottom color of the gradient (CSS hex)
+ */
+
+/**
+ * Create a vertical gradient texture for the scene background.
+ *
+ * @param {string} top - Color at the top (CSS color)
+ * @param {string} bottom - Color at the bottom (CSS color)
+ * @returns {THREE.CanvasTexture} Texture stretched over the viewport by the renderer
+ * @private
+ */
+function createGradientTexture(top, bottom) {
+    const canvas = document.createElement('canvas')
+    canvas.width = 2
+    canvas.height = GRADIENT_TEXTURE_SIZE
+
+    const ctx = canvas.getContext('2d')
+    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height)
+    gradient.addColorStop(0, top)
+    gradient.addColorStop(1, bottom)
+    ctx.fillStyle = gradient
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+    const texture = new THREE.CanvasTexture(canvas)
+    texture.colorSpace = THREE.SRGBColorSpace
+    return texture
+}
+
+/**
+ * AppearanceTool Class
+ *
+ * Holds the selected finishes, lighting and background and applies them
+ * to one or more viewers (finishes only apply to the main viewer's parts).
+ *
+ * @example
+ * const appearance = new AppearanceTool(viewer, systems.table)
+ * appearance.setMaterialPreset('frame', 'black')
+ * await appearance.setEnvironment('studio')
+ * appearance.setBackground({ mode: 'gradient', color: '#2b2f3a', color2: '#000000' })
+ */
+export class AppearanceTool {
+    /**
+     * Create the appearance tool and apply the system's defaults.
+     *
+     * @param {SystemViewer} viewer - The viewer whose parts get the finishes (model must be loaded)
+     * @param {Object} systemConfig - System configuration with `materialPresets` and `appearance`
+     */
+    constructor(viewer, systemConfig) {
+        /** @type {SystemViewer} Viewer whose parts get the finishes */
+        this.viewer = viewer
+
+        /** @type {SystemViewer[]} Viewers that share the lighting and background (split view) */
+        this.viewers = [viewer]
+
+        /** @type {Array<Object>} Material preset groups from the config */
+        this.materialPresets = Array.isArray(systemConfig.materialPresets) ? systemConfig.materialPresets : []
+
+        /** @type {Map<string, string>} Selected option ID per preset group */
+        this.selectedPresets = new Map()
+
+        /** @type {string} ID of the current lighting preset */
+        this.environment = 'default'
+
+        /** @type {BackgroundSettings} Current background */
+        this.background = {
+            mode: 'color',
+            color: '#' + viewer.scene.background.getHexString(),
+            color2: DEFAULT_GRADIENT_COLOR
+        }
+
+        /** @type {boolean} Whether an environment map is being loaded */
+        this.loading = false
+
+        /**
+         * @type {function(): void|null}
+         * Called when a finish, the lighting or the background changes
+         */
+        this.onChange = null
+
+        /** @type {Map<string, Promise<THREE.Texture>>} Loaded environment maps by preset ID */
+        this._environmentMaps = new Map()
+
+        /** @type {THREE.Texture|null} Environment map of the current lighting preset */
+        this._currentMap = null
+
+        /** @type {string|null} Lighting preset requested last (wins if loads finish out of order) */
+        this._pendingEnvironment = null
+
+        /** @type {THREE.Texture|null} Current gradient texture (disposed when replaced) */
+        this._gradientTexture = null
+
+        // ===== SYSTEM DEFAULTS =====
+        this.applyMaterialPresets(new Map())
+
+        const defaults = systemConfig.appearance || {}
+        if (defaults.background) this.setBackground(defaults.background)
+        if (defaults.environment) {
+            this.setEnvironment(defaults.environment).catch(err => {
+                console.error('Could not load environment:', err)
+            })
+        }
+    }
+
+    /**
+     * Share the lighting and background with another viewer
+     * (e.g., the compared system in the split view).
+     *
+     * @param {SystemViewer} viewer - Viewer to add
+     */
+    addViewer(viewer) {
+        this.viewers.push(viewer)
+        this.applyEnvironment(this._currentMap)
+        this.applyBackground()
+    }
+
+    // =========================================================================
+    // MATERIAL PRESETS
+    // =========================================================================
+
+    /**
+     * Apply a finish to the parts of a preset group.
+     *
+     * @param {string} groupId - ID of a group in `materialPresets`
+     * @param {string} optionId - ID of one of the group's options
+     * @returns {boolean} False if the group or option doesn't exist
+     */
+    setMaterialPreset(groupId, optionId) {
+        const group = this.materialPresets.find(g => g.id === groupId)
+        const option = group?.options?.find(o => o.id === optionId)
+        if (!option) return false
+
+        // Only the surface properties (not id, name, default)
+        const { id, name, default: isDefault, ...props } = option
+        this.viewer.setMaterialOverride(group.parts || [], Object.keys(props).length > 0 ? props : null)
+        this.selectedPresets.set(groupId, optionId)
+
+        this.notifyChange()
+        return true
+    }
+
+    /**
+     * Apply a finish to every preset group: the given option where the
+     * group still has it, otherwise the group's default (or first) option.
+     *
+     * @param {Map<string, string>} selected - Option ID per group ID to keep
+     * @private
+     */
+    applyMaterialPresets(selected) {
+        this.materialPresets.forEach(group => {
+            const options = group.options || []
+            const option = options.find(o => o.id === selected.get(group.id)) ||
+                options.find(o => o.default) || options[0]
+            if (option) this.setMaterialPreset(group.id, option.id)
+        })
+    }
+
+    /**
+     * Follow a new system config (e.g., after a variant change).
+     *
+     * The picked finishes are kept and put on the parts of the new config,
+     * so a part a variant swaps in gets the finish of the part it replaces.
+     *
+     * @param {Object} systemConfig - The viewer's current system configuration
+     */
+    refresh(systemConfig) {
+        // Finishes are stored per mesh: take them off the old groups' parts first
+        this.materialPresets.forEach(group => this.viewer.setMaterialOverride(group.parts || [], null))
+
+        const selected = new Map(this.selectedPresets)
+        this.selectedPresets.clear()
+        this.materialPresets = Array.isArray(systemConfig.materialPresets) ? systemConfig.materialPresets : []
+        this.applyMaterialPresets(selected)
+
+        this.notifyChange()
+    }
+
+    // =========================================================================
+    // LIGHTING
+    // =========================================================================
+
+    /**
+     * Load the environment map of a lighting preset (cached).
+     *
+     * @param {Object} preset - Entry of ENVIRONMENT_PRESETS
+     * @returns {Promise<THREE.Texture|null>} Environment map, or null for the default lights
+     * @private
+     */
+    loadEnvironmentMap(preset) {
+        if (!preset.file && !preset.room) return Promise.resolve(null)
+
+        if (!this._environmentMaps.has(preset.id)) {
+            const promise = preset.room
+                ? Promise.resolve(this.createRoomEnvironment())
+                : new EXRLoader().loadAsync(preset.file).then(texture => {
+                    texture.mapping = THREE.EquirectangularReflectionMapping
+                    return texture
+                })
+
+            // Allow a retry after a failed load
+            promise.catch(() => this._environmentMaps.delete(preset.id))
+            this._environmentMaps.set(preset.id, promise)
+        }
+
+        return this._environmentMaps.get(preset.id)
+    }
+
+    /**
+     * Render RoomEnvironment into a prefiltered environment map.
+     *
+     * @returns {THREE.Texture} Environment map
+     * @private
+     */
+    createRoomEnvironment() {
+        const pmrem = new THREE.PMREMGenerator(this.viewer.renderer)
+        const room = new RoomEnvironment()
+        const texture = pmrem.fromScene(room, 0.04).texture
+
+        room.dispose()
+        pmrem.dispose()
+        return texture
+    }
+
+    /**
+     * Switch the lighting preset.
+     *
+     * @param {string} presetId - ID from ENVIRONMENT_PRESETS
+     * @returns {Promise<boolean>} False if the preset doesn't exist; rejects if the map fails to load
+     */
+    async setEnvironment(presetId) {
+        const preset = ENVIRONMENT_PRESETS.find(p => p.id === presetId)
+        if (!preset) return false
+
+        this._pendingEnvironment = presetId
+        this.loading = true
+        this.notifyChange()
+
+        try {
+            const map = await this.loadEnvironmentMap(preset)
+
+            // A later selection may have finished first
+            if (this._pendingEnvironment !== presetId) return true
+
+            this.environment = presetId
+            this._currentMap = map
+            this.applyEnvironment(map)
+
+            // Without a map there is nothing to show behind the model
+            if (!map && this.background.mode === 'environment') {
+                this.background = { ...this.background, mode: 'color' }
+            }
+            this.applyBackground()
+            return true
+        } finally {
+            if (this._pendingEnvironment === presetId) this.loading = false
+            this.notifyChange()
+        }
+    }
+
+    /**
+     * Put the current environment map and lights into every viewer.
+     *
+     * @param {THREE.Texture|null} map - Environment map (null = default lights)
+     * @private
+     */
+    applyEnvironment(map) {
+        const preset = ENVIRONMENT_PRESETS.find(p => p.id === this.environment)
+
+        this.viewers.forEach(v => {
+            v.scene.environment = map
+            v.scene.environmentIntensity = preset.intensity ?? 1
+            v.lights.forEach(light => { light.visible = preset.lights })
+        })
+    }
+
+    // =========================================================================
+    // BACKGROUND
+    // =========================================================================
+
+    /**
+     * Change the background.
+     *
+     * @param {Partial<BackgroundSettings>} settings - Settings to change (the rest are kept)
+     */
+    setBackground(settings) {
+        this.background = { ...this.background, ...settings }
+
+        // The environment can only be shown if there is one
+        if (this.background.mode === 'environment' && !this._currentMap) {
+            this.background.mode = 'color'
+        }
+
+        this.applyBackground()
+        this.notifyChange()
+    }
+
+    /**
+     * Put the current background into every viewer.
+     *
+     * @private
+     */
+    applyBackground() {
+        const { mode, color, color2 } = this.background
+
+        if (this._gradientTexture) {
+            this._gradientTexture.dispose()
+            this._gradientTexture = null
+        }
+        if (mode === 'gradient') {
+            this._gradientTexture = createGradientTexture(color, color2)
+        }
+
+        this.viewers.forEach(v => {
+            if (mode === 'environment') {
+                v.scene.background = this._currentMap
+                v.scene.backgroundBlurriness = ENVIRONMENT_BACKGROUND_BLURRINESS
+            } else {
+                v.scene.background = mode === 'gradient' ? this._gradientTexture : new THREE.Color(color)
+                v.scene.backgroundBlurriness = 0
+            }
+        })
+    }
+
+    /**
+     * Check whether the background can show the environment.
+     *
+     * @returns {boolean} True if the lighting preset has an environment map
+     */
+    hasEnvironmentMap() {
+        return Boolean(this._currentMap)
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the appearance controls into a container.
+ *
+ * Shows a select per material preset group, the lighting presets and the
+ * background mode and colors.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'appearance-content')
+ * @param {AppearanceTool} tool - The tool to control
+ */
+export function renderAppearancePanel(containerId, tool) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const render = () => {
+        const { mode, color, color2 } = tool.background
+
+        /**
+         * Panel structure:
+         * - div.appearance-group (materials): One select per preset group
+         * - div.appearance-group (lighting): One button per lighting preset
+         * - div.appearance-group (background): Mode buttons and color inputs
+         */
+        container.innerHTML = `
+            <div class="appearance-panel">
+                ${tool.materialPresets.length > 0 ? `
+                    <div class="appearance-group">
+                        <h4>Materials</h4>
+                        ${tool.materialPresets.map(() => `
+                            <label class="appearance-row">
+                                <span></span>
+                                <select data-group=""></select>
+                            </label>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                <div class="appearance-group">
+                    <h4>Lighting ${tool.loading ? '<i class="ph ph-spinner appearance-loading"></i>' : ''}</h4>
+                    <div class="appearance-choices">
+                        ${ENVIRONMENT_PRESETS.map(preset => `
+                            <button class="action-btn ${tool.environment === preset.id ? 'active' : ''}" data-environment="${preset.id}"
+                                ${tool.loading ? 'disabled' : ''}>${preset.name}</button>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="appearance-group">
+                    <h4>Background</h4>
+                    <div class="appearance-choices">
+                        ${BACKGROUND_MODES.map(option => `
+                            <button class="action-btn ${mode === option.mode ? 'active' : ''}" data-mode="${option.mode}"
+                                ${option.mode === 'environment' && !tool.hasEnvironmentMap() ? 'disabled title="Pick Studio, Outdoor or Neutral lighting first"' : ''}>${option.label}</button>
+                        `).join('')}
+                    </div>
+                    ${mode !== 'environment' ? `
+                        <div class="appearance-colors">
+                            <input type="color" class="appearance-color" value="${color}" title="${mode === 'gradient' ? 'Top color' : 'Color'}">
+                            ${mode === 'gradient' ? `<input type="color" class="appearance-color2" value="${color2}" title="Bottom color">` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `
+
+        // Group and option names and IDs come from the config (possibly a runtime manifest) - set as text, not HTML
+        container.querySelectorAll('select[data-group]').forEach((select, index) => {
+            const group = tool.materialPresets[index]
+            select.previousElementSibling.textContent = group.name
+            select.dataset.group = group.id
+
+            const options = group.options || []
+            options.forEach(option => {
+                const element = document.createElement('option')
+                element.value = option.id
+                element.textContent = option.name
+                element.selected = tool.selectedPresets.get(group.id) === option.id
+                select.appendChild(element)
+            })
+
+            select.addEventListener('change', () => tool.setMaterialPreset(select.dataset.group, select.value))
+        })
+
+        container.querySelectorAll('[data-environment]').forEach(button => {
+            button.addEventListener('click', async () => {
+                try {
+                    await tool.setEnvironment(button.dataset.environment)
+                } catch (err) {
+                    console.error('Could not load environment:', err)
+                }
+            })
+        })
+
+        container.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => tool.setBackground({ mode: button.dataset.mode }))
+        })
+
+        // Colors update live while the picker is open, without re-rendering it away
+        const bindColor = (selector, key) => {
+            container.querySelector(selector)?.addEventListener('input', (e) => {
+                const onChange = tool.onChange
+                tool.onChange = null
+                tool.setBackground({ [key]: e.target.value })
+                tool.onChange = onChange
+            })
+        }
+        bindColor('.appearance-color', 'color')
+        bindColor('.appearance-color2', 'color2')
+    }
+
+    tool.onChange = render
+    render()
+}
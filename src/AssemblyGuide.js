@@ -0,0 +1,177 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/AssemblyGuide.js
+ * PURPOSE: Step-by-step assembly instructions in the Learn panel
+ *
+ * DESCRIPTION:
+ * This module renders the guided assembly mode into the Learn dropdown of the
+ * viewer sidebar. It is driven by the `steps` array of a system config and
+ * controls the SystemViewer's assembly mode:
+ * - Start: resets the model and shows step 1
+ * - Previous / Next: move between steps (parts animate into place,
+ *   parts not yet installed are ghosted)
+ * - Exit: restores the normal view
+ *
+ * Each step card shows the step number, title, instructions, the parts
+ * involved and any tools required.
+ *
+ * USAGE:
+ * This function is called from viewer.js after the model has loaded:
+ *   renderAssemblyGuide('learn-content', viewer, systemConfig, { onStart })
+ *
+ * STEP DATA FORMAT:
+ * Each step object may have:
+ * - title: Short step title
+ * - text: Instructions
+ * - parts: IDs of the parts (or assemblies) installed in this step
+ * - camera: Optional { position: {x, y, z}, target: {x, y, z} } view for the step
+ * - tools: Optional list of required tools (e.g., ['Screwdriver'])
+ *
+ * STYLING:
+ * See viewer.css for the guide styling (.assembly-guide, .assembly-step,
+ * .assembly-nav, .tool-chip)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/**
+ * Render the assembly guide into a container.
+ *
+ * If the system has no steps, the container shows the placeholder text
+ * (also replacing the guide of a variant that had steps).
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'learn-content')
+ * @param {SystemViewer} viewer - The viewer whose assembly mode is controlled
+ * @param {Object} systemConfig - System configuration with `steps` and `parts`
+ * @param {Object} [options] - Optional callbacks
+ * @param {function(): void} [options.onStart] - Called when the guide starts (e.g., to reset the slider)
+ * @param {function(): void} [options.onExit] - Called when the guide is closed
+ *
+ * @example
+ * renderAssemblyGuide('learn-content', viewer, systems.table, {
+ *     onStart: () => { slider.value = 0 }
+ * })
+ */
+export function renderAssemblyGuide(containerId, viewer, systemConfig, options = {}) {
+    // Get the container element from the DOM
+    const container = document.getElementById(containerId)
+
+    // Exit early if container doesn't exist
+    if (!container) return
+
+    // Nothing to teach: show the placeholder
+    const steps = systemConfig?.steps || []
+    if (steps.length === 0) {
+        container.innerHTML = '<p class="dropdown-placeholder">Learning content coming soon...</p>'
+        return
+    }
+
+    // Look up human-readable part names (e.g., "Table_Leg_1" -> "Leg 1")
+    const partNames = new Map((systemConfig.parts || []).map(part => [part.id, part.name]))
+
+    /**
+     * Show the intro card with the step count and a start button.
+     */
+    const renderIntro = () => {
+        container.innerHTML = `
+            <div class="assembly-guide">
+                <p class="assembly-text"></p>
+                <button class="action-btn assembly-start">
+                    <i class="ph ph-play"></i> Start Assembly Guide
+                </button>
+            </div>
+        `
+
+        // Config text (possibly from a runtime manifest) - set as text, not HTML
+        container.querySelector('.assembly-text').textContent =
+            `Build the ${systemConfig.name} step by step. ${steps.length} step${steps.length === 1 ? '' : 's'}.`
+
+        container.querySelector('.assembly-start').addEventListener('click', () => {
+            if (!viewer.startAssembly()) return
+            if (options.onStart) options.onStart()
+            renderStep()
+        })
+    }
+
+    /**
+     * Show the card for the viewer's current step with navigation buttons.
+     */
+    const renderStep = () => {
+        const index = viewer.assemblyStep
+        const step = steps[index]
+        const isFirst = index === 0
+        const isLast = index === steps.length - 1
+
+        /**
+         * Card structure:
+         * - div.assembly-progress: "Step n of N" and exit button
+         * - h3.assembly-title: Step title
+         * - p.assembly-text: Instructions
+         * - div.assembly-meta: Parts and tools as chips
+         * - div.assembly-nav: Previous / Next buttons
+         */
+        container.innerHTML = `
+            <div class="assembly-guide">
+                <div class="assembly-progress">
+                    <span>Step ${index + 1} of ${steps.length}</span>
+                    <button class="assembly-exit" title="Exit guide"><i class="ph ph-x"></i></button>
+                </div>
+                <h3 class="assembly-title"></h3>
+                <p class="assembly-text"></p>
+                <div class="assembly-meta">
+                    ${(step.parts || []).map(() => '<span class="tool-chip part-chip"></span>').join('')}
+                    ${(step.tools || []).map(() => '<span class="tool-chip"><i class="ph ph-wrench"></i> <span></span></span>').join('')}
+                </div>
+                <div class="assembly-nav">
+                    <button class="action-btn assembly-prev" ${isFirst ? 'disabled' : ''}>
+                        <i class="ph ph-caret-left"></i> Previous
+                    </button>
+                    <button class="action-btn assembly-next">
+                        ${isLast ? 'Finish' : 'Next'} <i class="ph ph-caret-right"></i>
+                    </button>
+                </div>
+            </div>
+        `
+
+        // Step text, tool and part names come from the config and model - set as text, not HTML
+        container.querySelector('.assembly-title').textContent = step.title || ''
+        container.querySelector('.assembly-text').textContent = step.text || ''
+        container.querySelectorAll('.part-chip').forEach((chip, i) => {
+            const id = step.parts[i]
+            chip.textContent = partNames.get(id) || id
+        })
+        container.querySelectorAll('.tool-chip:not(.part-chip) span').forEach((label, i) => {
+            label.textContent = step.tools[i]
+        })
+
+        container.querySelector('.assembly-prev').addEventListener('click', () => {
+            viewer.setAssemblyStep(index - 1)
+            renderStep()
+        })
+
+        container.querySelector('.assembly-next').addEventListener('click', () => {
+            if (isLast) {
+                exit()
+                return
+            }
+            viewer.setAssemblyStep(index + 1)
+            renderStep()
+        })
+
+        container.querySelector('.assembly-exit').addEventListener('click', exit)
+    }
+
+    /**
+     * Leave assembly mode and go back to the intro card.
+     */
+    const exit = () => {
+        viewer.exitAssembly()
+        if (options.onExit) options.onExit()
+        renderIntro()
+    }
+
+    renderIntro()
+}
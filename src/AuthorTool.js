@@ -0,0 +1,628 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/AuthorTool.js
+ * PURPOSE: Author mode - tune explode offsets and copy them into the config
+ *
+ * DESCRIPTION:
+ * Helps system authors write the `expandConfig` of a system:
+ * - Generate offsets (radial or along the principal axes, see
+ *   AutoExplode.js) and tune the distance and the gap between parts
+ *   while looking at the exploded model
+ * - Edit offsets part by part: click a part (or pick it in the list) and
+ *   drag it with the gizmo to where it should be in the exploded view,
+ *   or type the offset
+ * - Switch back to the offsets in the config to compare
+ * - Copy the offsets in use as a ready-to-paste `expandConfig` block for
+ *   data/systems.js, or download them with the parts list as JSON (the
+ *   format of a runtime manifest, see SystemLoader.js) and load such a
+ *   file again later
+ *
+ * Systems without an expandConfig start with generated offsets, so author
+ * mode opens on what the viewer already shows.
+ *
+ * Offsets are edited in the same coordinates as the config (the part's
+ * parent node) and keep their slider windows (`start`/`end`), so configs
+ * go in and out unchanged apart from the edited values.
+ *
+ * USAGE:
+ *   const author = new AuthorTool(viewer, systemConfig)
+ *   renderAuthorPanel('author-content', author)
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.author-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - model size for the offset fields
+import * as THREE from 'three'
+
+// Transform Controls - drag gizmo for the edited part
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js'
+
+// Auto Explode - offset generator and its settings
+import { DEFAULT_AUTO_EXPLODE, EXPLODE_MODES, generateExpandConfig } from './AutoExplode.js'
+
+// System Validator - checks imported offsets
+import { validateSystemConfig } from './SystemValidator.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Range of the distance slider (share of each part's distance from the centroid) */
+const DISTANCE_RANGE = { min: 0, max: 2, step: 0.05 }
+
+/** Range of the gap slider (share of the model size) */
+const GAP_RANGE = { min: 0, max: 0.3, step: 0.01 }
+
+/** Step of the offset fields (share of the model size) */
+const OFFSET_STEP = 0.001
+
+/** Indentation of the copied config (as in data/systems.js) */
+const INDENT = '    '
+
+/** Where the offsets in use come from, as shown in the panel */
+const SOURCE_LABELS = {
+    config: 'Showing the offsets from the system config.',
+    generated: 'Showing generated offsets.',
+    edited: 'Showing edited offsets.'
+}
+
+/**
+ * Format a number for the config (no trailing zeros).
+ *
+ * @param {number} value - Number to format
+ * @returns {string} e.g. "0.5", "-1"
+ * @private
+ */
+function formatNumber(value) {
+    return String(Number(value.toPrecision(4)))
+}
+
+/**
+ * Format explode offsets as an `expandConfig` block for data/systems.js.
+ *
+ * Zero components are left out, like in the hand-written configs, and
+ * slider windows (`start`/`end`) are kept.
+ *
+ * @param {Object.<string, Object>} expandConfig - Offsets by part ID
+ * @returns {string} JavaScript source, e.g. "expandConfig: {\n    'Table_Top': { z: 1 }\n}"
+ *
+ * @example
+ * formatExpandConfig({ Table_Top: { x: 0, y: 0, z: 1 } })
+ * // expandConfig: {
+ * //     'Table_Top': { z: 1 }
+ * // }
+ */
+export function formatExpandConfig(expandConfig) {
+    const entries = Object.entries(expandConfig || {}).map(([id, offset]) => {
+        // Windows are kept even at 0 (they differ from the stage window)
+        const fields = ['x', 'y', 'z', 'start', 'end']
+            .filter(key => typeof offset[key] === 'number' && (offset[key] !== 0 || key === 'start' || key === 'end'))
+            .map(key => `${key}: ${formatNumber(offset[key])}`)
+        const key = `'${id.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+        return `${INDENT}${key}: ${fields.length > 0 ? `{ ${fields.join(', ')} }` : '{}'}`
+    })
+
+    return entries.length > 0
+        ? `expandConfig: {\n${entries.join(',\n')}\n}`
+        : 'expandConfig: {}'
+}
+
+/**
+ * AuthorTool Class
+ *
+ * Switches a viewer between the config's explode offsets and generated
+ * or edited ones, and exports the offsets in use.
+ *
+ * @example
+ * const author = new AuthorTool(viewer, systems.table)
+ * author.generate({ mode: 'axes', gap: 0.1 })
+ * author.setOffset('Table_Top', { x: 0, y: 0, z: 1.2 })
+ * await author.copyExpandConfig()
+ */
+export class AuthorTool {
+    /**
+     * Create author mode for a viewer (model must be loaded).
+     *
+     * @param {SystemViewer} viewer - The viewer to author
+     * @param {Object} systemConfig - System configuration (ID and parts for the JSON export)
+     */
+    constructor(viewer, systemConfig) {
+        /** @type {SystemViewer} The viewer to author */
+        this.viewer = viewer
+
+        /** @type {Object} System configuration as loaded */
+        this.systemConfig = systemConfig
+
+        /** @type {import('./AutoExplode.js').AutoExplodeOptions} Generator settings */
+        this.settings = { ...DEFAULT_AUTO_EXPLODE, ...systemConfig.autoExplode }
+
+        /** @type {'config'|'generated'|'edited'} Where the offsets in use come from */
+        this.source = viewer.generatedExpandConfig ? 'generated' : 'config'
+
+        /** @type {boolean} Whether clicks on the model pick the part to edit */
+        this.editing = false
+
+        /** @type {string|null} Part whose offset is edited */
+        this.selectedId = null
+
+        /**
+         * @type {function(): void|null}
+         * Called when the offsets in use, the edited part or the mode change
+         */
+        this.onChange = null
+
+        /** @type {number} Size of the model (step of the offset fields) */
+        this.modelSize = new THREE.Box3().setFromObject(viewer.model).getSize(new THREE.Vector3()).length()
+
+        /** @type {function(THREE.Intersection|null): void} Click handler registered with the viewer */
+        this._boundPick = this.onPick.bind(this)
+
+        // ===== GIZMO =====
+        this.gizmo = new TransformControls(viewer.camera, viewer.canvas)
+        this.gizmo.getHelper().userData.editorOnly = true  // Not in exported images
+        viewer.scene.add(this.gizmo.getHelper())
+
+        // Don't orbit while dragging the gizmo, and don't treat the
+        // release as a click on a part
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            viewer.controls.enabled = !event.value
+            if (!event.value) this.swallowNextClick()
+        })
+        this.gizmo.addEventListener('objectChange', this.onGizmoChange.bind(this))
+    }
+
+    /**
+     * Check whether the system config has its own offsets.
+     *
+     * @returns {boolean} True if the config (or current variant) has an expandConfig
+     */
+    hasConfigOffsets() {
+        return Boolean(this.viewer.systemConfig?.expandConfig)
+    }
+
+    /**
+     * Generate offsets and explode the model with them.
+     *
+     * @param {import('./AutoExplode.js').AutoExplodeOptions} [settings] - Settings to change
+     */
+    generate(settings = {}) {
+        Object.assign(this.settings, settings)
+        this.viewer.setExpandConfig(generateExpandConfig(this.viewer, this.settings))
+        this.source = 'generated'
+        this.notifyChange()
+    }
+
+    /**
+     * Go back to the offsets in the system config.
+     */
+    useConfigOffsets() {
+        if (!this.hasConfigOffsets()) return
+
+        this.viewer.setExpandConfig(null)
+        this.source = 'config'
+        this.notifyChange()
+    }
+
+    /**
+     * Turn part editing on or off.
+     *
+     * While on, clicking a part selects it for editing instead of
+     * highlighting it, and the model is shown exploded.
+     *
+     * @param {boolean} editing - Whether to edit offsets
+     */
+    setEditing(editing) {
+        this.editing = editing
+
+        if (editing) {
+            // Another tool taking the clicks ends editing
+            this.viewer.setPickHandler(this._boundPick, () => this.setEditing(false))
+
+            // Offsets are easiest to judge (and only editable) where parts move
+            if (this.viewer.explosionPercent === 0) this.viewer.expand()
+        } else {
+            this.viewer.releasePickHandler(this._boundPick)
+            this.selectedId = null
+            this.gizmo.detach()
+        }
+
+        this.notifyChange()
+    }
+
+    /**
+     * Get the parts that can be edited: the config's parts and assemblies,
+     * then the meshes without a part entry.
+     *
+     * @returns {Array<{id: string, name: string}>} Part IDs with display names
+     */
+    getEditableParts() {
+        const parts = Array.from(this.viewer.partTree.values()).map(({ id, name }) => ({ id, name }))
+        const listed = new Set(parts.map(part => part.id))
+        this.viewer.parts.forEach((mesh, id) => {
+            if (!listed.has(id)) parts.push({ id, name: id })
+        })
+        return parts
+    }
+
+    /**
+     * Select the part to edit and attach the gizmo to it.
+     *
+     * Config-only assemblies have no node to drag; their offset can
+     * still be typed in.
+     *
+     * @param {string|null} id - Part ID, or null to deselect
+     */
+    selectPart(id) {
+        this.selectedId = id
+        const node = id && this.viewer.nodes.get(id)
+
+        if (node) {
+            this.gizmo.attach(node)
+        } else {
+            this.gizmo.detach()
+        }
+
+        this.notifyChange()
+    }
+
+    /**
+     * Get the own offset of a part (without its assemblies' offsets).
+     *
+     * @param {string} id - Part ID
+     * @returns {{x: number, y: number, z: number}} Offset (zero if the part has none)
+     */
+    getOffset(id) {
+        const offset = this.viewer.getExpandConfig()?.[id] || {}
+        return { x: offset.x || 0, y: offset.y || 0, z: offset.z || 0 }
+    }
+
+    /**
+     * Set the offset of a part and move the model to match.
+     *
+     * The part's slider window (`start`/`end`) is kept.
+     *
+     * @param {string} id - Part ID
+     * @param {{x?: number, y?: number, z?: number}} offset - Components to change
+     */
+    setOffset(id, offset) {
+        const expandConfig = { ...this.viewer.getExpandConfig() }
+        expandConfig[id] = { ...expandConfig[id], ...offset }
+
+        this.viewer.setExpandConfig(expandConfig)
+        this.source = 'edited'
+        this.notifyChange()
+    }
+
+    /**
+     * Select the clicked part for editing.
+     *
+     * @param {THREE.Intersection|null} hit - Raycast hit (null = empty space)
+     * @private
+     */
+    onPick(hit) {
+        this.selectPart(hit ? hit.object.name : null)
+    }
+
+    /**
+     * Turn the dragged position of the edited part into its offset.
+     *
+     * @private
+     */
+    onGizmoChange() {
+        const node = this.gizmo.object
+        if (!node || !this.selectedId) return
+
+        const offset = this.viewer.getOffsetForPosition(this.selectedId, node.position)
+        if (!offset) return
+
+        this.setOffset(this.selectedId, {
+            x: Number(offset.x.toPrecision(4)),
+            y: Number(offset.y.toPrecision(4)),
+            z: Number(offset.z.toPrecision(4))
+        })
+    }
+
+    /**
+     * Get the offsets in use as an `expandConfig` block.
+     *
+     * @returns {string} JavaScript source for data/systems.js
+     */
+    getExpandConfigText() {
+        return formatExpandConfig(this.viewer.getExpandConfig())
+    }
+
+    /**
+     * Copy the offsets in use to the clipboard.
+     *
+     * @returns {Promise<void>} Rejects if the clipboard is not available
+     */
+    copyExpandConfig() {
+        return navigator.clipboard.writeText(this.getExpandConfigText())
+    }
+
+    /**
+     * Export the offsets in use with the parts list as JSON.
+     *
+     * Meshes that have no part entry (and are not inside one) get a
+     * minimal entry, so the file covers every part that has an offset.
+     * The result can be merged into a runtime manifest
+     * (public/systems/<id>.json).
+     *
+     * @returns {string} JSON with `id`, `parts` and `expandConfig`
+     */
+    exportJson() {
+        const parts = (this.systemConfig.parts || []).map(part => ({ ...part }))
+        const listed = new Set(parts.map(part => part.id))
+
+        this.viewer.parts.forEach((mesh, id) => {
+            if (listed.has(id)) return
+            for (let node = mesh.parent; node && node !== this.viewer.model; node = node.parent) {
+                if (listed.has(node.name)) return
+            }
+            parts.push({ id, name: id.replace(/_/g, ' ') })
+        })
+
+        return JSON.stringify({
+            id: this.systemConfig.id,
+            parts,
+            expandConfig: this.viewer.getExpandConfig() || {}
+        }, null, 2)
+    }
+
+    /**
+     * Load offsets from JSON (an exported file or a system manifest).
+     *
+     * @param {string} json - JSON with an `expandConfig`
+     * @returns {number} Number of offsets loaded
+     * @throws {Error} If the JSON is invalid, has no expandConfig or belongs to another system
+     */
+    importJson(json) {
+        const data = JSON.parse(json)
+
+        if (!data || typeof data.expandConfig !== 'object' || Array.isArray(data.expandConfig)) {
+            throw new Error('No expandConfig in this file')
+        }
+        if (data.id && data.id !== this.systemConfig.id) {
+            throw new Error(`These offsets belong to "${data.id}"`)
+        }
+
+        // Same checks as for the config itself
+        const problem = validateSystemConfig({ ...this.systemConfig, expandConfig: data.expandConfig })
+            .find(d => d.level === 'error' && d.path.startsWith('expandConfig'))
+        if (problem) throw new Error(`${problem.path}: ${problem.message}`)
+
+        this.viewer.setExpandConfig(data.expandConfig)
+        this.source = 'edited'
+        this.selectPart(this.selectedId)
+        return Object.keys(data.expandConfig).length
+    }
+
+    /**
+     * Ignore the click that follows releasing the gizmo.
+     *
+     * @private
+     */
+    swallowNextClick() {
+        const canvas = this.viewer.canvas
+        const swallow = (event) => event.stopImmediatePropagation()
+
+        // Capture listeners on the target run before the viewer's own click handler
+        canvas.addEventListener('click', swallow, { capture: true, once: true })
+
+        // If no click follows (released outside the canvas), don't eat a later one
+        setTimeout(() => canvas.removeEventListener('click', swallow, { capture: true }), 0)
+    }
+
+    /**
+     * Follow a new system config (e.g., after a variant change): the
+     * editable parts, the offsets and the JSON export come from it.
+     *
+     * @param {Object} systemConfig - The viewer's current system configuration
+     */
+    refresh(systemConfig) {
+        this.systemConfig = systemConfig
+
+        // Offsets from author mode stay; otherwise the variant's own or generated ones are used
+        if (!this.viewer.expandConfigOverride) {
+            this.source = this.viewer.generatedExpandConfig ? 'generated' : 'config'
+        }
+        this.notifyChange()
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the author controls into a container.
+ *
+ * Shows where the offsets come from, the generator settings, the part
+ * editor and the offsets in use with copy, download and load buttons.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'author-content')
+ * @param {AuthorTool} tool - The author tool to control
+ */
+export function renderAuthorPanel(containerId, tool) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    let status = ''
+
+    const render = () => {
+        const { mode, distance, gap } = tool.settings
+        const selected = tool.selectedId
+        const offset = selected ? tool.getOffset(selected) : null
+        const step = Number((tool.modelSize * OFFSET_STEP).toPrecision(1))
+
+        /**
+         * Panel structure:
+         * - p.author-source: Where the offsets come from
+         * - div.author-group (generate): Mode buttons, distance and gap sliders
+         * - div.author-group (edit): Edit toggle, part select and x/y/z fields
+         * - div.author-group (output): Offsets in use, copy/download/load buttons
+         */
+        container.innerHTML = `
+            <div class="author-panel">
+                <p class="author-source">
+                    ${SOURCE_LABELS[tool.source]}
+                    ${tool.source !== 'config' && tool.hasConfigOffsets() ? '<button class="author-link author-use-config">Use config offsets</button>' : ''}
+                </p>
+                <div class="author-group">
+                    <h4>Generate</h4>
+                    <div class="author-choices">
+                        ${EXPLODE_MODES.map(option => `
+                            <button class="action-btn ${tool.source === 'generated' && mode === option.id ? 'active' : ''}" data-mode="${option.id}">${option.name}</button>
+                        `).join('')}
+                    </div>
+                    <label class="author-row">
+                        <span>Distance</span>
+                        <input type="range" class="author-distance" min="${DISTANCE_RANGE.min}" max="${DISTANCE_RANGE.max}"
+                            step="${DISTANCE_RANGE.step}" value="${distance}">
+                        <span class="author-value">${distance}</span>
+                    </label>
+                    <label class="author-row">
+                        <span>Gap</span>
+                        <input type="range" class="author-gap" min="${GAP_RANGE.min}" max="${GAP_RANGE.max}"
+                            step="${GAP_RANGE.step}" value="${gap}">
+                        <span class="author-value">${gap}</span>
+                    </label>
+                </div>
+                <div class="author-group">
+                    <h4>Edit</h4>
+                    <label class="toggle-switch">
+                        <input type="checkbox" class="author-edit" ${tool.editing ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                        <span class="toggle-label">Edit Part Offsets</span>
+                    </label>
+                    ${tool.editing ? `
+                        <select class="author-part">
+                            <option value="">Click a part or pick one…</option>
+                        </select>
+                        ${selected ? `
+                            <div class="author-offset">
+                                ${['x', 'y', 'z'].map(axis => `
+                                    <label>${axis.toUpperCase()}
+                                        <input type="number" data-axis="${axis}" step="${step}" value="${offset[axis]}">
+                                    </label>
+                                `).join('')}
+                            </div>
+                            ${!tool.viewer.nodes.has(selected) ? '<p class="author-hint">No node in the model: type the offset.</p>' : ''}
+                        ` : ''}
+                    ` : ''}
+                </div>
+                <div class="author-group">
+                    <h4>expandConfig</h4>
+                    <pre class="author-output"></pre>
+                    <div class="author-file">
+                        <button class="action-btn author-copy"><i class="ph ph-copy"></i> <span>Copy</span></button>
+                        <button class="action-btn author-download"><i class="ph ph-download-simple"></i> JSON</button>
+                        <button class="action-btn author-load"><i class="ph ph-upload-simple"></i> Load</button>
+                        <input type="file" accept=".json,application/json" hidden>
+                    </div>
+                    ${status ? `<p class="author-hint">${status}</p>` : ''}
+                </div>
+            </div>
+        `
+        status = ''
+
+        // Set as text (part IDs and names come from the model file)
+        container.querySelector('.author-output').textContent = tool.getExpandConfigText()
+        const partSelect = container.querySelector('.author-part')
+        if (partSelect) {
+            tool.getEditableParts().forEach(({ id, name }) => {
+                partSelect.add(new Option(name === id ? id : `${name} (${id})`, id, false, id === selected))
+            })
+            partSelect.addEventListener('change', () => tool.selectPart(partSelect.value || null))
+        }
+
+        container.querySelector('.author-use-config')?.addEventListener('click', () => tool.useConfigOffsets())
+
+        container.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => tool.generate({ mode: button.dataset.mode }))
+        })
+
+        // Labels follow the slider; offsets are generated on release
+        // (collision spacing is too slow to redo on every input event)
+        const bindSlider = (selector, key) => {
+            const input = container.querySelector(selector)
+            const label = input.parentElement.querySelector('.author-value')
+            input.addEventListener('input', () => { label.textContent = input.value })
+            input.addEventListener('change', () => tool.generate({ [key]: Number(input.value) }))
+        }
+        bindSlider('.author-distance', 'distance')
+        bindSlider('.author-gap', 'gap')
+
+        container.querySelector('.author-edit').addEventListener('change', (e) => {
+            tool.setEditing(e.target.checked)
+        })
+
+        // Typed offsets move the part without re-rendering the field being typed in
+        container.querySelectorAll('.author-offset input').forEach(input => {
+            input.addEventListener('input', () => {
+                const value = Number(input.value)
+                if (input.value === '' || !Number.isFinite(value)) return
+
+                const onChange = tool.onChange
+                tool.onChange = null
+                tool.setOffset(selected, { [input.dataset.axis]: value })
+                tool.onChange = onChange
+                container.querySelector('.author-output').textContent = tool.getExpandConfigText()
+            })
+        })
+
+        // ===== COPY: expandConfig block for data/systems.js =====
+        const copyBtn = container.querySelector('.author-copy')
+        copyBtn.addEventListener('click', async () => {
+            const label = copyBtn.querySelector('span')
+            try {
+                await tool.copyExpandConfig()
+                label.textContent = 'Copied'
+            } catch (err) {
+                console.warn('Could not copy expandConfig:', err)
+                label.textContent = 'Failed'
+            }
+            setTimeout(() => { label.textContent = 'Copy' }, 2000)
+        })
+
+        // ===== DOWNLOAD: parts and expandConfig as .json =====
+        container.querySelector('.author-download').addEventListener('click', () => {
+            const blob = new Blob([tool.exportJson()], { type: 'application/json' })
+            const link = document.createElement('a')
+            link.href = URL.createObjectURL(blob)
+            link.download = `${tool.systemConfig.id}-expand.json`
+            link.click()
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+        })
+
+        // ===== LOAD: offsets from a .json file =====
+        const fileInput = container.querySelector('input[type="file"]')
+        container.querySelector('.author-load').addEventListener('click', () => fileInput.click())
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0]
+            if (!file) return
+
+            try {
+                const count = tool.importJson(await file.text())
+                status = `Loaded ${count} offset${count === 1 ? '' : 's'}`
+            } catch (err) {
+                status = `Load failed: ${err.message}`
+            }
+            render()
+        })
+    }
+
+    tool.onChange = render
+    render()
+}
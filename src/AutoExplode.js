@@ -0,0 +1,271 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/AutoExplode.js
+ * PURPOSE: Generated explode offsets for systems without an expandConfig
+ *
+ * DESCRIPTION:
+ * Hand-tuned `expandConfig` offsets give the best exploded views, but a new
+ * model should explode sensibly before anyone has tuned it. This module
+ * computes an offset for every mesh from the assembled model:
+ *
+ * 1. Direction
+ *    - radial: away from the model's centroid (the mean of the part centers)
+ *    - axes: along the principal axis of the model (the directions in which
+ *      the parts are spread out most) that best matches the part's position
+ *    Parts at the centroid stay in place.
+ *
+ * 2. Distance
+ *    Each part first moves by its distance from the centroid times
+ *    `distance`. Parts are then placed from the inside out: a part moves
+ *    further until its bounding box keeps at least `gap` from the parts
+ *    placed before it, so exploded parts don't overlap.
+ *
+ * The offsets are in the same coordinates as a hand-written expandConfig
+ * (the mesh's parent node), so they can be copied into the system config
+ * (see the Author dropdown, AuthorTool.js).
+ *
+ * CONFIG FORMAT (optional, used when `expandConfig` is missing):
+ *   autoExplode: {
+ *       mode: 'radial',    // 'radial' or 'axes'
+ *       distance: 0.5,     // Share of each part's distance from the centroid
+ *       gap: 0.05          // Space between exploded parts (share of the model size)
+ *   }
+ *
+ * USAGE:
+ *   const expandConfig = generateExpandConfig(viewer, { mode: 'axes' })
+ *   viewer.setExpandConfig(expandConfig)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - bounding boxes and vectors
+import * as THREE from 'three'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Directions the generator can explode parts in */
+export const EXPLODE_MODES = [
+    { id: 'radial', name: 'Radial' },
+    { id: 'axes', name: 'Principal Axes' }
+]
+
+/** Generator settings when the config has no `autoExplode` */
+export const DEFAULT_AUTO_EXPLODE = {
+    mode: 'radial',
+    distance: 0.5,
+    gap: 0.05
+}
+
+/** Parts closer than this to the centroid (share of the model size) stay in place */
+const CENTER_TOLERANCE = 0.02
+
+/** How far a colliding part is pushed per try (share of the model size, at least) */
+const MIN_PUSH_STEP = 0.01
+
+/** Tries per part before it is left where it is (keeps huge models fast) */
+const MAX_PUSH_STEPS = 200
+
+/** Significant digits of the generated offsets */
+const OFFSET_PRECISION = 4
+
+/** Jacobi sweeps for the principal axes (3×3 converges in a handful) */
+const MAX_JACOBI_SWEEPS = 50
+
+/**
+ * @typedef {Object} AutoExplodeOptions
+ * @property {'radial'|'axes'} [mode='radial'] - Direction of the offsets
+ * @property {number} [distance=0.5] - Share of each part's distance from the centroid it moves
+ * @property {number} [gap=0.05] - Space kept between exploded parts (share of the model size)
+ */
+
+/**
+ * Find the principal axes of a point cloud.
+ *
+ * Eigenvectors of the covariance matrix (Jacobi rotations).
+ *
+ * @param {THREE.Vector3[]} points - Points (part centers)
+ * @param {THREE.Vector3} mean - Mean of the points
+ * @returns {Array<{axis: THREE.Vector3, spread: number}>} Three orthogonal unit axes and the standard deviation along each
+ * @private
+ */
+function getPrincipalAxes(points, mean) {
+    // Covariance
+    const a = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+    points.forEach(point => {
+        const d = [point.x - mean.x, point.y - mean.y, point.z - mean.z]
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) a[r][c] += d[r] * d[c] / points.length
+        }
+    })
+
+    // Rotate the largest off-diagonal entry away until the matrix is diagonal
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+    for (let sweep = 0; sweep < MAX_JACOBI_SWEEPS; sweep++) {
+        let p = 0
+        let q = 1
+        if (Math.abs(a[0][2]) > Math.abs(a[p][q])) { p = 0; q = 2 }
+        if (Math.abs(a[1][2]) > Math.abs(a[p][q])) { p = 1; q = 2 }
+
+        const scale = Math.abs(a[0][0]) + Math.abs(a[1][1]) + Math.abs(a[2][2])
+        if (Math.abs(a[p][q]) <= scale * 1e-12) break
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const cos = 1 / Math.sqrt(t * t + 1)
+        const sin = t * cos
+
+        for (let k = 0; k < 3; k++) {
+            const kp = a[k][p]
+            const kq = a[k][q]
+            a[k][p] = cos * kp - sin * kq
+            a[k][q] = sin * kp + cos * kq
+        }
+        for (let k = 0; k < 3; k++) {
+            const pk = a[p][k]
+            const qk = a[q][k]
+            a[p][k] = cos * pk - sin * qk
+            a[q][k] = sin * pk + cos * qk
+        }
+        for (let k = 0; k < 3; k++) {
+            const kp = v[k][p]
+            const kq = v[k][q]
+            v[k][p] = cos * kp - sin * kq
+            v[k][q] = sin * kp + cos * kq
+        }
+    }
+
+    return [0, 1, 2].map(i => ({
+        axis: new THREE.Vector3(v[0][i], v[1][i], v[2][i]).normalize(),
+        spread: Math.sqrt(Math.max(a[i][i], 0))
+    }))
+}
+
+/**
+ * Round an offset component for the config (no float noise in copied JSON).
+ *
+ * @param {number} value - Offset component
+ * @returns {number} Value with OFFSET_PRECISION significant digits
+ * @private
+ */
+function roundOffset(value) {
+    return Math.abs(value) < 1e-9 ? 0 : Number(value.toPrecision(OFFSET_PRECISION))
+}
+
+/**
+ * Compute explode offsets for every mesh of a loaded model.
+ *
+ * Works on the assembled model of the current variant, whatever the
+ * current explosion amount.
+ *
+ * @param {SystemViewer} viewer - Viewer with a loaded model
+ * @param {AutoExplodeOptions} [options] - Generator settings
+ * @returns {Object.<string, {x: number, y: number, z: number}>} Offsets by mesh name, in expandConfig format
+ *
+ * @example
+ * generateExpandConfig(viewer)
+ * // { 'Table_Top': { x: 0, y: 0, z: 0.41 }, 'Table_Leg_1': { x: -0.3, y: -0.2, z: -0.25 }, ... }
+ */
+export function generateExpandConfig(viewer, options = {}) {
+    const { mode, distance, gap } = { ...DEFAULT_AUTO_EXPLODE, ...options }
+
+    return viewer.withAssembledPose(() => {
+        // ===== ASSEMBLED BOXES =====
+        const items = []
+        viewer.parts.forEach((mesh, name) => {
+            // Meshes the current variant leaves out take no room
+            if (viewer.variantHiddenParts?.has(name)) return
+
+            const box = new THREE.Box3().setFromObject(mesh)
+            if (box.isEmpty()) return
+
+            items.push({ name, mesh, box, center: box.getCenter(new THREE.Vector3()) })
+        })
+        if (items.length === 0) return {}
+
+        const modelBox = new THREE.Box3()
+        items.forEach(item => modelBox.union(item.box))
+        const modelSize = modelBox.getSize(new THREE.Vector3()).length()
+
+        const centroid = new THREE.Vector3()
+        items.forEach(item => centroid.addScaledVector(item.center, 1 / items.length))
+
+        // ===== DIRECTIONS =====
+        const axes = mode === 'axes'
+            ? getPrincipalAxes(items.map(item => item.center), centroid)
+            : null
+
+        items.forEach(item => {
+            const fromCenter = item.center.clone().sub(centroid)
+            item.distance = fromCenter.length()
+            item.direction = new THREE.Vector3()
+            if (item.distance < modelSize * CENTER_TOLERANCE) return
+
+            if (axes) {
+                // The axis along which the part sits furthest out, relative
+                // to how far the model spreads along it
+                let best = null
+                axes.forEach(({ axis, spread }) => {
+                    const along = fromCenter.dot(axis)
+                    const score = Math.abs(along) / Math.max(spread, modelSize * CENTER_TOLERANCE)
+                    if (!best || score > best.score) best = { score, axis, along }
+                })
+                item.direction.copy(best.axis).multiplyScalar(Math.sign(best.along))
+                item.distance = Math.abs(best.along)
+            } else {
+                item.direction.copy(fromCenter).normalize()
+            }
+        })
+
+        // ===== SPACING =====
+        // Inside out: each part clears the (exploded) parts placed before it
+        const margin = gap * modelSize / 2
+        const step = Math.max(gap, MIN_PUSH_STEP) * modelSize
+        const placed = []
+
+        items
+            .slice()
+            .sort((a, b) => a.distance - b.distance)
+            .forEach(item => {
+                const moving = item.direction.lengthSq() > 0
+                item.travel = moving ? item.distance * distance : 0
+
+                const boxAt = (travel) => item.box.clone()
+                    .translate(item.direction.clone().multiplyScalar(travel))
+                    .expandByScalar(margin)
+
+                if (moving) {
+                    for (let i = 0; i < MAX_PUSH_STEPS; i++) {
+                        const box = boxAt(item.travel)
+                        if (!placed.some(other => other.intersectsBox(box))) break
+                        item.travel += step
+                    }
+                }
+
+                placed.push(boxAt(item.travel))
+            })
+
+        // ===== CONFIG =====
+        // World offsets in the coordinates of each mesh's parent
+        const expandConfig = {}
+        items.forEach(item => {
+            if (item.travel === 0) return
+
+            const parent = item.mesh.parent
+            const from = item.center.clone()
+            const to = from.clone().addScaledVector(item.direction, item.travel)
+            const offset = parent.worldToLocal(to).sub(parent.worldToLocal(from))
+
+            expandConfig[item.name] = {
+                x: roundOffset(offset.x),
+                y: roundOffset(offset.y),
+                z: roundOffset(offset.z)
+            }
+        })
+        return expandConfig
+    })
+}
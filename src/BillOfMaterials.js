@@ -0,0 +1,376 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/BillOfMaterials.js
+ * PURPOSE: Bill of materials generated from the system's parts
+ *
+ * DESCRIPTION:
+ * Lists every part group of the components list (e.g., "Leg × 4") with its
+ * quantity, description and metadata from the system config (material,
+ * part number, cost, mass), plus totals:
+ * - Shown as a table in a panel over the viewer
+ * - Clicking a row highlights the matching parts in 3D
+ * - Exported as CSV or printed
+ *
+ * The panel follows the selected product variant (see Variants.js).
+ * Sub-assemblies are listed with their parts indented below them. Columns
+ * without data in any row (e.g., no costs configured) are left out.
+ *
+ * USAGE:
+ * Created by viewer.js once the model has loaded and the parts are grouped:
+ *   const bom = createBillOfMaterials('bom-panel', viewer, systemConfig, allGroups)
+ *   bom.toggle()
+ *   bom.refresh(variantGroups, viewer.systemConfig)   // after a variant change
+ *
+ * STYLING:
+ * See viewer.css for the panel and table styling (.bom-panel, .bom-table)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// PartDetails: Same cost and mass formatting as the detail panel
+import { formatCost, formatMass, DEFAULT_CURRENCY } from './PartDetails.js'
+
+// Variants: Name of the selected variant for the title
+import { getVariants } from './Variants.js'
+
+/**
+ * @typedef {Object} BomRow
+ * @property {string[]} ids - Part IDs of the group
+ * @property {number} level - Nesting depth (0 = top level)
+ * @property {number} quantity - Number of parts
+ * @property {string} name - Part name without the trailing number
+ * @property {string} description - Description of the first part
+ * @property {string} material - Material of the first part
+ * @property {string} partNumber - Part number / SKU of the first part
+ * @property {number|null} unitCost - Cost of one part (null if the parts' costs differ)
+ * @property {number|null} totalCost - Cost of all parts
+ * @property {number|null} totalMass - Mass of all parts in kg
+ */
+
+/**
+ * @typedef {Object} BillOfMaterials
+ * @property {BomRow[]} rows - One row per part group (depth-first)
+ * @property {{quantity: number, cost: number|null, mass: number|null}} totals - Sums over the parts
+ *   (an assembly with its own cost or mass stands for its parts; the quantity counts parts, not assemblies)
+ * @property {string} currency - ISO 4217 currency code of the costs
+ */
+
+/**
+ * Optional columns, shown when at least one row has a value.
+ * @type {Array<{key: string, label: string, numeric: boolean}>}
+ */
+const OPTIONAL_COLUMNS = [
+    { key: 'material', label: 'Material', numeric: false },
+    { key: 'partNumber', label: 'Part Number', numeric: false },
+    { key: 'unitCost', label: 'Unit Cost', numeric: true },
+    { key: 'totalCost', label: 'Total Cost', numeric: true },
+    { key: 'totalMass', label: 'Mass', numeric: true }
+]
+
+/**
+ * Build the bill of materials from the grouped parts list.
+ *
+ * @param {Map<string, PartGroup>} groups - Grouped parts (as in the components list)
+ * @param {Object} systemConfig - System configuration with `parts` and `currency`
+ * @returns {BillOfMaterials} Rows and totals
+ */
+export function buildBillOfMaterials(groups, systemConfig) {
+    const partsById = new Map((systemConfig.parts || []).map(part => [part.id, part]))
+    const rows = []
+
+    // Add a value to a total, or keep the total if there is no value
+    const add = (total, value) => value === null ? total : (total ?? 0) + value
+
+    // Adds the rows of one level and returns the totals of its subtrees
+    const addRows = (levelGroups, level) => {
+        const totals = { quantity: 0, cost: null, mass: null }
+
+        levelGroups.forEach(group => {
+            const part = partsById.get(group.ids[0]) || {}
+            const quantity = group.ids.length
+            const costs = group.ids.map(id => partsById.get(id)?.cost)
+            const unitCost = typeof costs[0] === 'number' && costs.every(cost => cost === costs[0]) ? costs[0] : null
+            const totalCost = costs.reduce((sum, cost) => typeof cost === 'number' ? (sum ?? 0) + cost : sum, null)
+            const totalMass = group.ids.reduce((sum, id) => {
+                const mass = partsById.get(id)?.mass
+                return typeof mass === 'number' ? (sum ?? 0) + mass : sum
+            }, null)
+
+            const row = {
+                ids: group.ids,
+                level,
+                quantity,
+                // Group key ends with the base name ("/Leg"), displayName is plural ("Legs")
+                name: group.key.split('/').pop(),
+                description: group.description || '',
+                material: part.material || '',
+                partNumber: part.partNumber || '',
+                unitCost,
+                totalCost,
+                totalMass
+            }
+            rows.push(row)
+
+            // An assembly's own figures already cover its parts; without
+            // them, the parts' figures are summed
+            const children = addRows(group.children, level + 1)
+            totals.quantity += group.children.size > 0 ? children.quantity : quantity
+            totals.cost = add(totals.cost, row.totalCost ?? children.cost)
+            totals.mass = add(totals.mass, row.totalMass ?? children.mass)
+        })
+
+        return totals
+    }
+
+    const totals = addRows(groups, 0)
+
+    return {
+        rows,
+        totals,
+        currency: systemConfig.currency || DEFAULT_CURRENCY
+    }
+}
+
+/**
+ * Get the optional columns that have a value in at least one row.
+ *
+ * @param {BillOfMaterials} bom - Bill of materials
+ * @returns {Array<{key: string, label: string, numeric: boolean}>} Columns to show
+ * @private
+ */
+function getColumns(bom) {
+    return OPTIONAL_COLUMNS.filter(column =>
+        bom.rows.some(row => row[column.key] !== null && row[column.key] !== '')
+    )
+}
+
+/**
+ * Export a bill of materials as CSV.
+ *
+ * Costs are plain numbers (currency in the header), mass is in kg. The
+ * last line holds the totals.
+ *
+ * @param {BillOfMaterials} bom - Bill of materials
+ * @returns {string} CSV text
+ */
+export function bomToCsv(bom) {
+    const columns = getColumns(bom)
+
+    // Quote fields that contain separators, quotes or line breaks
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value)
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+
+    const header = ['Quantity', 'Name', 'Description', ...columns.map(column => {
+        if (column.key === 'unitCost' || column.key === 'totalCost') return `${column.label} (${bom.currency})`
+        if (column.key === 'totalMass') return `${column.label} (kg)`
+        return column.label
+    })]
+
+    // Round away floating point noise (costs to cents, mass to grams)
+    const cell = (key, value) => {
+        if (typeof value !== 'number') return value
+        return key === 'totalMass' ? Math.round(value * 1000) / 1000 : Math.round(value * 100) / 100
+    }
+
+    const lines = bom.rows.map(row => [
+        row.quantity,
+        // Indent sub-assembly parts so the structure survives in a spreadsheet
+        '  '.repeat(row.level) + row.name,
+        row.description,
+        ...columns.map(column => cell(column.key, row[column.key]))
+    ])
+
+    const totals = [bom.totals.quantity, 'Total', '', ...columns.map(column => {
+        if (column.key === 'totalCost') return cell(column.key, bom.totals.cost)
+        if (column.key === 'totalMass') return cell(column.key, bom.totals.mass)
+        return ''
+    })]
+
+    return [header, ...lines, totals].map(line => line.map(escape).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Create the bill of materials panel.
+ *
+ * @param {string} panelId - The ID of the panel element (e.g., 'bom-panel')
+ * @param {SystemViewer} viewer - The viewer to highlight parts in
+ * @param {Object} systemConfig - System configuration with `parts`, `name` and `currency`
+ * @param {Map<string, PartGroup>} groups - Grouped parts (as in the components list)
+ * @returns {{open: function(): void, close: function(): void, toggle: function(): void, update: function(): void, refresh: function(Map<string, PartGroup>, Object): void}|null} Panel controls, or null if the element is missing
+ */
+export function createBillOfMaterials(panelId, viewer, systemConfig, groups) {
+    const panel = document.getElementById(panelId)
+    if (!panel) return null
+
+    let bom = null
+    let rowElements = []
+
+    /**
+     * Format a cell of an optional column.
+     *
+     * @param {string} key - Column key
+     * @param {*} value - Cell value
+     * @returns {string} Display text
+     */
+    const formatCell = (key, value) => {
+        if (value === null || value === '') return ''
+        if (key === 'unitCost' || key === 'totalCost') return formatCost(value, bom.currency)
+        if (key === 'totalMass') return formatMass(value)
+        return value
+    }
+
+    /**
+     * Mark the rows whose parts are all highlighted
+     * (call whenever the selection changes).
+     */
+    const update = () => {
+        const highlighted = new Set(viewer.getHighlightedPartIds())
+        rowElements.forEach(el => {
+            const meshIds = viewer.getMeshIds(bom.rows[el.dataset.row].ids)
+            el.classList.toggle('selected', meshIds.length > 0 && meshIds.every(id => highlighted.has(id)))
+        })
+    }
+
+    /**
+     * Render the table of a parts list.
+     *
+     * @param {Map<string, PartGroup>} partGroups - Grouped parts
+     * @param {Object} config - System configuration
+     */
+    const render = (partGroups, config) => {
+        bom = buildBillOfMaterials(partGroups, config)
+        const columns = getColumns(bom)
+        const variant = getVariants(config).find(v => v.id === viewer.variantId)
+
+        panel.querySelector('.bom-system').textContent = variant ? `${config.name} (${variant.name})` : config.name
+        panel.querySelector('.bom-scroll').innerHTML = `
+            <table class="bom-table">
+                <thead>
+                    <tr>
+                        <th class="numeric">Qty</th>
+                        <th>Name</th>
+                        <th>Description</th>
+                        ${columns.map(column => `<th${column.numeric ? ' class="numeric"' : ''}>${column.label}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bom.rows.map((row, i) => `
+                        <tr data-row="${i}">
+                            <td class="numeric">${row.quantity}</td>
+                            <td class="bom-name" style="padding-left: ${0.5 + row.level}rem"></td>
+                            <td class="bom-desc"></td>
+                            ${columns.map(column => `<td${column.numeric ? ' class="numeric"' : ''}></td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <td class="numeric">${bom.totals.quantity}</td>
+                        <td colspan="2">Total</td>
+                        ${columns.map(column => {
+                            const total = column.key === 'totalCost' ? bom.totals.cost
+                                : column.key === 'totalMass' ? bom.totals.mass : null
+                            return `<td${column.numeric ? ' class="numeric"' : ''}>${total === null ? '' : formatCell(column.key, total)}</td>`
+                        }).join('')}
+                    </tr>
+                </tfoot>
+            </table>
+        `
+
+        rowElements = Array.from(panel.querySelectorAll('tbody tr'))
+
+        // Names and values come from the config and model files - set as text, not HTML
+        rowElements.forEach((el, i) => {
+            const row = bom.rows[i]
+            const [, name, description, ...cells] = el.children
+            name.textContent = row.name
+            description.textContent = row.description
+            cells.forEach((cell, c) => {
+                cell.textContent = formatCell(columns[c].key, row[columns[c].key])
+            })
+        })
+
+        // Row click: highlight the parts (or unhighlight a selected row), like the components list
+        rowElements.forEach(el => {
+            el.addEventListener('click', () => {
+                const { ids } = bom.rows[el.dataset.row]
+                if (el.classList.contains('selected')) {
+                    viewer.unhighlightPart(ids)
+                } else {
+                    viewer.highlightPart(ids)
+                    viewer.frameParts(ids)
+                }
+                update()
+            })
+        })
+    }
+
+    /**
+     * Panel structure:
+     * - div.bom-header: Title (system and variant) and CSV/print/close buttons
+     * - div.bom-scroll > table.bom-table: One row per part group, totals in the footer
+     */
+    panel.innerHTML = `
+        <div class="bom-header">
+            <div>
+                <h3>Bill of Materials</h3>
+                <span class="bom-system"></span>
+            </div>
+            <div class="bom-actions">
+                <button class="bom-csv" title="Download CSV"><i class="ph ph-file-csv"></i></button>
+                <button class="bom-print" title="Print"><i class="ph ph-printer"></i></button>
+                <button class="bom-close" title="Close"><i class="ph ph-x"></i></button>
+            </div>
+        </div>
+        <div class="bom-scroll"></div>
+    `
+    render(groups, systemConfig)
+
+    /**
+     * Rebuild the table for another parts list (e.g., after a variant change).
+     *
+     * @param {Map<string, PartGroup>} partGroups - Grouped parts
+     * @param {Object} config - System configuration
+     */
+    const refresh = (partGroups, config) => {
+        render(partGroups, config)
+        update()
+    }
+
+    const open = () => {
+        update()
+        panel.hidden = false
+    }
+    const close = () => {
+        panel.hidden = true
+    }
+    const toggle = () => panel.hidden ? open() : close()
+
+    panel.querySelector('.bom-close').addEventListener('click', close)
+
+    // ===== CSV =====
+    panel.querySelector('.bom-csv').addEventListener('click', () => {
+        const blob = new Blob([bomToCsv(bom)], { type: 'text/csv' })
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(blob)
+        link.download = `${[systemConfig.id, viewer.variantId, 'bom'].filter(Boolean).join('-')}.csv`
+        link.click()
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+    })
+
+    // ===== PRINT: only the table (see @media print in viewer.css) =====
+    panel.querySelector('.bom-print').addEventListener('click', () => {
+        document.body.classList.add('printing-bom')
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-bom')
+        }, { once: true })
+        window.print()
+    })
+
+    return { open, close, toggle, update, refresh }
+}
@@ -0,0 +1,579 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/CaptureTool.js
+ * PURPOSE: Export screenshots and turntable/explode renders of the 3D view
+ *
+ * DESCRIPTION:
+ * Renders the current view for manuals and slides:
+ * - Still images (PNG) at any resolution, optionally with a transparent
+ *   background and with the floating part/measurement labels drawn in
+ * - Animations: a full turn around the model, or the model exploding,
+ *   recorded as WebM video (MediaRecorder) or as a ZIP of PNG frames
+ *
+ * While an export renders, SystemViewer.capturing stops the normal render
+ * loop (and the orbit controls, auto-rotation included) so the exported
+ * frames can use their own size and camera.
+ * Objects with `userData.editorOnly` (e.g., section gizmos) are left out.
+ *
+ * USAGE:
+ *   const blob = await captureImage(viewer, { width: 1920, height: 1080, labels: true })
+ *   const video = await recordSequence(viewer, { motion: 'turntable', format: 'webm' })
+ *   renderCapturePanel('export-content', viewer, 'table')
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.capture-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - renderer size and turntable rotation
+import * as THREE from 'three'
+
+// fflate (bundled with three): packs PNG sequences into one ZIP download
+import { zipSync } from 'three/examples/jsm/libs/fflate.module.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Floating DOM labels drawn into exports */
+const LABEL_SELECTOR = '.part-label, .measure-label'
+
+/** Preset image sizes (width × height in pixels) */
+const SIZE_PRESETS = [
+    { label: '1920 × 1080 (Full HD)', width: 1920, height: 1080 },
+    { label: '3840 × 2160 (4K)', width: 3840, height: 2160 },
+    { label: '2048 × 2048 (Square)', width: 2048, height: 2048 },
+    { label: '1280 × 720 (HD)', width: 1280, height: 720 }
+]
+
+/** Animation defaults */
+const DEFAULT_DURATION = 6   // Seconds
+const DEFAULT_FPS = 30
+
+/** WebM codecs to try, best first */
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+/**
+ * @typedef {Object} CaptureOptions
+ * @property {number} [width] - Image width in pixels (default: the canvas size)
+ * @property {number} [height] - Image height in pixels (default: the canvas size)
+ * @property {boolean} [transparent=false] - Leave the background transparent
+ * @property {boolean} [labels=true] - Draw the floating labels into the image
+ */
+
+/**
+ * @typedef {CaptureOptions} SequenceOptions
+ * @property {'turntable'|'explode'} [motion='turntable'] - Full turn around the model, or 0 → 100% explosion
+ * @property {'webm'|'png'} [format='webm'] - WebM video or ZIP of PNG frames
+ * @property {number} [duration=6] - Length in seconds
+ * @property {number} [fps=30] - Frames per second
+ * @property {function(number): void} [onProgress] - Called with 0-1 after each frame
+ * @property {AbortSignal} [signal] - Cancels the recording
+ */
+
+/**
+ * Get the export size, scaled down to what the GPU can render.
+ *
+ * @param {SystemViewer} viewer - The viewer
+ * @param {CaptureOptions} options - Requested size
+ * @returns {{width: number, height: number}} Size in pixels
+ * @private
+ */
+function resolveSize(viewer, options) {
+    const pixelRatio = viewer.renderer.getPixelRatio()
+    let width = Math.round(options.width || viewer.canvas.clientWidth * pixelRatio)
+    let height = Math.round(options.height || viewer.canvas.clientHeight * pixelRatio)
+
+    const max = viewer.renderer.capabilities.maxTextureSize
+    const fit = Math.min(1, max / width, max / height)
+
+    width = Math.max(1, Math.floor(width * fit))
+    height = Math.max(1, Math.floor(height * fit))
+
+    // Video encoders need even dimensions
+    return { width: width - (width % 2), height: height - (height % 2) }
+}
+
+/**
+ * Switch the renderer to export size (until the returned function is called).
+ *
+ * @param {SystemViewer} viewer - The viewer
+ * @param {number} width - Export width
+ * @param {number} height - Export height
+ * @param {boolean} transparent - Leave the background transparent
+ * @returns {function(): void} Restores the normal view
+ * @private
+ */
+function beginCapture(viewer, width, height, transparent) {
+    const { renderer, camera, scene, controls } = viewer
+
+    const saved = {
+        size: renderer.getSize(new THREE.Vector2()),
+        pixelRatio: renderer.getPixelRatio(),
+        aspect: camera.aspect,
+        background: scene.background,
+        clearAlpha: renderer.getClearAlpha(),
+        controlsEnabled: controls.enabled,
+        autoRotate: controls.autoRotate,
+        hidden: []
+    }
+
+    viewer.capturing = true
+    controls.enabled = false
+
+    // The export moves the camera itself (e.g., the turntable)
+    controls.autoRotate = false
+
+    // Render at export size without changing the canvas's size on the page
+    renderer.setPixelRatio(1)
+    renderer.setSize(width, height, false)
+    camera.aspect = width / height
+    camera.updateProjectionMatrix()
+
+    if (transparent) {
+        scene.background = null
+        renderer.setClearAlpha(0)
+    }
+
+    // Leave out editing helpers
+    scene.traverse(object => {
+        if (object.userData.editorOnly && object.visible) {
+            object.visible = false
+            saved.hidden.push(object)
+        }
+    })
+
+    return () => {
+        saved.hidden.forEach(object => { object.visible = true })
+        scene.background = saved.background
+        renderer.setClearAlpha(saved.clearAlpha)
+        renderer.setPixelRatio(saved.pixelRatio)
+        renderer.setSize(saved.size.x, saved.size.y, false)
+        camera.aspect = saved.aspect
+        camera.updateProjectionMatrix()
+        controls.enabled = saved.controlsEnabled
+        controls.autoRotate = saved.autoRotate
+        viewer.capturing = false
+
+        // Labels back to their on-screen positions
+        viewer.updateOverlays()
+    }
+}
+
+/**
+ * Render one frame into a 2D canvas.
+ *
+ * @param {SystemViewer} viewer - The viewer (in export size, see beginCapture)
+ * @param {HTMLCanvasElement} target - Canvas to draw into (export size)
+ * @param {boolean} labels - Draw the floating labels
+ * @private
+ */
+function renderFrame(viewer, target, labels) {
+    // Labels are placed for the export camera before rendering
+    viewer.updateOverlays()
+    viewer.renderer.render(viewer.scene, viewer.camera)
+
+    // Copy right after rendering, before the browser clears the WebGL buffer
+    const ctx = target.getContext('2d')
+    ctx.clearRect(0, 0, target.width, target.height)
+    ctx.drawImage(viewer.canvas, 0, 0, target.width, target.height)
+
+    if (labels) drawLabels(viewer, ctx, target.width, target.height)
+}
+
+/**
+ * Draw the visible floating labels into an export.
+ *
+ * Each label keeps its on-screen look (colors, font, rounded box, pointer)
+ * scaled to the export size, at the point it is attached to.
+ *
+ * @param {SystemViewer} viewer - The viewer
+ * @param {CanvasRenderingContext2D} ctx - Export canvas context
+ * @param {number} width - Export width
+ * @param {number} height - Export height
+ * @private
+ */
+function drawLabels(viewer, ctx, width, height) {
+    const container = viewer._viewerContainer
+    if (!container) return
+
+    const bounds = container.getBoundingClientRect()
+
+    // Label positions are in on-screen pixels (of the export's view)
+    const scaleX = width / viewer.canvas.clientWidth
+    const scaleY = height / viewer.canvas.clientHeight
+    const scale = Math.min(scaleX, scaleY)
+
+    container.querySelectorAll(LABEL_SELECTOR).forEach(label => {
+        if (label.style.display === 'none') return
+
+        const rect = label.getBoundingClientRect()
+        const anchorX = parseFloat(label.style.left)
+        const anchorY = parseFloat(label.style.top)
+        if (rect.width === 0 || !Number.isFinite(anchorX) || !Number.isFinite(anchorY)) return
+
+        const style = getComputedStyle(label)
+
+        // The point moves with the view; the box keeps its offset from it
+        const x = anchorX * scaleX + (rect.left - bounds.left - anchorX) * scale
+        const y = anchorY * scaleY + (rect.top - bounds.top - anchorY) * scale
+        const w = rect.width * scale
+        const h = rect.height * scale
+
+        ctx.fillStyle = style.backgroundColor
+        ctx.beginPath()
+        ctx.roundRect(x, y, w, h, parseFloat(style.borderTopLeftRadius) * scale || 0)
+        ctx.fill()
+
+        // Pointer triangle under the box (.part-label::after)
+        const pointer = getComputedStyle(label, '::after')
+        if (pointer.content && pointer.content !== 'none' && pointer.content !== 'normal') {
+            const size = parseFloat(pointer.borderLeftWidth) * scale
+            ctx.fillStyle = pointer.borderTopColor
+            ctx.beginPath()
+            ctx.moveTo(x + w / 2 - size, y + h)
+            ctx.lineTo(x + w / 2 + size, y + h)
+            ctx.lineTo(x + w / 2, y + h + size)
+            ctx.fill()
+        }
+
+        ctx.fillStyle = style.color
+        ctx.font = `${style.fontWeight} ${parseFloat(style.fontSize) * scale}px ${style.fontFamily}`
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'middle'
+        ctx.fillText(label.textContent, x + w / 2, y + h / 2)
+    })
+}
+
+/**
+ * Create an offscreen 2D canvas.
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} The canvas
+ * @private
+ */
+function createCanvas(width, height) {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    return canvas
+}
+
+/**
+ * Encode a canvas as PNG.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>} PNG image
+ * @private
+ */
+function toPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode the image')), 'image/png')
+    })
+}
+
+/**
+ * Wait for a number of milliseconds.
+ *
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ * @private
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Render the current view as a PNG image.
+ *
+ * @param {SystemViewer} viewer - The viewer (model must be loaded)
+ * @param {CaptureOptions} [options] - Size, background and labels
+ * @returns {Promise<Blob>} PNG image
+ */
+export function captureImage(viewer, options = {}) {
+    const { width, height } = resolveSize(viewer, options)
+    const canvas = createCanvas(width, height)
+
+    const endCapture = beginCapture(viewer, width, height, Boolean(options.transparent))
+    try {
+        renderFrame(viewer, canvas, options.labels !== false)
+    } finally {
+        endCapture()
+    }
+
+    return toPng(canvas)
+}
+
+/**
+ * Record a turntable or explode animation.
+ *
+ * The camera orbits the current target at its current distance (turntable),
+ * or the explosion plays from assembled to fully exploded (explode). The
+ * view is restored afterwards.
+ *
+ * WebM encoders in most browsers drop transparency; use the PNG sequence
+ * for a transparent background.
+ *
+ * @param {SystemViewer} viewer - The viewer (model must be loaded)
+ * @param {SequenceOptions} [options] - Motion, format, size, timing
+ * @returns {Promise<Blob>} WebM video or ZIP of PNG frames
+ * @throws {Error} If the browser can't record video
+ * @throws {DOMException} AbortError if cancelled through options.signal
+ */
+export async function recordSequence(viewer, options = {}) {
+    const motion = options.motion || 'turntable'
+    const format = options.format || 'webm'
+    const fps = options.fps || DEFAULT_FPS
+    const frameCount = Math.max(2, Math.round((options.duration || DEFAULT_DURATION) * fps))
+
+    const mimeType = format === 'webm'
+        ? WEBM_TYPES.find(type => window.MediaRecorder?.isTypeSupported(type))
+        : null
+    if (format === 'webm' && !mimeType) {
+        throw new Error('This browser cannot record WebM video')
+    }
+
+    const { width, height } = resolveSize(viewer, options)
+    const canvas = createCanvas(width, height)
+
+    // ===== MOTION =====
+    const { camera, controls } = viewer
+    const startPosition = camera.position.clone()
+    const startExplosion = viewer.explosionPercent
+    const offset = startPosition.clone().sub(controls.target)
+
+    const applyFrame = (t) => {
+        if (motion === 'explode') {
+            viewer.applyExplosion(t * 100)
+        } else {
+            camera.position.copy(offset)
+                .applyAxisAngle(camera.up, t * Math.PI * 2)
+                .add(controls.target)
+            camera.lookAt(controls.target)
+        }
+    }
+
+    // ===== OUTPUT =====
+    const frames = {}
+    const chunks = []
+    let recorder = null
+    let track = null
+
+    if (format === 'webm') {
+        // Frames are pushed by hand (requestFrame) once each is drawn
+        const stream = canvas.captureStream(0)
+        track = stream.getVideoTracks()[0]
+        recorder = new MediaRecorder(stream, { mimeType })
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data)
+        }
+        recorder.start()
+    }
+
+    const endCapture = beginCapture(viewer, width, height, Boolean(options.transparent))
+    const frameTime = 1000 / fps
+
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            if (options.signal?.aborted) throw new DOMException('Recording cancelled', 'AbortError')
+
+            const started = performance.now()
+
+            // Turntable: last frame stops one step short of the first (seamless loop)
+            applyFrame(motion === 'explode' ? i / (frameCount - 1) : i / frameCount)
+            renderFrame(viewer, canvas, options.labels !== false)
+
+            if (recorder) {
+                track.requestFrame()
+                // The video is timed in real time - hold each frame for its duration
+                await wait(Math.max(0, frameTime - (performance.now() - started)))
+            } else {
+                const png = await toPng(canvas)
+                frames[`frame_${String(i).padStart(4, '0')}.png`] = new Uint8Array(await png.arrayBuffer())
+            }
+
+            if (options.onProgress) options.onProgress((i + 1) / frameCount)
+        }
+    } catch (err) {
+        if (recorder) recorder.stop()
+        throw err
+    } finally {
+        endCapture()
+        camera.position.copy(startPosition)
+        camera.lookAt(controls.target)
+        if (motion === 'explode') viewer.applyExplosion(startExplosion)
+    }
+
+    if (!recorder) {
+        // PNGs are already compressed - store them as they are
+        return new Blob([zipSync(frames, { level: 0 })], { type: 'application/zip' })
+    }
+
+    return new Promise(resolve => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }))
+        recorder.stop()
+    })
+}
+
+/**
+ * Download a file.
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ * @private
+ */
+function download(blob, filename) {
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = filename
+    link.click()
+
+    // Give the browser time to start the download before freeing the file
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
+
+/**
+ * Render the export controls into a container.
+ *
+ * Shows the image size, background and label options, a button to save a
+ * PNG, and the animation recorder with progress and cancel.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'export-content')
+ * @param {SystemViewer} viewer - The viewer to export
+ * @param {string} systemId - System ID (used in file names)
+ */
+export function renderCapturePanel(containerId, viewer, systemId) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const screen = resolveSize(viewer, {})
+
+    /**
+     * Panel structure:
+     * - div.capture-size: Preset select and width/height fields
+     * - label.capture-option: Transparent background, labels
+     * - button.capture-image: Save PNG
+     * - div.capture-sequence: Motion, duration, format, record/cancel, progress
+     */
+    container.innerHTML = `
+        <div class="capture-panel">
+            <div class="capture-size">
+                <select class="capture-preset">
+                    <option value="">Screen size</option>
+                    ${SIZE_PRESETS.map((preset, i) => `<option value="${i}">${preset.label}</option>`).join('')}
+                </select>
+                <div class="capture-dimensions">
+                    <input type="number" class="capture-width" min="16" step="2" value="${screen.width}" aria-label="Width">
+                    <span>×</span>
+                    <input type="number" class="capture-height" min="16" step="2" value="${screen.height}" aria-label="Height">
+                    <span>px</span>
+                </div>
+            </div>
+            <label class="capture-option"><input type="checkbox" class="capture-transparent"> Transparent background</label>
+            <label class="capture-option"><input type="checkbox" class="capture-labels" checked> Include labels</label>
+            <button class="action-btn capture-image"><i class="ph ph-camera"></i> Save Image</button>
+
+            <div class="capture-sequence">
+                <div class="capture-row">
+                    <select class="capture-motion">
+                        <option value="turntable">Turntable</option>
+                        ${viewer.getExpandConfig() ? '<option value="explode">Explode</option>' : ''}
+                    </select>
+                    <input type="number" class="capture-duration" min="1" max="60" value="${DEFAULT_DURATION}" aria-label="Duration in seconds">
+                    <span>s</span>
+                </div>
+                <select class="capture-format">
+                    <option value="webm">WebM video</option>
+                    <option value="png">PNG sequence (.zip)</option>
+                </select>
+                <button class="action-btn capture-record"><i class="ph ph-video-camera"></i> Record</button>
+                <progress class="capture-progress" max="1" value="0" hidden></progress>
+            </div>
+            <p class="capture-status" hidden></p>
+        </div>
+    `
+
+    const widthInput = container.querySelector('.capture-width')
+    const heightInput = container.querySelector('.capture-height')
+    const recordBtn = container.querySelector('.capture-record')
+    const imageBtn = container.querySelector('.capture-image')
+    const progress = container.querySelector('.capture-progress')
+    const status = container.querySelector('.capture-status')
+
+    /** @type {AbortController|null} Cancels the running recording */
+    let recording = null
+
+    const showStatus = (message) => {
+        status.textContent = message
+        status.hidden = !message
+    }
+
+    const getOptions = () => ({
+        width: Number(widthInput.value) || screen.width,
+        height: Number(heightInput.value) || screen.height,
+        transparent: container.querySelector('.capture-transparent').checked,
+        labels: container.querySelector('.capture-labels').checked
+    })
+
+    container.querySelector('.capture-preset').addEventListener('change', (event) => {
+        const preset = SIZE_PRESETS[event.target.value] || screen
+        widthInput.value = preset.width
+        heightInput.value = preset.height
+    })
+
+    // ===== STILL IMAGE =====
+    imageBtn.addEventListener('click', async () => {
+        try {
+            download(await captureImage(viewer, getOptions()), `${systemId}.png`)
+            showStatus('')
+        } catch (err) {
+            console.error('Image export failed:', err)
+            showStatus(`Export failed: ${err.message}`)
+        }
+    })
+
+    // ===== ANIMATION (click again to cancel) =====
+    recordBtn.addEventListener('click', async () => {
+        if (recording) {
+            recording.abort()
+            return
+        }
+
+        const motion = container.querySelector('.capture-motion').value
+        const format = container.querySelector('.capture-format').value
+
+        recording = new AbortController()
+        recordBtn.innerHTML = '<i class="ph ph-stop"></i> Cancel'
+        imageBtn.disabled = true
+        progress.value = 0
+        progress.hidden = false
+        showStatus('')
+
+        try {
+            const blob = await recordSequence(viewer, {
+                ...getOptions(),
+                motion,
+                format,
+                duration: Number(container.querySelector('.capture-duration').value) || DEFAULT_DURATION,
+                onProgress: (fraction) => { progress.value = fraction },
+                signal: recording.signal
+            })
+            download(blob, `${systemId}-${motion}.${format === 'webm' ? 'webm' : 'zip'}`)
+        } catch (err) {
+            if (err.name !== 'AbortError') {
+                console.error('Recording failed:', err)
+                showStatus(`Recording failed: ${err.message}`)
+            }
+        } finally {
+            recording = null
+            recordBtn.innerHTML = '<i class="ph ph-video-camera"></i> Record'
+            imageBtn.disabled = false
+            progress.hidden = true
+        }
+    })
+}
@@ -0,0 +1,367 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/CompareView.js
+ * PURPOSE: Side-by-side comparison of two systems (e.g., design revisions)
+ *
+ * DESCRIPTION:
+ * Opened with a second system in the URL:
+ *   /viewer.html?system=table&compare=table_v2
+ *
+ * The two systems render in a split view, each in its own SystemViewer.
+ * - Cameras are synchronized: orbiting, zooming or flying to a part in
+ *   either view moves the other one the same way
+ * - Diff mode outlines the parts that were added (only in the compared
+ *   system), removed (only in the base system) or moved (assembled
+ *   position differs) and lists them in the Compare dropdown
+ *
+ * Parts are matched by mesh name, as in the system configs' part IDs.
+ *
+ * USAGE:
+ *   const compare = new CompareView(viewer, compareViewer)
+ *   renderComparePanel('compare-content', compare, 'Table', 'Table v2')
+ *
+ * STYLING:
+ * See viewer.css for the split view and panel styling (.compare-pane, .compare-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - diff outlines and camera state
+import * as THREE from 'three'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Outline colors per kind of difference */
+export const DIFF_COLORS = {
+    added: 0x3ddc84,
+    removed: 0xff5a5a,
+    moved: 0xffb020
+}
+
+/** A part counts as moved beyond this fraction of the model's size */
+const MOVE_TOLERANCE = 0.001
+
+/** Camera changes below this fraction of the view distance are ignored */
+const SYNC_EPSILON = 1e-6
+
+/**
+ * @typedef {Object} PartDiff
+ * @property {string[]} added - Mesh names only in the compared system
+ * @property {string[]} removed - Mesh names only in the base system
+ * @property {string[]} moved - Mesh names in both, at different assembled positions
+ */
+
+/**
+ * Get the assembled center of every mesh of a viewer.
+ *
+ * Centers are in the model's own coordinates: each viewer moves its
+ * model so its bounding box is centered in the scene, and adding or
+ * removing a part shifts that box (world positions would then differ
+ * for every part).
+ *
+ * @param {SystemViewer} viewer - Viewer with a loaded model
+ * @returns {Map<string, THREE.Vector3>} Model-space center per mesh name
+ * @private
+ */
+function getAssembledCenters(viewer) {
+    return viewer.withAssembledPose(() => {
+        const centers = new Map()
+        viewer.parts.forEach((mesh, name) => {
+            const center = new THREE.Box3().setFromObject(mesh).getCenter(new THREE.Vector3())
+            centers.set(name, viewer.model.worldToLocal(center))
+        })
+        return centers
+    })
+}
+
+/**
+ * Find the parts that differ between two loaded systems.
+ *
+ * @param {SystemViewer} base - Viewer of the base system (e.g., the current revision)
+ * @param {SystemViewer} other - Viewer of the compared system
+ * @returns {PartDiff} Added, removed and moved mesh names
+ */
+export function diffModels(base, other) {
+    const baseCenters = getAssembledCenters(base)
+    const otherCenters = getAssembledCenters(other)
+
+    // Tolerance relative to the larger model (absorbs float noise in exports)
+    const radius = Math.max(
+        new THREE.Box3().setFromObject(base.model).getBoundingSphere(new THREE.Sphere()).radius,
+        new THREE.Box3().setFromObject(other.model).getBoundingSphere(new THREE.Sphere()).radius
+    )
+    const tolerance = radius * MOVE_TOLERANCE
+
+    const diff = { added: [], removed: [], moved: [] }
+
+    baseCenters.forEach((center, name) => {
+        if (!otherCenters.has(name)) {
+            diff.removed.push(name)
+        } else if (center.distanceTo(otherCenters.get(name)) > tolerance) {
+            diff.moved.push(name)
+        }
+    })
+    otherCenters.forEach((center, name) => {
+        if (!baseCenters.has(name)) diff.added.push(name)
+    })
+
+    return diff
+}
+
+/**
+ * CompareView Class
+ *
+ * Links two viewers: synchronized cameras and the diff outlines.
+ *
+ * @example
+ * const compare = new CompareView(viewer, compareViewer)
+ * compare.setDiffEnabled(true)
+ * compare.diff.moved   // ['Table_Leg_1', ...]
+ */
+export class CompareView {
+    /**
+     * Link two viewers (both models must be loaded).
+     *
+     * @param {SystemViewer} viewer - Base system (left)
+     * @param {SystemViewer} compareViewer - Compared system (right)
+     */
+    constructor(viewer, compareViewer) {
+        /** @type {SystemViewer} Base system */
+        this.viewer = viewer
+
+        /** @type {SystemViewer} Compared system */
+        this.compareViewer = compareViewer
+
+        /** @type {PartDiff} Differences between the two systems */
+        this.diff = diffModels(viewer, compareViewer)
+
+        /** @type {boolean} Whether the differences are outlined */
+        this.diffEnabled = false
+
+        /**
+         * @type {function(): void|null}
+         * Called when diff mode is turned on or off
+         */
+        this.onChange = null
+
+        /** @type {SystemViewer} Viewer the user interacted with last (wins if both cameras moved) */
+        this._leader = viewer
+
+        /** @type {{position: THREE.Vector3, target: THREE.Vector3}|null} Camera state at the last sync */
+        this._synced = null
+
+        /** @type {Map<SystemViewer, THREE.Group>} Diff outlines per viewer */
+        this._outlines = new Map()
+
+        // The compared view follows the base view (and vice versa)
+        compareViewer.setAutoRotate(false)
+        for (const v of [viewer, compareViewer]) {
+            v.controls.addEventListener('start', () => { this._leader = v })
+            v.addFrameListener(this.syncCameras.bind(this))
+            v.addFrameListener(() => this.updateOutlines(v))
+        }
+
+        this.createOutlines()
+    }
+
+    /**
+     * Copy the camera that moved since the last sync to the other viewer.
+     *
+     * Runs in both viewers' frame loops, so whichever view is orbited,
+     * zoomed or animated drives the other one.
+     *
+     * @private
+     */
+    syncCameras() {
+        const { viewer, compareViewer } = this
+        const moved = [viewer, compareViewer].filter(v => !this.matchesSynced(v))
+        if (moved.length === 0) return
+
+        const source = moved.length === 1 ? moved[0] : this._leader
+        const target = source === viewer ? compareViewer : viewer
+
+        target.camera.position.copy(source.camera.position)
+        target.camera.quaternion.copy(source.camera.quaternion)
+        target.controls.target.copy(source.controls.target)
+
+        this._synced = {
+            position: source.camera.position.clone(),
+            target: source.controls.target.clone()
+        }
+    }
+
+    /**
+     * Check whether a viewer's camera is still where it was at the last sync.
+     *
+     * @param {SystemViewer} v - Viewer to check
+     * @returns {boolean} True if the camera hasn't moved
+     * @private
+     */
+    matchesSynced(v) {
+        if (!this._synced) return false
+
+        const epsilon = Math.max(v.camera.position.distanceTo(v.controls.target), 1) * SYNC_EPSILON
+        return v.camera.position.distanceTo(this._synced.position) <= epsilon &&
+            v.controls.target.distanceTo(this._synced.target) <= epsilon
+    }
+
+    /**
+     * Create the (hidden) outlines of the differing parts in both viewers.
+     *
+     * @private
+     */
+    createOutlines() {
+        const add = (v, names, color) => {
+            if (!this._outlines.has(v)) {
+                const group = new THREE.Group()
+                group.name = 'CompareDiff'
+                group.visible = false
+                v.scene.add(group)
+                this._outlines.set(v, group)
+            }
+            names.forEach(name => {
+                const helper = new THREE.BoxHelper(v.parts.get(name), color)
+                helper.userData.mesh = v.parts.get(name)
+                this._outlines.get(v).add(helper)
+            })
+        }
+
+        add(this.viewer, this.diff.removed, DIFF_COLORS.removed)
+        add(this.viewer, this.diff.moved, DIFF_COLORS.moved)
+        add(this.compareViewer, this.diff.added, DIFF_COLORS.added)
+        add(this.compareViewer, this.diff.moved, DIFF_COLORS.moved)
+    }
+
+    /**
+     * Keep the outlines on their parts (explosion) and hide those of hidden parts.
+     *
+     * @param {SystemViewer} v - Viewer whose outlines to update
+     * @private
+     */
+    updateOutlines(v) {
+        const group = this._outlines.get(v)
+        if (!group || !group.visible) return
+
+        group.children.forEach(helper => {
+            helper.visible = helper.userData.mesh.visible
+            if (helper.visible) helper.update()
+        })
+    }
+
+    /**
+     * Turn diff mode (outlines of added, removed and moved parts) on or off.
+     *
+     * @param {boolean} enabled - Whether to outline the differences
+     */
+    setDiffEnabled(enabled) {
+        this.diffEnabled = enabled
+        this._outlines.forEach(group => { group.visible = enabled })
+
+        if (this.onChange) this.onChange()
+    }
+
+    /**
+     * Fly both cameras to a differing part.
+     *
+     * @param {'added'|'removed'|'moved'} kind - Kind of difference
+     * @param {string} name - Mesh name
+     */
+    focus(kind, name) {
+        // Added parts only exist in the compared view; the other camera follows
+        const v = kind === 'added' ? this.compareViewer : this.viewer
+        this._leader = v
+        v.frameParts(name)
+    }
+
+    /**
+     * Get the display name of a part.
+     *
+     * @param {string} name - Mesh name
+     * @returns {string} Name from either system's config, or the mesh name
+     */
+    getPartName(name) {
+        return this.viewer.partTree.get(name)?.name ||
+            this.compareViewer.partTree.get(name)?.name ||
+            name
+    }
+}
+
+/**
+ * Render the comparison controls into a container.
+ *
+ * Shows the two system names, the diff toggle and the lists of added,
+ * removed and moved parts (click to fly to a part).
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'compare-content')
+ * @param {CompareView} compare - The comparison to control
+ * @param {string} baseName - Name of the base system
+ * @param {string} compareName - Name of the compared system
+ */
+export function renderComparePanel(containerId, compare, baseName, compareName) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const kinds = [
+        { kind: 'added', label: 'Added' },
+        { kind: 'removed', label: 'Removed' },
+        { kind: 'moved', label: 'Moved' }
+    ]
+    const total = kinds.reduce((sum, { kind }) => sum + compare.diff[kind].length, 0)
+
+    const render = () => {
+        /**
+         * Panel structure:
+         * - p.compare-systems: Base ↔ compared system
+         * - label.compare-toggle: Diff mode checkbox
+         * - div.compare-group (per kind): Heading with count, part list
+         */
+        container.innerHTML = `
+            <div class="compare-panel">
+                <p class="compare-systems"><span></span> <i class="ph ph-arrows-left-right"></i> <span></span></p>
+                <label class="compare-toggle">
+                    <input type="checkbox" ${compare.diffEnabled ? 'checked' : ''}> Show differences
+                </label>
+                ${total === 0 ? '<p class="dropdown-placeholder">No added, removed or moved parts.</p>' : ''}
+                ${kinds.filter(({ kind }) => compare.diff[kind].length > 0).map(({ kind, label }) => `
+                    <div class="compare-group">
+                        <h4><span class="compare-swatch" style="background: #${DIFF_COLORS[kind].toString(16).padStart(6, '0')}"></span>${label} (${compare.diff[kind].length})</h4>
+                        <ul>
+                            ${compare.diff[kind].map((_, i) => `
+                                <li data-kind="${kind}" data-index="${i}"></li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+        `
+
+        // System and part names can come from dropped files - set as text, not HTML
+        const [baseLabel, compareLabel] = container.querySelectorAll('.compare-systems span')
+        baseLabel.textContent = baseName
+        compareLabel.textContent = compareName
+
+        container.querySelector('.compare-toggle input').addEventListener('change', (e) => {
+            compare.setDiffEnabled(e.target.checked)
+        })
+
+        container.querySelectorAll('.compare-group li').forEach(item => {
+            const name = compare.diff[item.dataset.kind][item.dataset.index]
+            item.dataset.name = name
+            item.textContent = compare.getPartName(name)
+
+            item.addEventListener('click', () => {
+                // Show the outlines so the part is easy to spot
+                if (!compare.diffEnabled) compare.setDiffEnabled(true)
+                compare.focus(item.dataset.kind, item.dataset.name)
+            })
+        })
+    }
+
+    compare.onChange = render
+    render()
+}
@@ -0,0 +1,577 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/JointTool.js
+ * PURPOSE: Movable joints (hinges and slides) of a system
+ *
+ * DESCRIPTION:
+ * Parts that move in the real product (a laptop lid, a drawer, a door) can
+ * be declared as joints in the system config. Each joint gets a slider in
+ * the sidebar, and the part can be dragged on the canvas within its limits.
+ *
+ * JOINTS CONFIG FORMAT:
+ *   joints: [
+ *       {
+ *           id: 'lid',
+ *           name: 'Lid',
+ *           part: 'Laptop_Lid',            // Part or assembly that moves
+ *           type: 'hinge',                 // 'hinge' rotates, 'slider' translates
+ *           axis: { x: 1, y: 0, z: 0 },    // Rotation or slide axis
+ *           pivot: { x: 0, y: -0.1, z: 0 },// Point on the hinge axis (hinges only)
+ *           min: 0,                        // Limits: degrees (hinge) or model units (slider)
+ *           max: 120,
+ *           value: 90                      // Position when the model loads (default 0)
+ *       }
+ *   ]
+ *
+ * Axis and pivot are in the coordinates of the part's parent node, like
+ * expandConfig offsets. Without a pivot, a hinge turns about the center
+ * of the part's bounding box.
+ *
+ * HOW IT WORKS:
+ * Each jointed part is moved into an unnamed group placed at the pivot,
+ * and the joint rotates or moves that group. The part keeps its own
+ * position inside the group, so the explosion slider still moves it
+ * (along its offset turned with the hinge) and both can be combined.
+ * Parts of a config-only assembly must share a parent node in the model.
+ *
+ * USAGE:
+ *   const joints = new JointTool(viewer, systemConfig)
+ *   renderJointPanel('joints-content', joints, resolveUnits(systemConfig))
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.joint-panel, .joint-row)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - joint groups and drag math
+import * as THREE from 'three'
+
+// Units: Slide distances in the system's length unit
+import { formatLength } from './Units.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Pointer movement (px) after which a press on a jointed part is a drag, not a click */
+const DRAG_TOLERANCE = 3
+
+/**
+ * Hinges whose axis points this much towards the camera (cosine) follow
+ * the pointer around the pivot; others follow the pointer along the
+ * direction the grabbed point moves.
+ */
+const FACING_AXIS_COSINE = 0.5
+
+/** Screen movement (px per degree or model unit) below which a joint can't be dragged */
+const MIN_SCREEN_RATE = 1e-6
+
+/** Slider steps of a slide joint's range */
+const SLIDER_STEPS = 200
+
+/**
+ * @typedef {Object} Joint
+ * @property {string} id - Joint ID from the config
+ * @property {string} name - Name shown in the panel
+ * @property {string} part - Part or assembly that moves
+ * @property {'hinge'|'slider'} type - Rotation or translation
+ * @property {THREE.Vector3} axis - Unit axis (parent node coordinates)
+ * @property {THREE.Vector3} pivot - Point on the hinge axis (parent node coordinates)
+ * @property {number} min - Lower limit (degrees or model units)
+ * @property {number} max - Upper limit (degrees or model units)
+ * @property {number} initial - Position when the model loaded
+ * @property {number} value - Current position
+ * @property {THREE.Group} group - Group the joint rotates or moves
+ * @property {boolean} available - Whether the shown variant has the part (only these are listed)
+ */
+
+/**
+ * Find the nodes of a list that are not inside another node of the list.
+ *
+ * @param {THREE.Object3D[]} objects - Nodes of a part subtree
+ * @returns {THREE.Object3D[]} The outermost nodes
+ * @private
+ */
+function getOutermost(objects) {
+    const set = new Set(objects)
+    return objects.filter(object => {
+        for (let ancestor = object.parent; ancestor; ancestor = ancestor.parent) {
+            if (set.has(ancestor)) return false
+        }
+        return true
+    })
+}
+
+/**
+ * JointTool Class
+ *
+ * Owns the joints of one SystemViewer: their groups in the model, their
+ * positions, and dragging jointed parts on the canvas.
+ *
+ * @example
+ * const joints = new JointTool(viewer, systems.laptop)
+ * joints.setValue('lid', 45)   // Half-open
+ * joints.reset()               // Back to the configured positions
+ */
+export class JointTool {
+    /**
+     * Create the joints of a system (model must be loaded).
+     *
+     * @param {SystemViewer} viewer - The viewer showing the model
+     * @param {Object} systemConfig - System configuration with `joints`
+     */
+    constructor(viewer, systemConfig) {
+        /** @type {SystemViewer} The viewer showing the model */
+        this.viewer = viewer
+
+        /** @type {Joint[]} Joints that could be set up, in config order */
+        this.joints = []
+
+        /** @type {boolean} Whether jointed parts can be dragged on the canvas */
+        this.dragEnabled = true
+
+        /**
+         * @type {function(): void|null}
+         * Called when a joint moves or the drag toggle changes
+         */
+        this.onChange = null
+
+        /** @type {Object|null} State of the drag in progress */
+        this._drag = null
+
+        // Joints that can't be set up are skipped with a warning
+        const definitions = systemConfig?.joints || []
+        definitions.forEach(def => {
+            const joint = this.createJoint(def)
+            if (joint) this.joints.push(joint)
+        })
+
+        // The variant shown first may leave some of the parts out
+        this.refresh()
+
+        if (this.joints.length === 0) return
+
+        // Capture phase: decide before OrbitControls whether a press starts a drag
+        const canvas = viewer.canvas
+        canvas.addEventListener('pointerdown', this.onPointerDown.bind(this), { capture: true })
+        canvas.addEventListener('pointermove', this.onPointerMove.bind(this))
+        canvas.addEventListener('pointerup', this.onPointerUp.bind(this))
+        canvas.addEventListener('pointercancel', this.onPointerUp.bind(this))
+    }
+
+    /**
+     * Set up one joint: move its part into a group at the pivot.
+     *
+     * @param {Object} def - Joint entry of the config
+     * @returns {Joint|null} The joint, or null if it can't be set up
+     * @private
+     */
+    createJoint(def) {
+        const viewer = this.viewer
+        const objects = getOutermost(viewer.getPartObjects(def.part))
+        if (objects.length === 0) {
+            console.warn(`Joint "${def.id}": no node for part "${def.part}"`)
+            return null
+        }
+
+        const parent = objects[0].parent
+        if (objects.some(object => object.parent !== parent)) {
+            console.warn(`Joint "${def.id}": the nodes of "${def.part}" have different parents`)
+            return null
+        }
+
+        const axis = new THREE.Vector3(def.axis?.x || 0, def.axis?.y || 0, def.axis?.z || 0)
+        if (axis.lengthSq() === 0) {
+            console.warn(`Joint "${def.id}": axis has no direction`)
+            return null
+        }
+        axis.normalize()
+
+        // Hinges default to the center of the part; slides need no pivot
+        const pivot = new THREE.Vector3()
+        if (def.type === 'hinge') {
+            if (def.pivot) {
+                pivot.set(def.pivot.x || 0, def.pivot.y || 0, def.pivot.z || 0)
+            } else {
+                viewer.model.updateMatrixWorld(true)
+                const box = new THREE.Box3()
+                objects.forEach(object => box.expandByObject(object))
+                parent.worldToLocal(box.getCenter(pivot))
+            }
+        }
+
+        // Group at the pivot; the part keeps its place, now relative to the pivot.
+        // The assembled positions move with it so the explosion still works.
+        const group = new THREE.Group()
+        group.position.copy(pivot)
+        parent.add(group)
+        objects.forEach(object => {
+            group.add(object)
+            object.position.sub(pivot)
+            viewer.originalPositions.get(object.name)?.sub(pivot)
+        })
+
+        const min = Math.min(def.min, def.max)
+        const max = Math.max(def.min, def.max)
+        const initial = THREE.MathUtils.clamp(def.value ?? 0, min, max)
+
+        const joint = {
+            id: def.id,
+            name: def.name || def.id,
+            part: def.part,
+            type: def.type === 'hinge' ? 'hinge' : 'slider',
+            axis,
+            pivot,
+            min,
+            max,
+            initial,
+            value: initial,
+            group,
+            available: true
+        }
+        this.applyJoint(joint)
+        return joint
+    }
+
+    /**
+     * Get a joint by ID.
+     *
+     * @param {string} id - Joint ID
+     * @returns {Joint|undefined} The joint
+     */
+    getJoint(id) {
+        return this.joints.find(joint => joint.id === id)
+    }
+
+    /**
+     * Move a joint (clamped to its limits).
+     *
+     * @param {string} id - Joint ID
+     * @param {number} value - Angle in degrees (hinge) or distance in model units (slider)
+     */
+    setValue(id, value) {
+        const joint = this.getJoint(id)
+        if (!joint) return
+
+        joint.value = THREE.MathUtils.clamp(value, joint.min, joint.max)
+        this.applyJoint(joint)
+        this.notifyChange()
+    }
+
+    /**
+     * Move one joint, or all of them, back to the configured position.
+     *
+     * @param {string} [id] - Joint ID (all joints if omitted)
+     */
+    reset(id) {
+        this.joints
+            .filter(joint => id === undefined || joint.id === id)
+            .forEach(joint => {
+                joint.value = joint.initial
+                this.applyJoint(joint)
+            })
+        this.notifyChange()
+    }
+
+    /**
+     * Follow a variant change: joints of parts the variant leaves out are
+     * no longer listed (the part can't be dragged either, it is hidden).
+     */
+    refresh() {
+        const variantHidden = this.viewer.variantHiddenParts
+        this.joints.forEach(joint => {
+            joint.available = !this.viewer.getMeshIds(joint.part).every(id => variantHidden.has(id))
+        })
+        this.notifyChange()
+    }
+
+    /**
+     * Check whether the shown variant has any joints.
+     *
+     * @returns {boolean} True if at least one joint is listed
+     */
+    hasAvailableJoints() {
+        return this.joints.some(joint => joint.available)
+    }
+
+    /**
+     * Turn dragging jointed parts on the canvas on or off.
+     *
+     * @param {boolean} enabled - Whether pressing a jointed part drags it
+     */
+    setDragEnabled(enabled) {
+        this.dragEnabled = enabled
+        if (!enabled) this.viewer.canvas.style.cursor = ''
+        this.notifyChange()
+    }
+
+    /**
+     * Rotate or move a joint's group to its value.
+     *
+     * @param {Joint} joint - Joint to update
+     * @private
+     */
+    applyJoint(joint) {
+        if (joint.type === 'hinge') {
+            joint.group.quaternion.setFromAxisAngle(joint.axis, THREE.MathUtils.degToRad(joint.value))
+        } else {
+            joint.group.position.copy(joint.pivot).addScaledVector(joint.axis, joint.value)
+        }
+    }
+
+    /**
+     * Find the joint that moves a mesh (the innermost one for nested joints).
+     *
+     * @param {THREE.Object3D} object - Mesh hit by a raycast
+     * @returns {Joint|null} The joint, or null if the mesh is not jointed
+     * @private
+     */
+    findJoint(object) {
+        for (let node = object; node; node = node.parent) {
+            const joint = this.joints.find(j => j.group === node)
+            if (joint) return joint
+        }
+        return null
+    }
+
+    /**
+     * Get the joint under the pointer, if dragging is possible right now.
+     *
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {{joint: Joint, hit: THREE.Intersection}|null} Joint and hit, or null
+     * @private
+     */
+    pickJoint(event) {
+        // Tools that take clicks (measuring, notes) have priority
+        if (!this.dragEnabled || this.viewer.pickHandler) return null
+
+        const hit = this.viewer.pickHit(event)
+        const joint = hit && this.findJoint(hit.object)
+        return joint ? { joint, hit } : null
+    }
+
+    /**
+     * Start dragging the jointed part under the pointer.
+     *
+     * @param {PointerEvent} event - The pointerdown event
+     * @private
+     */
+    onPointerDown(event) {
+        if (event.button !== 0) return
+
+        const picked = this.pickJoint(event)
+        if (!picked) return
+
+        const { joint, hit } = picked
+        const viewer = this.viewer
+        const parent = joint.group.parent
+
+        // Don't orbit while dragging
+        viewer.controls.enabled = false
+        viewer.controls.autoRotate = false
+        viewer.canvas.setPointerCapture(event.pointerId)
+        viewer.canvas.style.cursor = 'grabbing'
+
+        // Screen position (px) of a point given in the joint's parent coordinates
+        const rect = viewer.canvas.getBoundingClientRect()
+        const toScreen = (local) => {
+            const ndc = parent.localToWorld(local.clone()).project(viewer.camera)
+            return new THREE.Vector2((ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height)
+        }
+
+        // How far the grabbed point moves on screen per degree or model unit
+        const grabbed = parent.worldToLocal(hit.point.clone())
+        const moved = joint.type === 'hinge'
+            ? grabbed.clone().sub(joint.pivot).applyAxisAngle(joint.axis, THREE.MathUtils.degToRad(1)).add(joint.pivot)
+            : grabbed.clone().add(joint.axis)
+        const start = toScreen(grabbed)
+        const rate = toScreen(moved).sub(start)
+
+        // Hinges seen along their axis follow the pointer around the pivot
+        const axisWorld = joint.axis.clone().transformDirection(parent.matrixWorld)
+        const pivotWorld = parent.localToWorld(joint.pivot.clone())
+        const toCamera = viewer.camera.position.clone().sub(pivotWorld).normalize()
+        const facing = axisWorld.dot(toCamera)
+
+        this._drag = {
+            joint,
+            pointerId: event.pointerId,
+            startX: event.clientX,
+            startY: event.clientY,
+            startValue: joint.value,
+            moved: false,
+            rate,
+            around: joint.type === 'hinge' && Math.abs(facing) >= FACING_AXIS_COSINE
+                ? { center: toScreen(joint.pivot), sign: Math.sign(facing), rect }
+                : null
+        }
+    }
+
+    /**
+     * Move the dragged joint, or show which parts can be dragged.
+     *
+     * @param {PointerEvent} event - The pointermove event
+     * @private
+     */
+    onPointerMove(event) {
+        const drag = this._drag
+        if (!drag) {
+            // Hover feedback (not while orbiting with a button held)
+            if (event.buttons === 0 && this.dragEnabled) {
+                this.viewer.canvas.style.cursor = this.pickJoint(event) ? 'grab' : ''
+            }
+            return
+        }
+        if (event.pointerId !== drag.pointerId) return
+
+        const dx = event.clientX - drag.startX
+        const dy = event.clientY - drag.startY
+        if (!drag.moved && Math.hypot(dx, dy) <= DRAG_TOLERANCE) return
+        drag.moved = true
+
+        let delta
+        if (drag.around) {
+            // Angle swept around the pivot on screen (y points down on screen,
+            // so a positive turn about an axis facing the camera lowers it)
+            const { center, sign, rect } = drag.around
+            const startAngle = Math.atan2(drag.startY - rect.top - center.y, drag.startX - rect.left - center.x)
+            const angle = Math.atan2(event.clientY - rect.top - center.y, event.clientX - rect.left - center.x)
+            const swept = Math.atan2(Math.sin(angle - startAngle), Math.cos(angle - startAngle))
+            delta = -sign * THREE.MathUtils.radToDeg(swept)
+        } else {
+            // Pointer movement along the grabbed point's screen direction
+            const lengthSq = drag.rate.lengthSq()
+            if (lengthSq < MIN_SCREEN_RATE) return
+            delta = (dx * drag.rate.x + dy * drag.rate.y) / lengthSq
+        }
+
+        this.setValue(drag.joint.id, drag.startValue + delta)
+    }
+
+    /**
+     * End the drag; a release after dragging is not a click on the part.
+     *
+     * @param {PointerEvent} event - The pointerup or pointercancel event
+     * @private
+     */
+    onPointerUp(event) {
+        const drag = this._drag
+        if (!drag || event.pointerId !== drag.pointerId) return
+
+        this._drag = null
+        this.viewer.controls.enabled = true
+        this.viewer.canvas.style.cursor = 'grab'
+        if (this.viewer.canvas.hasPointerCapture(event.pointerId)) {
+            this.viewer.canvas.releasePointerCapture(event.pointerId)
+        }
+        if (drag.moved) this.swallowNextClick()
+    }
+
+    /**
+     * Ignore the click that follows a drag.
+     *
+     * @private
+     */
+    swallowNextClick() {
+        const canvas = this.viewer.canvas
+        const swallow = (event) => event.stopImmediatePropagation()
+
+        // Capture listeners on the target run before the viewer's own click handler
+        canvas.addEventListener('click', swallow, { capture: true, once: true })
+
+        // If no click follows, don't eat a later one
+        setTimeout(() => canvas.removeEventListener('click', swallow, { capture: true }), 0)
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the joint controls into a container.
+ *
+ * Shows one slider per joint (with its current angle or distance and a
+ * reset button), and the toggle for dragging parts on the canvas.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'joints-content')
+ * @param {JointTool} tool - The joints to control
+ * @param {Units} units - Units for slide distances (see Units.js)
+ */
+export function renderJointPanel(containerId, tool, units) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const formatValue = (joint) => joint.type === 'hinge'
+        ? `${Math.round(joint.value)}°`
+        : formatLength(joint.value, units)
+
+    const render = () => {
+        /**
+         * Panel structure:
+         * - div.joint-row (per joint): Name, value, slider and reset button
+         * - label.toggle-switch: Dragging on the canvas on/off
+         * - button.action-btn: Reset all joints
+         */
+        const joints = tool.joints.filter(joint => joint.available)
+        container.innerHTML = `
+            <div class="joint-panel">
+                ${joints.map(joint => `
+                    <div class="joint-row">
+                        <div class="joint-header">
+                            <span class="joint-name"></span>
+                            <span class="joint-value">${formatValue(joint)}</span>
+                            <button class="joint-reset" title="Reset"><i class="ph ph-arrow-counter-clockwise"></i></button>
+                        </div>
+                        <input type="range" min="${joint.min}" max="${joint.max}"
+                            step="${joint.type === 'hinge' ? 1 : (joint.max - joint.min) / SLIDER_STEPS}" value="${joint.value}">
+                    </div>
+                `).join('')}
+                <label class="toggle-switch">
+                    <input type="checkbox" class="joint-drag" ${tool.dragEnabled ? 'checked' : ''}>
+                    <span class="toggle-slider"></span>
+                    <span class="toggle-label">Drag Parts in 3D View</span>
+                </label>
+                <button class="action-btn joint-reset-all">Reset All</button>
+            </div>
+        `
+
+        // Joint IDs and names come from the config (possibly a runtime manifest) - set as text, not HTML
+        container.querySelectorAll('.joint-row').forEach((row, index) => {
+            const joint = joints[index]
+            const id = joint.id
+            row.dataset.id = id
+            row.querySelector('.joint-name').textContent = joint.name
+            const label = row.querySelector('.joint-value')
+
+            // Slider moves the joint without re-rendering the panel mid-drag
+            const slider = row.querySelector('input[type="range"]')
+            slider.addEventListener('input', () => {
+                const onChange = tool.onChange
+                tool.onChange = null
+                tool.setValue(id, Number(slider.value))
+                tool.onChange = onChange
+                label.textContent = formatValue(joint)
+            })
+
+            row.querySelector('.joint-reset').addEventListener('click', () => tool.reset(id))
+        })
+
+        container.querySelector('.joint-drag').addEventListener('change', (e) => {
+            tool.setDragEnabled(e.target.checked)
+        })
+        container.querySelector('.joint-reset-all').addEventListener('click', () => tool.reset())
+    }
+
+    tool.onChange = render
+    render()
+}
@@ -0,0 +1,210 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/LoadingOverlay.js
+ * PURPOSE: Loading progress and error screens over the 3D canvas
+ *
+ * DESCRIPTION:
+ * While the model downloads, the overlay shows a progress bar with the
+ * bytes received (and the file size when the server sends it) and a
+ * cancel button. When the system cannot be shown, it explains why and
+ * offers what can be done about it:
+ *
+ * - system-not-found: Unknown system ID in the URL
+ * - no-local-model: ?system=local, but no dropped model is stored
+ * - no-model: Placeholder system without a modelPath ("coming soon")
+ * - not-found: The model file does not exist on the server
+ * - network: The download failed
+ * - parse: The file is not a valid model
+ * - unsupported: The viewer has no loader for the file's format
+ * - cancelled: The user cancelled the download
+ *
+ * Every error screen links back to the systems page; errors that may go
+ * away on a second try also have a retry button.
+ *
+ * USAGE:
+ *   const overlay = createLoadingOverlay('load-overlay', {
+ *       onCancel: () => abortController.abort(),
+ *       onRetry: () => window.location.reload()
+ *   })
+ *   overlay.showProgress({ loaded: 1200000, total: 4500000 })
+ *   overlay.showError('not-found', 'table.glb was not found on the server')
+ *   overlay.hide()
+ *
+ * STYLING:
+ * See viewer.css for the overlay styling (.load-overlay, .load-bar)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/** URL of the systems page ("back to systems") */
+const SYSTEMS_URL = '/'
+
+/**
+ * Error screens by reason.
+ * - icon: Phosphor icon class
+ * - title: Heading
+ * - message: Explanation (the error's own message is shown below it)
+ * - retry: Whether trying again can help
+ */
+export const LOAD_ERROR_STATES = {
+    'system-not-found': {
+        icon: 'ph-question',
+        title: 'System not found',
+        message: 'There is no system with this name. It may have been renamed or removed.',
+        retry: true
+    },
+    'no-local-model': {
+        icon: 'ph-file-x',
+        title: 'No dropped model',
+        message: 'The dropped model is no longer stored in this browser. Drop the file onto the systems page again.',
+        retry: false
+    },
+    'no-model': {
+        icon: 'ph-hourglass',
+        title: 'Coming soon',
+        message: 'This system does not have a 3D model yet.',
+        retry: false
+    },
+    'not-found': {
+        icon: 'ph-file-x',
+        title: 'Model file not found',
+        message: 'The model file of this system is missing on the server.',
+        retry: true
+    },
+    network: {
+        icon: 'ph-wifi-slash',
+        title: 'Download failed',
+        message: 'The model could not be downloaded. Check your connection and try again.',
+        retry: true
+    },
+    parse: {
+        icon: 'ph-warning',
+        title: 'Model could not be read',
+        message: 'The model file is damaged or not a valid 3D model.',
+        retry: true
+    },
+    unsupported: {
+        icon: 'ph-file-dashed',
+        title: 'Unsupported format',
+        message: 'The viewer cannot open this kind of file. Use glTF (.glb, .gltf), OBJ, STL or 3MF.',
+        retry: false
+    },
+    cancelled: {
+        icon: 'ph-x-circle',
+        title: 'Loading cancelled',
+        message: 'The model was not loaded.',
+        retry: true
+    }
+}
+
+/**
+ * Format a byte count.
+ *
+ * @param {number} bytes - Number of bytes
+ * @returns {string} e.g. "820 KB" or "4.5 MB"
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Create the loading overlay.
+ *
+ * @param {string} overlayId - The ID of the overlay element (e.g., 'load-overlay')
+ * @param {Object} [handlers] - Button handlers
+ * @param {function(): void} [handlers.onCancel] - Cancel button during the download
+ * @param {function(): void} [handlers.onRetry] - Retry button on error screens
+ * @returns {{showProgress: function({loaded: number, total: number}=): void, showError: function(string, string=): void, hide: function(): void}|null}
+ *   Overlay controls, or null if the element is missing
+ */
+export function createLoadingOverlay(overlayId, handlers = {}) {
+    const overlay = document.getElementById(overlayId)
+    if (!overlay) return null
+
+    /** Progress elements, while the progress screen is shown */
+    let progressView = null
+
+    /**
+     * Show the download progress.
+     *
+     * Without a total (the server sent no size), the bar runs without
+     * an end and only the received bytes are shown.
+     *
+     * @param {{loaded: number, total: number}} [progress] - Bytes received and file size (0 if unknown)
+     */
+    const showProgress = ({ loaded = 0, total = 0 } = {}) => {
+        if (!progressView) {
+            overlay.innerHTML = `
+                <div class="load-card">
+                    <p class="load-title">Loading model...</p>
+                    <div class="load-bar"><div class="load-bar-fill"></div></div>
+                    <p class="load-bytes"></p>
+                    ${handlers.onCancel ? '<button class="action-btn load-cancel"><i class="ph ph-x"></i> Cancel</button>' : ''}
+                </div>
+            `
+            overlay.querySelector('.load-cancel')?.addEventListener('click', handlers.onCancel)
+
+            progressView = {
+                bar: overlay.querySelector('.load-bar'),
+                fill: overlay.querySelector('.load-bar-fill'),
+                bytes: overlay.querySelector('.load-bytes')
+            }
+            overlay.hidden = false
+        }
+
+        const known = total > 0
+        progressView.bar.classList.toggle('indeterminate', !known)
+        progressView.fill.style.width = known ? `${Math.min(loaded / total, 1) * 100}%` : ''
+
+        if (known) {
+            progressView.bytes.textContent = `${formatBytes(loaded)} of ${formatBytes(total)}`
+        } else {
+            progressView.bytes.textContent = loaded > 0 ? `${formatBytes(loaded)} received` : 'Connecting...'
+        }
+    }
+
+    /**
+     * Show an error screen.
+     *
+     * @param {string} reason - Key of LOAD_ERROR_STATES (unknown reasons show as a parse error)
+     * @param {string} [detail] - The error's own message (e.g., which file is missing)
+     */
+    const showError = (reason, detail = '') => {
+        const state = LOAD_ERROR_STATES[reason] || LOAD_ERROR_STATES.parse
+        progressView = null
+
+        overlay.innerHTML = `
+            <div class="load-card load-error">
+                <i class="ph ${state.icon} load-icon"></i>
+                <p class="load-title"></p>
+                <p class="load-message"></p>
+                <p class="load-detail"></p>
+                <div class="load-actions">
+                    ${state.retry && handlers.onRetry ? '<button class="action-btn load-retry"><i class="ph ph-arrow-clockwise"></i> Retry</button>' : ''}
+                    <a class="action-btn load-back" href="${SYSTEMS_URL}"><i class="ph ph-arrow-left"></i> Back to Systems</a>
+                </div>
+            </div>
+        `
+        overlay.querySelector('.load-title').textContent = state.title
+        overlay.querySelector('.load-message').textContent = state.message
+        overlay.querySelector('.load-detail').textContent = detail
+        overlay.querySelector('.load-retry')?.addEventListener('click', handlers.onRetry)
+        overlay.hidden = false
+    }
+
+    /**
+     * Remove the overlay (the model is shown).
+     */
+    const hide = () => {
+        progressView = null
+        overlay.hidden = true
+        overlay.innerHTML = ''
+    }
+
+    return { showProgress, showError, hide }
+}
@@ -0,0 +1,396 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/LocalModel.js
+ * PURPOSE: Preview local model files dropped onto the page
+ *
+ * DESCRIPTION:
+ * A model file (glTF, OBJ, STL or 3MF, see ModelLoader.js) or a folder
+ * holding one with its resources (.gltf buffers and textures, .obj with its
+ * .mtl) can be dropped onto the landing page or the viewer. The files never
+ * leave the browser:
+ *
+ * 1. The dropped files are kept in IndexedDB, so the viewer page (and a
+ *    reload of it) can read them: /viewer.html?system=local
+ *
+ * 2. The viewer loads the model through SystemViewer.loadModel from an
+ *    object URL. A LoadingManager maps the paths inside a .gltf or .obj
+ *    ("textures/wood.png") to object URLs of the dropped files.
+ *
+ * 3. The config of a local system has no parts, so SystemViewer lists the
+ *    meshes as parts (PartTree.js) and generates explode offsets
+ *    (AutoExplode.js).
+ *
+ * 4. The session can be saved as a new system config JSON (Export dropdown):
+ *    the parts list and the explode offsets in use, with the modelPath set
+ *    to ../models/<file> so it works as public/systems/<id>.json once the
+ *    model is copied to public/models/ (see SystemLoader.js).
+ *
+ * USAGE:
+ *   setupFileDrop(element, async (files) => {
+ *       await storeLocalFiles(files)
+ *       window.location.href = LOCAL_VIEWER_URL
+ *   })
+ *
+ *   const local = await openLocalSystem()   // viewer.js
+ *   await viewer.loadModel(local.config.modelPath, local.config, local.loadOptions)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - LoadingManager for the files inside a .gltf
+import * as THREE from 'three'
+
+// ModelLoader: Model formats the viewer can open
+import { MODEL_EXTENSIONS, getModelFormat } from './ModelLoader.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** System ID of the dropped model in viewer URLs */
+export const LOCAL_SYSTEM_ID = 'local'
+
+/** Viewer page for the dropped model */
+export const LOCAL_VIEWER_URL = `/viewer.html?system=${LOCAL_SYSTEM_ID}`
+
+/** IndexedDB database and store holding the dropped files */
+const DB_NAME = 'tnkr-local'
+const DB_STORE = 'files'
+
+/** Key of the dropped files in the store (only the last drop is kept) */
+const DB_KEY = 'dropped'
+
+/**
+ * @typedef {Object} LocalFile
+ * @property {string} path - Path within the drop, e.g., 'robot/textures/arm.png'
+ * @property {File} file - The file
+ */
+
+// ============================================================================
+// DROPPED FILES
+// ============================================================================
+
+/**
+ * Read all files below a dropped directory entry.
+ *
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} prefix - Path of the entry's directory within the drop
+ * @returns {Promise<LocalFile[]>} Files with their paths
+ * @private
+ */
+async function readEntry(entry, prefix) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+        return [{ path: prefix + entry.name, file }]
+    }
+
+    // readEntries returns the directory in batches until it returns none
+    const reader = entry.createReader()
+    const entries = []
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+        if (batch.length === 0) break
+        entries.push(...batch)
+    }
+
+    const nested = await Promise.all(entries.map(child => readEntry(child, `${prefix}${entry.name}/`)))
+    return nested.flat()
+}
+
+/**
+ * Collect the files of a drop, including the contents of dropped folders.
+ *
+ * @param {DataTransfer} dataTransfer - The drop event's dataTransfer
+ * @returns {Promise<LocalFile[]>} Dropped files with their paths
+ */
+export async function getDroppedFiles(dataTransfer) {
+    // Entries must be taken synchronously, before the first await
+    const entries = Array.from(dataTransfer.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry?.())
+
+    if (entries.length > 0 && entries.every(Boolean)) {
+        const files = await Promise.all(entries.map(entry => readEntry(entry, '')))
+        return files.flat()
+    }
+
+    // Browsers without the entry API: plain files only
+    return Array.from(dataTransfer.files || []).map(file => ({ path: file.name, file }))
+}
+
+/**
+ * Find the model among dropped files.
+ *
+ * Prefers the file nearest the top of the drop, so a folder with a .gltf
+ * and a backup copy in a subfolder opens the top one.
+ *
+ * @param {LocalFile[]} files - Dropped files
+ * @returns {LocalFile|null} The model file, or null if none was dropped
+ */
+export function findModelFile(files) {
+    const depth = path => path.split('/').length
+    return files
+        .filter(({ path }) => getModelFormat(path))
+        .sort((a, b) => depth(a.path) - depth(b.path))[0] || null
+}
+
+/**
+ * Call a handler when model files are dropped onto an element.
+ *
+ * Adds the `file-dragging` class to the element while files are dragged
+ * over it (for a drop hint). Drops without a model file report an error
+ * instead of calling the handler.
+ *
+ * @param {HTMLElement} element - Drop target
+ * @param {function(LocalFile[]): void} onFiles - Called with the dropped files
+ * @param {function(string): void} [onError] - Called with a message for drops without a model
+ */
+export function setupFileDrop(element, onFiles, onError = console.warn) {
+    // dragenter/dragleave fire for every child element; count them
+    let depth = 0
+    const hasFiles = event => Array.from(event.dataTransfer?.types || []).includes('Files')
+
+    element.addEventListener('dragenter', (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        depth++
+        element.classList.add('file-dragging')
+    })
+
+    element.addEventListener('dragover', (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        event.dataTransfer.dropEffect = 'copy'
+    })
+
+    element.addEventListener('dragleave', (event) => {
+        if (!hasFiles(event)) return
+        depth = Math.max(depth - 1, 0)
+        if (depth === 0) element.classList.remove('file-dragging')
+    })
+
+    element.addEventListener('drop', async (event) => {
+        if (!hasFiles(event)) return
+        event.preventDefault()
+        depth = 0
+        element.classList.remove('file-dragging')
+
+        try {
+            const files = await getDroppedFiles(event.dataTransfer)
+            if (findModelFile(files)) {
+                onFiles(files)
+            } else {
+                onError(`No model file (${MODEL_EXTENSIONS.map(ext => '.' + ext).join(', ')}) in the drop`)
+            }
+        } catch (err) {
+            onError(`Could not read the dropped files: ${err.message}`)
+        }
+    })
+}
+
+// ============================================================================
+// STORAGE (INDEXEDDB)
+// ============================================================================
+
+/**
+ * Open the database that holds the dropped files.
+ *
+ * @returns {Promise<IDBDatabase>} The open database
+ * @private
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1)
+        request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE)
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+/**
+ * Run one request against the file store.
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request
+ * @returns {Promise<*>} The request's result
+ * @private
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase()
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(DB_STORE, mode).objectStore(DB_STORE))
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+    } finally {
+        db.close()
+    }
+}
+
+/**
+ * Keep dropped files for the viewer page (replaces the previous drop).
+ *
+ * @param {LocalFile[]} files - Dropped files
+ * @returns {Promise<void>} Resolves once the files are stored
+ */
+export async function storeLocalFiles(files) {
+    await withStore('readwrite', store => store.put(files, DB_KEY))
+}
+
+/**
+ * Read the files of the last drop.
+ *
+ * @returns {Promise<LocalFile[]|null>} The dropped files, or null if there are none
+ */
+export async function readLocalFiles() {
+    try {
+        return (await withStore('readonly', store => store.get(DB_KEY))) || null
+    } catch (err) {
+        console.warn('Could not read the dropped files:', err)
+        return null
+    }
+}
+
+// ============================================================================
+// LOCAL SYSTEM
+// ============================================================================
+
+/**
+ * Create a loading manager that serves the files of a drop.
+ *
+ * The loaders resolve paths inside a .gltf or .obj against the model URL, which
+ * is an object URL here ("blob:http://host/<uuid>"), so "textures/wood.png"
+ * arrives as "blob:http://host/textures/wood.png". The manager maps that
+ * back to the dropped file, relative to the .gltf's folder (or by file name
+ * for exports that flattened their folders).
+ *
+ * @param {LocalFile[]} files - Dropped files
+ * @param {LocalFile} model - The model file among them
+ * @param {string} modelUrl - Object URL of the model file
+ * @returns {THREE.LoadingManager} Manager to load the model with
+ * @private
+ */
+function createLocalManager(files, model, modelUrl) {
+    const urlBase = modelUrl.slice(0, modelUrl.lastIndexOf('/') + 1)
+    const modelDir = model.path.slice(0, model.path.lastIndexOf('/') + 1)
+
+    const byPath = new Map(files.map(entry => [entry.path, entry.file]))
+    const byName = new Map(files.map(entry => [entry.path.split('/').pop(), entry.file]))
+    const urls = new Map()
+
+    const manager = new THREE.LoadingManager()
+    manager.setURLModifier((url) => {
+        if (url === modelUrl || !url.startsWith(urlBase)) return url
+
+        // Resolve "./" and "../" against the model's folder
+        const segments = []
+        decodeURIComponent(modelDir + url.slice(urlBase.length)).split('/').forEach(segment => {
+            if (segment === '..') segments.pop()
+            else if (segment && segment !== '.') segments.push(segment)
+        })
+        const path = segments.join('/')
+
+        const file = byPath.get(path) || byName.get(segments[segments.length - 1])
+        if (!file) {
+            console.warn(`Dropped files have no "${path}"`)
+            return url
+        }
+
+        if (!urls.has(file)) urls.set(file, URL.createObjectURL(file))
+        return urls.get(file)
+    })
+
+    return manager
+}
+
+/**
+ * Open the last dropped model as a system.
+ *
+ * The config has no parts or explode offsets; SystemViewer.loadModel
+ * generates both from the model.
+ *
+ * @returns {Promise<{config: Object, loadOptions: Object, fileName: string}|null>}
+ *   System config with an object URL as modelPath, and the options to load it with
+ *   (manager and file name, see SystemViewer.loadModel)
+ */
+export async function openLocalSystem() {
+    const files = await readLocalFiles()
+    const model = files && findModelFile(files)
+    if (!model) return null
+
+    const fileName = model.path.split('/').pop()
+    const modelUrl = URL.createObjectURL(model.file)
+
+    return {
+        config: {
+            id: LOCAL_SYSTEM_ID,
+            name: fileName.replace(/\.[^.]+$/, ''),
+            description: `Local file: ${fileName}`,
+            icon: 'ph-cube',
+            modelPath: modelUrl
+        },
+        loadOptions: {
+            manager: createLocalManager(files, model, modelUrl),
+            fileName
+        },
+        fileName
+    }
+}
+
+/**
+ * Make a system ID from a name.
+ *
+ * @param {string} name - System name, e.g., 'Robot Arm v2'
+ * @returns {string} ID for URLs and manifest file names, e.g., 'robot-arm-v2'
+ * @private
+ */
+function toSystemId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'system'
+}
+
+/**
+ * Build a system config for the current session.
+ *
+ * Contains the parts list and explode offsets in use, so a dropped model
+ * can be added as a system (public/systems/<id>.json, with the model file
+ * in public/models/).
+ *
+ * @param {SystemViewer} viewer - Viewer with the model loaded
+ * @param {string} fileName - File name of the model, for the modelPath
+ * @returns {Object} System config
+ */
+export function createSystemConfig(viewer, fileName) {
+    const config = viewer.systemConfig
+    const position = viewer.camera.position
+    const round = value => Number(value.toFixed(3))
+
+    return {
+        id: toSystemId(config.name),
+        name: config.name,
+        icon: config.icon || 'ph-cube',
+        modelPath: `../models/${fileName}`,
+        cameraPosition: { x: round(position.x), y: round(position.y), z: round(position.z) },
+        parts: (config.parts || []).map(part => ({ ...part })),
+        expandConfig: viewer.getExpandConfig() || {}
+    }
+}
+
+/**
+ * Download the session as a system config JSON file.
+ *
+ * @param {SystemViewer} viewer - Viewer with the model loaded
+ * @param {string} fileName - File name of the model, for the modelPath
+ */
+export function downloadSystemConfig(viewer, fileName) {
+    const config = createSystemConfig(viewer, fileName)
+    const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' })
+    const link = document.createElement('a')
+    link.href = URL.createObjectURL(blob)
+    link.download = `${config.id}.json`
+    link.click()
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
@@ -0,0 +1,513 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/MeasureTool.js
+ * PURPOSE: Measure distances, angles and part sizes on the model
+ *
+ * DESCRIPTION:
+ * Measurement mode for checking fit and clearances. While a mode is active,
+ * clicks on the canvas place points (using SystemViewer's raycaster)
+ * instead of selecting parts:
+ * - Distance: Click two points -> straight-line distance
+ * - Angle: Click three points (end, vertex, end) -> angle at the vertex
+ * - Part Size: Click a part -> width/height/depth of its bounding box
+ *
+ * Results are drawn as 3D lines/boxes with floating labels that follow
+ * the camera like the part labels. Points are attached to the part they
+ * were placed on, so measurements move with the parts in the exploded view.
+ * Lengths are shown in the system's units (see Units.js).
+ *
+ * USAGE:
+ *   const measureTool = new MeasureTool(viewer, resolveUnits(systemConfig))
+ *   renderMeasurePanel('measure-content', measureTool)
+ *
+ * STYLING:
+ * See viewer.css for the label and panel styling (.measure-label, .measure-panel)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - lines, markers and boxes for the annotations
+import * as THREE from 'three'
+
+// Units: Display lengths in the system's units
+import { formatLength } from './Units.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Color of measurement lines, markers and labels (cyan, distinct from the yellow highlight) */
+const MEASURE_COLOR = 0x00d0ff
+
+/** Marker radius as a fraction of the model's largest dimension */
+const MARKER_SIZE_FACTOR = 0.006
+
+/** Draw annotations on top of the model */
+const ANNOTATION_RENDER_ORDER = 999
+
+/**
+ * Number of points each mode needs, and the hint shown while placing them.
+ * @type {Object.<string, {points: number, label: string, hint: string}>}
+ */
+export const MEASURE_MODES = {
+    distance: { points: 2, label: 'Distance', hint: 'Click two points on the model' },
+    angle: { points: 3, label: 'Angle', hint: 'Click an end point, the corner, then the other end point' },
+    size: { points: 1, label: 'Part Size', hint: 'Click a part to show its bounding box' }
+}
+
+/**
+ * @typedef {Object} Anchor
+ * @property {THREE.Object3D} object - Part the point was placed on
+ * @property {THREE.Vector3} local - Point in the part's local coordinates
+ */
+
+/**
+ * @typedef {Object} Measurement
+ * @property {number} id - Unique ID (for removing from the list)
+ * @property {'distance'|'angle'|'size'} type - Kind of measurement
+ * @property {Anchor[]} anchors - Picked points (size: the clicked part's anchor)
+ * @property {string} [partId] - Measured part (size only)
+ * @property {THREE.Object3D[]} objects - 3D annotation objects in the scene
+ * @property {HTMLElement[]} labels - Floating DOM labels
+ * @property {string} value - Formatted result (for the list)
+ */
+
+/**
+ * MeasureTool Class
+ *
+ * Owns the measurement annotations of one SystemViewer.
+ *
+ * @example
+ * const tool = new MeasureTool(viewer, resolveUnits(systemConfig))
+ * tool.setMode('distance')   // Next two clicks measure a distance
+ * tool.clear()               // Remove all measurements
+ */
+export class MeasureTool {
+    /**
+     * Create a measurement tool for a viewer.
+     *
+     * @param {SystemViewer} viewer - The viewer to measure in (model must be loaded)
+     * @param {import('./Units.js').Units} units - Units for lengths
+     */
+    constructor(viewer, units) {
+        /** @type {SystemViewer} The viewer being measured */
+        this.viewer = viewer
+
+        /** @type {import('./Units.js').Units} Units for lengths */
+        this.units = units
+
+        /** @type {'distance'|'angle'|'size'|null} Active mode (null = off) */
+        this.mode = null
+
+        /** @type {Measurement[]} Completed measurements */
+        this.measurements = []
+
+        /** @type {Anchor[]} Points placed for the measurement in progress */
+        this.pending = []
+
+        /** @type {THREE.Mesh[]} Markers of the pending points */
+        this.pendingMarkers = []
+
+        /**
+         * @type {function(): void|null}
+         * Called when the mode or the list of measurements changes
+         */
+        this.onChange = null
+
+        /** @type {number} Next measurement ID */
+        this._nextId = 1
+
+        /** @type {function(THREE.Intersection|null): void} Click handler registered with the viewer */
+        this._boundPick = this.onPick.bind(this)
+
+        /** @type {THREE.Group} Container for all annotation objects */
+        this.group = new THREE.Group()
+        this.group.name = 'Measurements'
+        viewer.scene.add(this.group)
+
+        // Shared materials and marker geometry, sized to the model
+        const modelSize = new THREE.Box3().setFromObject(viewer.model).getSize(new THREE.Vector3())
+        const markerRadius = Math.max(modelSize.x, modelSize.y, modelSize.z) * MARKER_SIZE_FACTOR
+
+        this._markerGeometry = new THREE.SphereGeometry(markerRadius, 12, 8)
+        this._markerMaterial = new THREE.MeshBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+        this._lineMaterial = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false })
+
+        // Reusable vectors for the per-frame update
+        this._tempA = new THREE.Vector3()
+        this._tempB = new THREE.Vector3()
+        this._tempC = new THREE.Vector3()
+        this._tempScreenPos = new THREE.Vector3()
+
+        // Follow the parts and the camera every frame
+        viewer.addFrameListener(this.update.bind(this))
+    }
+
+    /**
+     * Switch measurement mode.
+     *
+     * Discards points of an unfinished measurement. While a mode is
+     * active, canvas clicks place points instead of selecting parts.
+     *
+     * @param {'distance'|'angle'|'size'|null} mode - Mode to activate (null = off)
+     */
+    setMode(mode) {
+        this.cancelPending()
+        this.mode = MEASURE_MODES[mode] ? mode : null
+
+        if (this.mode) {
+            // Another tool taking the clicks turns measuring off
+            this.viewer.setPickHandler(this._boundPick, () => this.setMode(null))
+        } else {
+            this.viewer.releasePickHandler(this._boundPick)
+        }
+        this.viewer.canvas.classList.toggle('measuring', Boolean(this.mode))
+
+        this.notifyChange()
+    }
+
+    /**
+     * Handle a canvas click while measuring.
+     *
+     * @param {THREE.Intersection|null} hit - Raycast hit (null = empty space)
+     * @private
+     */
+    onPick(hit) {
+        if (!hit || !this.mode) return
+
+        const anchor = {
+            object: hit.object,
+            local: hit.object.worldToLocal(hit.point.clone())
+        }
+
+        if (this.mode === 'size') {
+            this.addMeasurement('size', [anchor], hit.object.name)
+            return
+        }
+
+        this.pending.push(anchor)
+        const marker = this.createMarker()
+        this.pendingMarkers.push(marker)
+
+        if (this.pending.length === MEASURE_MODES[this.mode].points) {
+            const anchors = this.pending
+            this.cancelPending()
+            this.addMeasurement(this.mode, anchors)
+        }
+    }
+
+    /**
+     * Drop the points of an unfinished measurement.
+     */
+    cancelPending() {
+        this.pendingMarkers.forEach(marker => this.group.remove(marker))
+        this.pendingMarkers = []
+        this.pending = []
+    }
+
+    /**
+     * Create the annotations for a completed measurement.
+     *
+     * @param {'distance'|'angle'|'size'} type - Kind of measurement
+     * @param {Anchor[]} anchors - Picked points
+     * @param {string} [partId] - Measured part (size only)
+     * @private
+     */
+    addMeasurement(type, anchors, partId) {
+        const measurement = { id: this._nextId++, type, anchors, partId, objects: [], labels: [], value: '' }
+
+        if (type === 'size') {
+            // Box outline plus one label per axis
+            const helper = new THREE.Box3Helper(new THREE.Box3(), MEASURE_COLOR)
+            helper.material.depthTest = false
+            helper.renderOrder = ANNOTATION_RENDER_ORDER
+            measurement.objects.push(helper)
+            measurement.labels.push(this.createLabel(), this.createLabel(), this.createLabel())
+        } else {
+            // Markers on the points and a line through them
+            anchors.forEach(() => measurement.objects.push(this.createMarker()))
+
+            const geometry = new THREE.BufferGeometry()
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Array(anchors.length * 3).fill(0), 3))
+            const line = new THREE.Line(geometry, this._lineMaterial)
+            line.frustumCulled = false  // Positions change every frame
+            line.renderOrder = ANNOTATION_RENDER_ORDER
+            measurement.objects.push(line)
+
+            measurement.labels.push(this.createLabel())
+        }
+
+        measurement.objects.forEach(object => this.group.add(object))
+        this.measurements.push(measurement)
+
+        // Compute the value and place the labels right away
+        this.updateMeasurement(measurement)
+        this.notifyChange()
+    }
+
+    /**
+     * Remove one measurement.
+     *
+     * @param {number} id - Measurement ID
+     */
+    remove(id) {
+        const measurement = this.measurements.find(m => m.id === id)
+        if (!measurement) return
+
+        this.disposeMeasurement(measurement)
+        this.measurements = this.measurements.filter(m => m !== measurement)
+        this.notifyChange()
+    }
+
+    /**
+     * Remove all measurements (and any unfinished one).
+     */
+    clear() {
+        this.cancelPending()
+        this.measurements.forEach(measurement => this.disposeMeasurement(measurement))
+        this.measurements = []
+        this.notifyChange()
+    }
+
+    /**
+     * Remove a measurement's objects and labels.
+     *
+     * @param {Measurement} measurement - Measurement to remove
+     * @private
+     */
+    disposeMeasurement(measurement) {
+        measurement.objects.forEach(object => {
+            this.group.remove(object)
+            // Markers share their geometry; lines and boxes own theirs
+            if (object.geometry !== this._markerGeometry) object.geometry.dispose()
+        })
+        measurement.labels.forEach(label => label.remove())
+    }
+
+    /**
+     * Create a point marker in the scene.
+     *
+     * @returns {THREE.Mesh} The marker (positioned by update())
+     * @private
+     */
+    createMarker() {
+        const marker = new THREE.Mesh(this._markerGeometry, this._markerMaterial)
+        marker.renderOrder = ANNOTATION_RENDER_ORDER
+        this.group.add(marker)
+        return marker
+    }
+
+    /**
+     * Create a floating measurement label in the viewer container.
+     *
+     * @returns {HTMLElement} The label element
+     * @private
+     */
+    createLabel() {
+        const label = document.createElement('div')
+        label.className = 'measure-label'
+        this.viewer._viewerContainer?.appendChild(label)
+        return label
+    }
+
+    /**
+     * Get the current world position of an anchor.
+     *
+     * @param {Anchor} anchor - Anchor to resolve
+     * @param {THREE.Vector3} target - Vector to write the result to
+     * @returns {THREE.Vector3} The target vector
+     * @private
+     */
+    getWorldPoint(anchor, target) {
+        return anchor.object.localToWorld(target.copy(anchor.local))
+    }
+
+    /**
+     * Move all annotations to follow their parts. Runs every frame.
+     *
+     * @private
+     */
+    update() {
+        if (this.measurements.length === 0 && this.pending.length === 0) return
+
+        // Explosion may have moved parts since the last render
+        this.viewer.model.updateMatrixWorld()
+
+        this.pending.forEach((anchor, i) => {
+            this.getWorldPoint(anchor, this.pendingMarkers[i].position)
+        })
+        this.measurements.forEach(measurement => this.updateMeasurement(measurement))
+    }
+
+    /**
+     * Recompute one measurement's geometry, value and label positions.
+     *
+     * @param {Measurement} measurement - Measurement to update
+     * @private
+     */
+    updateMeasurement(measurement) {
+        if (measurement.type === 'size') {
+            this.updateSize(measurement)
+            return
+        }
+
+        const points = measurement.anchors.map(anchor => this.getWorldPoint(anchor, new THREE.Vector3()))
+        const line = measurement.objects[measurement.objects.length - 1]
+        const position = line.geometry.attributes.position
+
+        points.forEach((point, i) => {
+            measurement.objects[i].position.copy(point)
+            position.setXYZ(i, point.x, point.y, point.z)
+        })
+        position.needsUpdate = true
+
+        if (measurement.type === 'distance') {
+            measurement.value = formatLength(points[0].distanceTo(points[1]), this.units)
+            this._tempA.addVectors(points[0], points[1]).multiplyScalar(0.5)
+        } else {
+            // Angle at the middle point
+            this._tempB.subVectors(points[0], points[1])
+            this._tempC.subVectors(points[2], points[1])
+            const degrees = THREE.MathUtils.radToDeg(this._tempB.angleTo(this._tempC))
+            measurement.value = `${degrees.toFixed(1)}°`
+            this._tempA.copy(points[1])
+        }
+
+        this.placeLabel(measurement.labels[0], this._tempA, measurement.value)
+    }
+
+    /**
+     * Update a part size measurement (box outline and axis labels).
+     *
+     * @param {Measurement} measurement - Size measurement
+     * @private
+     */
+    updateSize(measurement) {
+        const helper = measurement.objects[0]
+        helper.box.copy(this.viewer.getPartsBoundingBox(measurement.partId))
+        if (helper.box.isEmpty()) return
+
+        const { min, max } = helper.box
+        const size = helper.box.getSize(this._tempA)
+        const center = helper.box.getCenter(this._tempB)
+
+        const width = formatLength(size.x, this.units)
+        const height = formatLength(size.y, this.units)
+        const depth = formatLength(size.z, this.units)
+        measurement.value = `${width} × ${height} × ${depth}`
+
+        // Labels on the middle of one edge along each axis
+        const [labelX, labelY, labelZ] = measurement.labels
+        this.placeLabel(labelX, this._tempC.set(center.x, min.y, max.z), width)
+        this.placeLabel(labelY, this._tempC.set(max.x, center.y, max.z), height)
+        this.placeLabel(labelZ, this._tempC.set(max.x, min.y, center.z), depth)
+    }
+
+    /**
+     * Project a world point to the screen and move a label there.
+     *
+     * @param {HTMLElement} label - Label element
+     * @param {THREE.Vector3} point - World position
+     * @param {string} text - Label text
+     * @private
+     */
+    placeLabel(label, point, text) {
+        const canvas = this.viewer.canvas
+        this._tempScreenPos.copy(point).project(this.viewer.camera)
+
+        // Hide label if the point is behind the camera
+        if (this._tempScreenPos.z > 1) {
+            label.style.display = 'none'
+            return
+        }
+
+        label.textContent = text
+        label.style.display = 'block'
+        label.style.left = (this._tempScreenPos.x * 0.5 + 0.5) * canvas.clientWidth + 'px'
+        label.style.top = (-this._tempScreenPos.y * 0.5 + 0.5) * canvas.clientHeight + 'px'
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the measurement controls into a container.
+ *
+ * Shows a button per mode, a hint for the active mode, and the list of
+ * measurements with a remove button each. Escape leaves the active mode.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'measure-content')
+ * @param {MeasureTool} tool - The measurement tool to control
+ */
+export function renderMeasurePanel(containerId, tool) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const typeIcons = { distance: 'ph-ruler', angle: 'ph-angle', size: 'ph-bounding-box' }
+
+    const render = () => {
+        const modes = Object.entries(MEASURE_MODES)
+
+        /**
+         * Panel structure:
+         * - div.measure-modes: Mode toggle buttons
+         * - p.measure-hint: What to click next (while a mode is active)
+         * - ul.measure-list: Results with remove buttons
+         * - button.measure-clear: Remove all
+         */
+        container.innerHTML = `
+            <div class="measure-panel">
+                <div class="measure-modes">
+                    ${modes.map(([mode, info]) => `
+                        <button class="action-btn${tool.mode === mode ? ' active' : ''}" data-mode="${mode}">
+                            <i class="ph ${typeIcons[mode]}"></i> ${info.label}
+                        </button>
+                    `).join('')}
+                </div>
+                ${tool.mode ? `<p class="measure-hint">${MEASURE_MODES[tool.mode].hint}. Press Esc to stop.</p>` : ''}
+                ${tool.measurements.length > 0 ? `
+                    <ul class="measure-list">
+                        ${tool.measurements.map(m => `
+                            <li>
+                                <i class="ph ${typeIcons[m.type]}"></i>
+                                <span>${m.value}</span>
+                                <button class="measure-remove" data-id="${m.id}" title="Remove"><i class="ph ph-x"></i></button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <button class="action-btn measure-clear">Clear All</button>
+                ` : ''}
+            </div>
+        `
+
+        // Clicking the active mode again turns it off
+        container.querySelectorAll('[data-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                tool.setMode(tool.mode === button.dataset.mode ? null : button.dataset.mode)
+            })
+        })
+
+        container.querySelectorAll('.measure-remove').forEach(button => {
+            button.addEventListener('click', () => tool.remove(Number(button.dataset.id)))
+        })
+
+        container.querySelector('.measure-clear')?.addEventListener('click', () => tool.clear())
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && tool.mode) tool.setMode(null)
+    })
+
+    tool.onChange = render
+    render()
+}
@@ -0,0 +1,489 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/ModelLoader.js
+ * PURPOSE: Load model files of every supported format into a scene graph
+ *
+ * DESCRIPTION:
+ * SystemViewer.loadModel works on a scene graph of named nodes; this module
+ * produces one from the model file, picking the loader by file extension:
+ *
+ * - .glb / .gltf: GLTFLoader, with decoders for compressed files
+ *   - Draco meshes (KHR_draco_mesh_compression)
+ *   - Meshopt buffers (EXT_meshopt_compression)
+ *   - KTX2 textures (KHR_texture_basisu)
+ * - .obj: OBJLoader, with the materials of its `mtllib` file (MTLLoader);
+ *   objects with several materials become one part per material
+ * - .stl: STLLoader; every solid of an ASCII STL becomes a part
+ * - .3mf: 3MFLoader
+ *
+ * Parts are the named meshes of the model, whatever the format. Formats
+ * other than glTF can have unnamed or duplicate names, so their meshes are
+ * named after the file and numbered where needed (Part IDs must be unique).
+ *
+ * DECODERS:
+ * The Draco and Basis decoders are served from /decoders/ (public/decoders,
+ * copied from the three package); the Meshopt decoder is bundled.
+ *
+ * PROGRESS AND ERRORS:
+ * `onProgress` reports the bytes of the model file as they arrive, and an
+ * AbortSignal cancels the download. Failures are thrown as ModelLoadError
+ * with a `reason` the viewer can show a matching message for:
+ * - not-found: The file does not exist (404, or the dev server's HTML fallback)
+ * - network: The request failed (offline, server error)
+ * - parse: The file arrived but is not a valid model
+ * - unsupported: No loader for the file's format
+ * - cancelled: The signal was aborted
+ *
+ * USAGE:
+ *   const loader = new ModelLoader(renderer)
+ *   const model = await loader.load('/models/bracket.stl', {
+ *       onProgress: ({ loaded, total }) => console.log(loaded, total),
+ *       signal: abortController.signal
+ *   })
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - loaders, meshes and materials
+import * as THREE from 'three'
+
+// Format loaders
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js'
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js'
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js'
+import { ThreeMFLoader } from 'three/examples/jsm/loaders/3MFLoader.js'
+
+// Decoders for compressed glTF files
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Model formats and their file extensions */
+export const MODEL_FORMATS = [
+    { id: 'gltf', name: 'glTF', extensions: ['glb', 'gltf'] },
+    { id: 'obj', name: 'OBJ', extensions: ['obj'] },
+    { id: 'stl', name: 'STL', extensions: ['stl'] },
+    { id: '3mf', name: '3MF', extensions: ['3mf'] }
+]
+
+/** Every file extension that can be loaded as a model */
+export const MODEL_EXTENSIONS = MODEL_FORMATS.flatMap(format => format.extensions)
+
+/** Directories of the Draco and Basis decoders (public/decoders) */
+const DRACO_DECODER_PATH = '/decoders/draco/'
+const BASIS_TRANSCODER_PATH = '/decoders/basis/'
+
+/** Color of STL meshes (the format has no materials) */
+const STL_COLOR = 0xb0b0b0
+
+/**
+ * @typedef {Object} ModelLoadOptions
+ * @property {THREE.LoadingManager} [manager] - Manager for the model's files (e.g., object URLs of dropped files)
+ * @property {string} [format] - Format ID from MODEL_FORMATS; defaults to the file name's extension
+ * @property {string} [fileName] - Name of the model file, for unnamed parts and error
+ *   messages; defaults to the one in the path (object URLs have none)
+ * @property {function({loaded: number, total: number}): void} [onProgress] - Bytes of the model
+ *   file received so far, and its size (0 if the server does not send it)
+ * @property {AbortSignal} [signal] - Cancels the load when aborted
+ */
+
+/**
+ * Error thrown when a model cannot be loaded.
+ *
+ * @property {'not-found'|'network'|'parse'|'unsupported'|'cancelled'} reason - Why loading failed
+ */
+export class ModelLoadError extends Error {
+    /**
+     * @param {string} reason - Why loading failed (see above)
+     * @param {string} message - Description for the console and the error screen
+     * @param {Error} [cause] - Underlying error
+     */
+    constructor(reason, message, cause) {
+        super(message, { cause })
+        this.name = 'ModelLoadError'
+        this.reason = reason
+    }
+}
+
+/**
+ * Find the format of a model file by its extension.
+ *
+ * @param {string} path - File name, path or URL
+ * @returns {{id: string, name: string, extensions: string[]}|null} The format, or null if not supported
+ *
+ * @example
+ * getModelFormat('/models/table.glb?v=2') // { id: 'gltf', ... }
+ */
+export function getModelFormat(path) {
+    const match = /\.([^./?#]+)(?:[?#].*)?$/.exec(path)
+    const extension = match ? match[1].toLowerCase() : ''
+    return MODEL_FORMATS.find(format => format.extensions.includes(extension)) || null
+}
+
+/**
+ * Get the file name of a path or URL.
+ *
+ * @param {string} path - File path or URL
+ * @returns {string} File name, e.g., 'bracket.stl' for '/models/bracket.stl?v=2'
+ * @private
+ */
+function getFileName(path) {
+    return path.split(/[?#]/)[0].split('/').pop()
+}
+
+/**
+ * Get a file name without its extension.
+ *
+ * @param {string} file - File name
+ * @returns {string} Base name, e.g., 'bracket' for 'bracket.stl'
+ * @private
+ */
+function getBaseName(file) {
+    return file.replace(/\.[^.]+$/, '') || 'Part'
+}
+
+/**
+ * Turn a loader error into a ModelLoadError.
+ *
+ * FileLoader reports HTTP errors with the response. Other errors come from
+ * the network or from parsing; a HEAD request tells them apart (and spots
+ * the Vite dev server answering a missing file with index.html).
+ *
+ * @param {Error} err - Error from a loader
+ * @param {string} path - URL of the model file
+ * @param {string} file - Name of the model file for the message
+ * @returns {Promise<ModelLoadError>} The classified error
+ * @private
+ */
+async function explainLoadError(err, path, file) {
+    if (err instanceof ModelLoadError) return err
+    if (err?.name === 'AbortError') return new ModelLoadError('cancelled', 'Loading was cancelled', err)
+
+    const status = err?.response?.status
+    if (status === 404 || status === 410) {
+        return new ModelLoadError('not-found', `${file} was not found on the server`, err)
+    }
+    if (status) {
+        return new ModelLoadError('network', `The server answered ${status} for ${file}`, err)
+    }
+
+    // Local files (object URLs) cannot go missing or fail on the network
+    if (!/^(blob|data):/.test(path)) {
+        try {
+            const response = await fetch(path, { method: 'HEAD' })
+            if (response.status === 404 || (response.headers.get('content-type') || '').includes('text/html')) {
+                return new ModelLoadError('not-found', `${file} was not found on the server`, err)
+            }
+        } catch (probeErr) {
+            return new ModelLoadError('network', `Could not download ${file}: ${err.message}`, err)
+        }
+    }
+
+    return new ModelLoadError('parse', `${file} could not be read as a model: ${err.message}`, err)
+}
+
+/**
+ * Copy a range of vertices of a non-indexed geometry into a new geometry.
+ *
+ * @param {THREE.BufferGeometry} geometry - Non-indexed source geometry
+ * @param {number} start - First vertex
+ * @param {number} count - Number of vertices
+ * @returns {THREE.BufferGeometry} Geometry with the vertices of the range
+ * @private
+ */
+function sliceGeometry(geometry, start, count) {
+    const part = new THREE.BufferGeometry()
+    Object.entries(geometry.attributes).forEach(([key, attribute]) => {
+        const size = attribute.itemSize
+        part.setAttribute(key, new THREE.BufferAttribute(
+            attribute.array.slice(start * size, (start + count) * size), size, attribute.normalized))
+    })
+    return part
+}
+
+/**
+ * Split meshes with several materials into one mesh per material.
+ *
+ * An OBJ object with several `usemtl` blocks loads as one mesh with a
+ * material array, but highlighting, x-ray and variants swap the single
+ * material of a part. The mesh is replaced by a group of the same name
+ * with one mesh per material group, named after the mesh and material
+ * (e.g., "Chair_Wood").
+ *
+ * @param {THREE.Object3D} model - Loaded model
+ * @private
+ */
+function splitMaterialGroups(model) {
+    const meshes = []
+    model.traverse(node => {
+        if (node.isMesh && Array.isArray(node.material)) meshes.push(node)
+    })
+
+    meshes.forEach(mesh => {
+        const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry
+        const group = new THREE.Group()
+        group.name = mesh.name
+        group.position.copy(mesh.position)
+        group.quaternion.copy(mesh.quaternion)
+        group.scale.copy(mesh.scale)
+
+        geometry.groups.forEach(({ start, count, materialIndex }) => {
+            const material = mesh.material[materialIndex]
+            const part = new THREE.Mesh(sliceGeometry(geometry, start, count), material)
+            part.name = [mesh.name, material.name].filter(Boolean).join('_')
+            group.add(part)
+        })
+
+        // Put the group where the mesh was, keeping the order of the parts in the file
+        const parent = mesh.parent
+        parent.add(group)
+        parent.children.splice(parent.children.indexOf(mesh), 1, parent.children.pop())
+        mesh.parent = null
+        if (geometry !== mesh.geometry) geometry.dispose()
+        mesh.geometry.dispose()
+    })
+}
+
+/**
+ * Give every mesh a unique node name usable as a part ID.
+ *
+ * Names are sanitized the way GLTFLoader does it (no spaces, dots or
+ * slashes); unnamed meshes are named after the file.
+ *
+ * @param {THREE.Object3D} model - Loaded model
+ * @param {string} fallback - Name for unnamed meshes
+ * @private
+ */
+function assignPartNames(model, fallback) {
+    const used = new Map()
+
+    model.traverse(node => {
+        if (node === model || (!node.name && !node.isMesh)) return
+
+        const base = THREE.PropertyBinding.sanitizeNodeName(node.name || fallback)
+        const count = (used.get(base) || 0) + 1
+        used.set(base, count)
+        node.name = count === 1 ? base : `${base}_${count}`
+    })
+}
+
+// ============================================================================
+// MODEL LOADER CLASS
+// ============================================================================
+
+/**
+ * Loads model files for a viewer.
+ *
+ * Keeps one set of decoders (their workers are expensive to start) for all
+ * the models the viewer loads.
+ */
+export class ModelLoader {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer the models are shown in
+     *   (KTX2 textures are transcoded to a format it supports)
+     */
+    constructor(renderer) {
+        /** @type {DRACOLoader} Draco mesh decoder (WebAssembly) */
+        this.dracoLoader = new DRACOLoader()
+            .setDecoderPath(DRACO_DECODER_PATH)
+            .setDecoderConfig({ type: 'wasm' })
+
+        /** @type {KTX2Loader} KTX2 texture transcoder */
+        this.ktx2Loader = new KTX2Loader()
+            .setTranscoderPath(BASIS_TRANSCODER_PATH)
+            .detectSupport(renderer)
+    }
+
+    /**
+     * Load a model file.
+     *
+     * @param {string} path - Path or URL of the model file
+     * @param {ModelLoadOptions} [options] - Loading options
+     * @returns {Promise<THREE.Object3D>} Root of the loaded model
+     * @throws {ModelLoadError} If the model cannot be loaded
+     */
+    async load(path, options = {}) {
+        const file = options.fileName || getFileName(path)
+        const formatId = options.format || getModelFormat(file)?.id
+        if (!MODEL_FORMATS.some(format => format.id === formatId)) {
+            throw new ModelLoadError('unsupported', `Unsupported model format: ${file}`)
+        }
+
+        // A manager per load, so cancelling stops only this load's requests
+        const manager = options.manager || new THREE.LoadingManager()
+        const name = getBaseName(file)
+        const onProgress = options.onProgress
+            ? event => options.onProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : 0 })
+            : undefined
+
+        const loading = this.loadFormat(formatId, path, manager, name, onProgress)
+            .catch(async err => { throw await explainLoadError(err, path, file) })
+
+        const { signal } = options
+        if (!signal) return loading
+
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                manager.abort()
+                reject(new ModelLoadError('cancelled', 'Loading was cancelled'))
+            }
+            if (signal.aborted) {
+                cancel()
+                return
+            }
+
+            signal.addEventListener('abort', cancel, { once: true })
+            loading
+                .then(resolve, reject)
+                .then(() => signal.removeEventListener('abort', cancel))
+        })
+    }
+
+    /**
+     * Load a model file with the loader of its format.
+     *
+     * @param {string} formatId - Format ID from MODEL_FORMATS
+     * @param {string} path - URL of the file
+     * @param {THREE.LoadingManager} manager - Manager for the file and its resources
+     * @param {string} name - Name for unnamed parts
+     * @param {function(ProgressEvent): void} [onProgress] - Download progress of the file
+     * @returns {Promise<THREE.Object3D>} Root of the loaded model
+     * @private
+     */
+    async loadFormat(formatId, path, manager, name, onProgress) {
+        let model
+        switch (formatId) {
+            case 'gltf':
+                return this.loadGltf(path, manager, onProgress)
+            case 'obj':
+                model = await this.loadObj(path, manager, onProgress)
+                break
+            case 'stl':
+                model = await this.loadStl(path, manager, name, onProgress)
+                break
+            case '3mf':
+                model = await new ThreeMFLoader(manager).loadAsync(path, onProgress)
+                break
+        }
+
+        assignPartNames(model, name)
+        return model
+    }
+
+    /**
+     * Load a .glb or .gltf file (compressed or not).
+     *
+     * @param {string} path - URL of the file
+     * @param {THREE.LoadingManager} manager - Manager for the file and its resources
+     * @param {function(ProgressEvent): void} [onProgress] - Download progress of the file
+     * @returns {Promise<THREE.Object3D>} The glTF scene
+     * @private
+     */
+    async loadGltf(path, manager, onProgress) {
+        // Textures of a dropped .gltf folder come through the same manager
+        this.ktx2Loader.manager = manager
+
+        const loader = new GLTFLoader(manager)
+            .setDRACOLoader(this.dracoLoader)
+            .setKTX2Loader(this.ktx2Loader)
+            .setMeshoptDecoder(MeshoptDecoder)
+
+        const gltf = await loader.loadAsync(path, onProgress)
+        return gltf.scene
+    }
+
+    /**
+     * Load an .obj file with the materials of its .mtl file.
+     *
+     * A missing or broken .mtl file is not fatal; the model then shows
+     * with the default material.
+     *
+     * @param {string} path - URL of the file
+     * @param {THREE.LoadingManager} manager - Manager for the file and its .mtl
+     * @param {function(ProgressEvent): void} [onProgress] - Download progress of the file
+     * @returns {Promise<THREE.Group>} One mesh per object/group in the file
+     *   (objects with several materials are groups of one mesh per material)
+     * @private
+     */
+    async loadObj(path, manager, onProgress) {
+        const text = await new THREE.FileLoader(manager).loadAsync(path, onProgress)
+        const objLoader = new OBJLoader(manager)
+
+        // "mtllib <file>" names the material library, relative to the .obj
+        const mtllib = /^mtllib\s+(.+?)\s*$/m.exec(text)
+        if (mtllib) {
+            try {
+                const url = THREE.LoaderUtils.extractUrlBase(path) + mtllib[1]
+                const materials = await new MTLLoader(manager).loadAsync(url)
+                materials.preload()
+                objLoader.setMaterials(materials)
+            } catch (err) {
+                console.warn(`Could not load materials "${mtllib[1]}":`, err)
+            }
+        }
+
+        const model = objLoader.parse(text)
+        splitMaterialGroups(model)
+        return model
+    }
+
+    /**
+     * Load an .stl file.
+     *
+     * The solids of an ASCII STL are separate meshes named after the
+     * solids; a binary STL is a single mesh named after the file.
+     *
+     * @param {string} path - URL of the file
+     * @param {THREE.LoadingManager} manager - Manager for the file
+     * @param {string} name - Name of a single-mesh model
+     * @param {function(ProgressEvent): void} [onProgress] - Download progress of the file
+     * @returns {Promise<THREE.Group>} Group of the meshes
+     * @private
+     */
+    async loadStl(path, manager, name, onProgress) {
+        const geometry = await new STLLoader(manager).loadAsync(path, onProgress)
+
+        const material = new THREE.MeshStandardMaterial({
+            color: geometry.hasColors ? 0xffffff : STL_COLOR,
+            vertexColors: Boolean(geometry.hasColors),
+            metalness: 0.1,
+            roughness: 0.6
+        })
+
+        const group = new THREE.Group()
+        const solids = geometry.userData.groupNames || []
+
+        if (solids.length < 2) {
+            const mesh = new THREE.Mesh(geometry, material)
+            mesh.name = name
+            group.add(mesh)
+            return group
+        }
+
+        // Split the non-indexed geometry at the solid boundaries
+        geometry.groups.forEach(({ start, count, materialIndex }) => {
+            const mesh = new THREE.Mesh(sliceGeometry(geometry, start, count), material)
+            mesh.name = solids[materialIndex].trim() || name
+            group.add(mesh)
+        })
+        geometry.dispose()
+
+        return group
+    }
+
+    /**
+     * Stop the decoder workers.
+     */
+    dispose() {
+        this.dracoLoader.dispose()
+        this.ktx2Loader.dispose()
+    }
+}
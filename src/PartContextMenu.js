@@ -0,0 +1,163 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/PartContextMenu.js
+ * PURPOSE: Context menu with visibility, isolate and x-ray actions
+ *
+ * DESCRIPTION:
+ * A small floating menu that gives access to the SystemViewer's visibility
+ * tools. It is opened from two places (wired up in viewer.js):
+ * - Right-clicking a part (or empty space) on the 3D canvas
+ * - Right-clicking a part item in the sidebar, or its "more" button
+ *
+ * MENU ITEMS:
+ * For a part or group:
+ * - Hide / Show: Toggle its visibility
+ * - Isolate: Hide everything else
+ * - Fade Others: Make everything else translucent
+ * Always:
+ * - Isolate Selection: Hide everything but the highlighted parts (if any)
+ * - X-Ray On / Off: Draw non-selected parts translucent
+ * - Show All Parts: Undo hiding and isolation (if anything is hidden)
+ *
+ * USAGE:
+ *   const menu = createPartContextMenu(viewer)
+ *   menu.open(event.clientX, event.clientY, ['Table_Top'], 'Table Top')
+ *
+ * STYLING:
+ * See viewer.css for the menu styling (.context-menu, .context-menu-item)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} label - Text of the item
+ * @property {string} icon - Phosphor icon class (e.g., 'ph-eye')
+ * @property {function(): void} action - Called when the item is clicked
+ */
+
+/**
+ * Create the context menu for a viewer.
+ *
+ * The menu element is created once and re-filled every time it opens,
+ * so the items always reflect the viewer's current state.
+ *
+ * @param {SystemViewer} viewer - The viewer whose parts are controlled
+ * @returns {{open: function(number, number, string[], string=): void, close: function(): void}} Menu controls
+ */
+export function createPartContextMenu(viewer) {
+    const menu = document.createElement('div')
+    menu.className = 'context-menu'
+    menu.hidden = true
+    document.body.appendChild(menu)
+
+    /**
+     * Hide the menu.
+     */
+    const close = () => {
+        menu.hidden = true
+    }
+
+    /**
+     * Build the items for a target.
+     *
+     * @param {string[]} partIds - Target part IDs (empty for the whole model)
+     * @returns {MenuItem[][]} Item sections (separated by a divider)
+     */
+    const buildSections = (partIds) => {
+        const sections = []
+
+        if (partIds.length > 0) {
+            const hidden = viewer.isPartHidden(partIds)
+            sections.push([
+                {
+                    label: hidden ? 'Show' : 'Hide',
+                    icon: hidden ? 'ph-eye' : 'ph-eye-slash',
+                    action: () => viewer.togglePartsVisible(partIds)
+                },
+                { label: 'Isolate', icon: 'ph-selection', action: () => viewer.isolateParts(partIds, 'hide') },
+                { label: 'Fade Others', icon: 'ph-circle-half', action: () => viewer.isolateParts(partIds, 'fade') }
+            ])
+        }
+
+        const global = []
+        if (viewer.getHighlightedPartIds().length > 0) {
+            global.push({ label: 'Isolate Selection', icon: 'ph-selection-all', action: () => viewer.isolateSelection('hide') })
+        }
+        global.push({
+            label: viewer.xrayEnabled ? 'X-Ray Off' : 'X-Ray On',
+            icon: 'ph-scan',
+            action: () => viewer.setXray(!viewer.xrayEnabled)
+        })
+        if (viewer.isolatedParts || viewer.hiddenParts.size > 0) {
+            global.push({ label: 'Show All Parts', icon: 'ph-eye', action: () => viewer.showAllParts() })
+        }
+        sections.push(global)
+
+        return sections
+    }
+
+    /**
+     * Open the menu at a screen position.
+     *
+     * @param {number} x - Horizontal position in CSS pixels (clientX)
+     * @param {number} y - Vertical position in CSS pixels (clientY)
+     * @param {string[]} partIds - Part IDs the menu acts on (empty for the whole model)
+     * @param {string} [title] - Heading shown above the items (e.g., the part name)
+     */
+    const open = (x, y, partIds, title) => {
+        menu.innerHTML = ''
+
+        // The title is a part name (possibly from a dropped file) - set as text, not HTML
+        if (title) {
+            const heading = document.createElement('div')
+            heading.className = 'context-menu-title'
+            heading.textContent = title
+            menu.appendChild(heading)
+        }
+
+        buildSections(partIds).forEach((items, index) => {
+            if (index > 0) {
+                const divider = document.createElement('div')
+                divider.className = 'context-menu-divider'
+                menu.appendChild(divider)
+            }
+
+            items.forEach(item => {
+                const button = document.createElement('button')
+                button.className = 'context-menu-item'
+                button.innerHTML = `<i class="ph ${item.icon}"></i><span></span>`
+                button.querySelector('span').textContent = item.label
+                button.addEventListener('click', () => {
+                    close()
+                    item.action()
+                })
+                menu.appendChild(button)
+            })
+        })
+
+        // Show, then keep the menu inside the window
+        menu.hidden = false
+        const { width, height } = menu.getBoundingClientRect()
+        menu.style.left = Math.min(x, window.innerWidth - width - 8) + 'px'
+        menu.style.top = Math.min(y, window.innerHeight - height - 8) + 'px'
+    }
+
+    // ===== CLOSE ON OUTSIDE CLICK, ESCAPE OR SCROLL =====
+    document.addEventListener('pointerdown', (event) => {
+        if (!menu.hidden && !menu.contains(event.target)) close()
+    })
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') close()
+    })
+    window.addEventListener('scroll', close, true)
+    window.addEventListener('blur', close)
+
+    // The browser's own menu would cover ours
+    menu.addEventListener('contextmenu', (event) => event.preventDefault())
+
+    return { open, close }
+}
@@ -0,0 +1,203 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/PartDetails.js
+ * PURPOSE: Detail panel for the selected part
+ *
+ * DESCRIPTION:
+ * Shows everything known about the part the user selected last (from the
+ * sidebar or by clicking it in 3D) in a panel over the viewer:
+ * - Name and description from the system config
+ * - Optional specs: material, dimensions, mass, part number, replacement cost
+ * - Links (datasheets, where to buy, ...)
+ * - The size measured from the mesh's bounding box (in the system's units)
+ *
+ * The panel opens when a part is selected, follows the selection, and
+ * closes when nothing is selected anymore. The close button hides it until
+ * a different part is selected.
+ *
+ * USAGE:
+ * Created by viewer.js after the model has loaded:
+ *   const partDetails = createPartDetails('part-details', viewer, systemConfig)
+ *   viewer.onSelectionChange = () => partDetails.update()
+ *
+ * PART DATA FORMAT:
+ * See the `parts` documentation in data/systems.js (material, dimensions,
+ * mass, partNumber, cost, links).
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.part-details, .part-details-specs)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Units: Measured size in the system's length units
+import { resolveUnits, formatSize } from './Units.js'
+
+/** Currency used when a system does not set one */
+export const DEFAULT_CURRENCY = 'USD'
+
+/**
+ * Format a mass given in kilograms.
+ *
+ * @param {number} kg - Mass in kilograms
+ * @returns {string} e.g. "1.9 kg" or "400 g"
+ */
+export function formatMass(kg) {
+    if (kg < 1) return `${Math.round(kg * 1000)} g`
+    return `${kg.toLocaleString(undefined, { maximumFractionDigits: 2 })} kg`
+}
+
+/**
+ * Format a cost in the system's currency.
+ *
+ * @param {number} amount - Cost
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} e.g. "$24.00"
+ */
+export function formatCost(amount, currency) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
+    } catch (err) {
+        // Unknown currency code - show it as-is
+        return `${amount} ${currency}`
+    }
+}
+
+/**
+ * Create the part detail panel.
+ *
+ * @param {string} panelId - The ID of the panel element (e.g., 'part-details')
+ * @param {SystemViewer} viewer - The viewer whose selection is shown
+ * @param {Object} systemConfig - System configuration with `parts` and `currency`
+ * @returns {{update: function(): void, close: function(): void}|null} Panel controls, or null if the element is missing
+ */
+export function createPartDetails(panelId, viewer, systemConfig) {
+    const panel = document.getElementById(panelId)
+    if (!panel) return null
+
+    // Look up part definitions by ID (the viewer's config follows the selected variant)
+    const findPart = id => (viewer.systemConfig?.parts || systemConfig.parts || []).find(part => part.id === id)
+    const currency = systemConfig.currency || DEFAULT_CURRENCY
+    const units = resolveUnits(systemConfig)
+
+    /** Part IDs currently rendered in the panel (joined) */
+    let shownKey = null
+
+    /**
+     * Hide the panel (until a different part is selected).
+     */
+    const close = () => {
+        panel.hidden = true
+    }
+
+    /**
+     * Get the part IDs to show: the latest selection if it is still
+     * highlighted, otherwise any highlighted mesh.
+     *
+     * @returns {string[]} Part IDs (empty if nothing is selected)
+     */
+    const getShownIds = () => {
+        const highlighted = viewer.getHighlightedPartIds()
+        const active = viewer.activePartIds.filter(id =>
+            viewer.getMeshIds(id).some(meshId => highlighted.includes(meshId))
+        )
+        if (active.length > 0) return active
+        return highlighted.length > 0 ? [highlighted[highlighted.length - 1]] : []
+    }
+
+    /**
+     * Render the details of parts.
+     *
+     * A group of parts (e.g., all legs) shows the first part's details
+     * with the quantity.
+     *
+     * @param {string[]} ids - Part IDs
+     */
+    const render = (ids) => {
+        const part = findPart(ids[0]) || { id: ids[0], name: ids[0] }
+        const quantity = ids.length
+        const measured = viewer.measurePart(ids[0])
+
+        // Spec rows - only fields that are set
+        const specs = [
+            ['Quantity', quantity > 1 ? String(quantity) : null],
+            ['Material', part.material],
+            ['Dimensions', part.dimensions],
+            ['Measured Size', measured ? formatSize(measured, units) : null],
+            ['Mass', typeof part.mass === 'number' ? formatMass(part.mass) : null],
+            ['Part Number', part.partNumber],
+            ['Replacement Cost', typeof part.cost === 'number'
+                ? formatCost(part.cost, currency) + (quantity > 1 ? ' each' : '')
+                : null]
+        ].filter(([, value]) => value)
+
+        /**
+         * Panel structure:
+         * - div.part-details-header: Name and close button
+         * - p.part-details-desc: Description
+         * - dl.part-details-specs: Spec rows
+         * - div.part-details-links: External links
+         */
+        panel.innerHTML = `
+            <div class="part-details-header">
+                <h3></h3>
+                <button class="part-details-close" title="Close"><i class="ph ph-x"></i></button>
+            </div>
+            ${part.description ? '<p class="part-details-desc"></p>' : ''}
+            <dl class="part-details-specs">
+                ${specs.map(() => '<dt></dt><dd></dd>').join('')}
+            </dl>
+            ${(part.links || []).length > 0 ? `
+                <div class="part-details-links">
+                    ${part.links.map(() => `
+                        <a target="_blank" rel="noopener noreferrer">
+                            <span></span> <i class="ph ph-arrow-square-out"></i>
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `
+
+        // Names can come from mesh names in dropped files - set as text, not HTML
+        panel.querySelector('h3').textContent = part.name
+        if (part.description) panel.querySelector('.part-details-desc').textContent = part.description
+
+        const cells = panel.querySelectorAll('.part-details-specs > *')
+        specs.flat().forEach((text, i) => {
+            cells[i].textContent = text
+        })
+
+        panel.querySelectorAll('.part-details-links a').forEach((el, i) => {
+            el.href = part.links[i].url
+            el.querySelector('span').textContent = part.links[i].title
+        })
+
+        panel.querySelector('.part-details-close').addEventListener('click', close)
+    }
+
+    /**
+     * Show the current selection (call whenever the selection changes).
+     */
+    const update = () => {
+        const ids = getShownIds()
+
+        if (ids.length === 0) {
+            shownKey = null
+            close()
+            return
+        }
+
+        // Same part as before: keep the panel as it is (open or closed)
+        const key = ids.join(',')
+        if (key === shownKey) return
+
+        shownKey = key
+        render(ids)
+        panel.hidden = false
+    }
+
+    return { update, close }
+}
@@ -0,0 +1,167 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/PartTree.js
+ * PURPOSE: Parent/child hierarchy of parts and assemblies
+ *
+ * DESCRIPTION:
+ * Real products are made of nested assemblies (battery pack -> modules ->
+ * cells). This module builds a part tree from two sources:
+ *
+ * 1. The config: a part may name its assembly with `parent: '<part id>'`.
+ *    Assemblies can be "virtual" - listed in `parts` without a matching node
+ *    in the model - and simply group the parts that name them as parent.
+ *
+ * 2. The GLTF node hierarchy: a part without an explicit parent is attached
+ *    to its nearest ancestor node in the model that is also listed in `parts`.
+ *
+ * SystemViewer uses the tree to apply selection, highlighting and explosion
+ * to a whole subtree; viewer.js uses it to render the collapsible parts list.
+ *
+ * TREE FORMAT:
+ * Map of part ID -> { id, name, parent: string|null, children: string[] }
+ * Children keep the order in which they appear in `parts`.
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/**
+ * Build the part tree for a system.
+ *
+ * @param {Array<{id: string, name: string, parent?: string}>} parts - Part definitions from the config
+ * @param {Map<string, THREE.Object3D>} nodes - Named nodes of the loaded model (SystemViewer.nodes)
+ * @returns {Map<string, {id: string, name: string, parent: string|null, children: string[]}>} The part tree
+ *
+ * @example
+ * const tree = buildPartTree(config.parts, viewer.nodes)
+ * tree.get('Battery_Pack').children // ['Module_1', 'Module_2']
+ */
+export function buildPartTree(parts, nodes) {
+    const tree = new Map()
+
+    parts.forEach(part => {
+        tree.set(part.id, { id: part.id, name: part.name, parent: null, children: [] })
+    })
+
+    parts.forEach(part => {
+        // Explicit parent from the config wins over the model hierarchy
+        const parentId = part.parent
+            ? (tree.has(part.parent) ? part.parent : null)
+            : findSceneParent(nodes.get(part.id), tree)
+
+        // Ignore parents that would create a cycle (SystemValidator reports them)
+        if (!parentId || isAncestor(tree, part.id, parentId)) return
+
+        tree.get(part.id).parent = parentId
+        tree.get(parentId).children.push(part.id)
+    })
+
+    return tree
+}
+
+/**
+ * Find the nearest ancestor of a model node that is part of the tree.
+ *
+ * @param {THREE.Object3D|undefined} object - Node in the loaded model
+ * @param {Map<string, Object>} tree - Part tree (or any map keyed by part ID)
+ * @returns {string|null} ID of the nearest ancestor in the tree, or null
+ */
+export function findSceneParent(object, tree) {
+    let current = object?.parent
+    while (current) {
+        if (current.name && tree.has(current.name)) return current.name
+        current = current.parent
+    }
+    return null
+}
+
+/**
+ * Get a part ID and the IDs of all its descendants (depth-first).
+ *
+ * IDs that are not in the tree are returned on their own, so callers can
+ * pass plain mesh names too.
+ *
+ * @param {Map<string, Object>} tree - Part tree
+ * @param {string} id - Root part ID
+ * @returns {string[]} The ID followed by all descendant IDs
+ */
+export function getSubtreeIds(tree, id) {
+    const ids = [id]
+    const node = tree.get(id)
+    if (node) {
+        node.children.forEach(childId => ids.push(...getSubtreeIds(tree, childId)))
+    }
+    return ids
+}
+
+/**
+ * Check whether one part is an ancestor of (or the same as) another.
+ *
+ * @param {Map<string, Object>} tree - Part tree
+ * @param {string} ancestorId - Possible ancestor
+ * @param {string} id - Part to start from
+ * @returns {boolean} True if ancestorId is id or one of its ancestors
+ */
+export function isAncestor(tree, ancestorId, id) {
+    let current = id
+    while (current) {
+        if (current === ancestorId) return true
+        current = tree.get(current)?.parent
+    }
+    return false
+}
+
+/**
+ * Turn a mesh or node name into a readable part name.
+ *
+ * @param {string} id - Node name, e.g., 'Table_Leg_1' or 'frontWheel'
+ * @returns {string} Readable name, e.g., 'Table Leg 1' or 'Front Wheel'
+ * @private
+ */
+function formatPartName(id) {
+    const name = id
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+    return name ? name[0].toUpperCase() + name.slice(1) : id
+}
+
+/**
+ * List the parts of a model from its node names.
+ *
+ * Used for models without a parts list (e.g., a dropped local file). Every
+ * named mesh becomes a part; named nodes that group two or more of them
+ * become assemblies, except for nodes that hold the whole model.
+ *
+ * @param {THREE.Object3D} model - Loaded model
+ * @param {Map<string, THREE.Mesh>} meshes - Named meshes of the model (SystemViewer.parts)
+ * @returns {Array<{id: string, name: string}>} Part definitions in model order
+ *
+ * @example
+ * listModelParts(viewer.model, viewer.parts)
+ * // [{ id: 'Table_Top', name: 'Table Top' }, { id: 'Table_Leg_1', name: 'Table Leg 1' }, ...]
+ */
+export function listModelParts(model, meshes) {
+    const parts = []
+
+    model.traverse(node => {
+        if (node === model || !node.name) return
+
+        if (!node.isMesh) {
+            let count = 0
+            node.traverse(child => {
+                if (child !== node && meshes.get(child.name) === child) count++
+            })
+            if (count < 2 || count === meshes.size) return
+        } else if (meshes.get(node.name) !== node) {
+            return
+        }
+
+        parts.push({ id: node.name, name: formatPartName(node.name) })
+    })
+
+    return parts
+}
@@ -0,0 +1,669 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/SectionTool.js
+ * PURPOSE: Section views with clipping planes
+ *
+ * DESCRIPTION:
+ * Cuts the model with one or more planes to look inside assemblies without
+ * exploding them:
+ * - Axis-aligned planes (X, Y, Z) and free planes that can also be rotated
+ * - A drag gizmo (TransformControls) on the selected plane, plus a slider
+ * - Capped cut faces, so cut solids look filled instead of hollow
+ * - A default section per system (`section` in the config)
+ *
+ * The planes are fixed in world space, so parts moving with the explosion
+ * slider are cut where they pass through a plane.
+ *
+ * HOW THE CAPS WORK (stencil technique):
+ * For each plane, every part is drawn a second time into the stencil
+ * buffer only (back faces increment, front faces decrement). Inside a cut
+ * solid the counts don't cancel out, so a large plane drawn afterwards with
+ * a "stencil != 0" test fills exactly the cut faces.
+ *
+ * SECTION CONFIG FORMAT:
+ *   section: {
+ *       axis: 'x' | 'y' | 'z',      // Axis-aligned plane...
+ *       normal: { x, y, z },       // ...or a free plane with this normal
+ *       position: 0,               // Distance from the model center (model units)
+ *       flip: false,               // Keep the other side
+ *       enabled: false             // Cut the model as soon as it loads
+ *   }
+ *
+ * USAGE:
+ *   const sectionTool = new SectionTool(viewer)
+ *   renderSectionPanel('section-content', sectionTool, systemConfig.section)
+ *
+ * STYLING:
+ * See viewer.css for the panel styling (.section-panel, .section-plane)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Three.js core library - planes, stencil materials and helpers
+import * as THREE from 'three'
+
+// Transform Controls - drag gizmo for moving and rotating planes
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js'
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Color of the cut faces */
+const CAP_COLOR = 0xff6a3d
+
+/** Color of the plane outline */
+const PLANE_HELPER_COLOR = 0x00d0ff
+
+/** Opacity of the selected plane's fill */
+const PLANE_HELPER_OPACITY = 0.08
+
+/** Maximum number of planes at once (each one draws the model twice more) */
+const MAX_PLANES = 3
+
+/** Plane normals of the axis-aligned planes */
+const AXIS_NORMALS = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+}
+
+/** The local axis of a plane handle that is the plane normal */
+const HANDLE_NORMAL = new THREE.Vector3(0, 0, 1)
+
+/**
+ * @typedef {Object} SectionPlane
+ * @property {number} id - Unique ID
+ * @property {string} label - Name shown in the panel ('X', 'Y', 'Z' or 'Free')
+ * @property {boolean} free - Whether the plane can be rotated
+ * @property {boolean} flipped - Whether the other side is kept
+ * @property {THREE.Plane} plane - The clipping plane (world space)
+ * @property {THREE.Object3D} handle - Object moved by the gizmo (+Z = normal)
+ * @property {THREE.Group} stencilGroup - Stencil copies of the parts
+ * @property {THREE.Mesh} cap - Plane that fills the cut faces
+ */
+
+/**
+ * SectionTool Class
+ *
+ * Owns the section planes of one SystemViewer.
+ *
+ * @example
+ * const tool = new SectionTool(viewer)
+ * tool.addPlane('y')                       // Horizontal cut through the center
+ * tool.setPosition(tool.planes[0].id, 0.2) // Move it up
+ */
+export class SectionTool {
+    /**
+     * Create a section tool for a viewer.
+     *
+     * @param {SystemViewer} viewer - The viewer to cut (model must be loaded)
+     */
+    constructor(viewer) {
+        /** @type {SystemViewer} The viewer being cut */
+        this.viewer = viewer
+
+        /** @type {SectionPlane[]} Active planes */
+        this.planes = []
+
+        /** @type {SectionPlane|null} Plane the gizmo is attached to */
+        this.selected = null
+
+        /** @type {boolean} Whether cut faces are filled */
+        this.capsEnabled = true
+
+        /**
+         * @type {function(): void|null}
+         * Called when planes are added, removed or changed
+         */
+        this.onChange = null
+
+        /** @type {number} Next plane ID */
+        this._nextId = 1
+
+        /** @type {THREE.Plane[]} All clipping planes (shared by the part materials) */
+        this._clippingPlanes = []
+
+        // Size of the model (for slider range, cap and outline size)
+        const sphere = new THREE.Box3().setFromObject(viewer.model).getBoundingSphere(new THREE.Sphere())
+
+        /** @type {number} Radius of the model's bounding sphere */
+        this.radius = sphere.radius
+
+        /** @type {THREE.Group} Container for stencil copies, caps and outlines */
+        this.group = new THREE.Group()
+        this.group.name = 'Section'
+        viewer.scene.add(this.group)
+
+        // ===== GIZMO =====
+        this.gizmo = new TransformControls(viewer.camera, viewer.canvas)
+        this.gizmo.setSpace('local')
+        this.gizmo.getHelper().userData.editorOnly = true  // Not in exported images
+        viewer.scene.add(this.gizmo.getHelper())
+
+        // Don't orbit while dragging the gizmo, and don't treat the
+        // release as a click on a part
+        this.gizmo.addEventListener('dragging-changed', (event) => {
+            viewer.controls.enabled = !event.value
+            if (!event.value) this.swallowNextClick()
+        })
+        this.gizmo.addEventListener('objectChange', () => {
+            if (this.selected) this.updatePlane(this.selected)
+            this.notifyChange()
+        })
+
+        // Keep stencil copies on their parts and the materials clipped
+        viewer.addFrameListener(this.update.bind(this))
+    }
+
+    /**
+     * Add a section plane through the model center.
+     *
+     * @param {'x'|'y'|'z'|{x: number, y: number, z: number}} orientation - Axis, or normal of a free plane
+     * @param {Object} [options] - Initial placement
+     * @param {number} [options.position=0] - Distance from the model center along the normal
+     * @param {boolean} [options.flip=false] - Keep the other side
+     * @returns {SectionPlane|null} The new plane, or null if MAX_PLANES are in use
+     */
+    addPlane(orientation, options = {}) {
+        if (this.planes.length >= MAX_PLANES) return null
+
+        const free = typeof orientation !== 'string'
+        const normal = free
+            ? new THREE.Vector3(orientation.x || 0, orientation.y || 0, orientation.z || 0).normalize()
+            : AXIS_NORMALS[orientation].clone()
+        if (normal.lengthSq() === 0) return null
+
+        // Handle: positioned on the plane, local +Z along the normal
+        const handle = new THREE.Object3D()
+        handle.quaternion.setFromUnitVectors(HANDLE_NORMAL, normal)
+        handle.position.copy(normal).multiplyScalar(options.position || 0)
+        handle.add(this.createOutline())
+        this.group.add(handle)
+
+        const section = {
+            id: this._nextId++,
+            label: free ? 'Free' : orientation.toUpperCase(),
+            free,
+            flipped: Boolean(options.flip),
+            plane: new THREE.Plane(),
+            handle,
+            stencilGroup: new THREE.Group(),
+            cap: null
+        }
+
+        this.planes.push(section)
+        this._clippingPlanes.push(section.plane)
+        this.updatePlane(section)
+
+        // Stencil copies and cap (rebuilt for all planes: caps are clipped by the other planes)
+        this.group.add(section.stencilGroup)
+        this.rebuildCaps()
+
+        this.selectPlane(section.id)
+        return section
+    }
+
+    /**
+     * Add the system's default section from its config.
+     *
+     * @param {Object} config - The `section` object of a system config
+     * @returns {SectionPlane|null} The new plane, or null if invalid
+     */
+    addDefaultPlane(config) {
+        if (!config) return null
+
+        const orientation = config.normal || config.axis
+        if (!orientation || (typeof orientation === 'string' && !AXIS_NORMALS[orientation])) return null
+
+        return this.addPlane(orientation, { position: config.position, flip: config.flip })
+    }
+
+    /**
+     * Remove a plane.
+     *
+     * @param {number} id - Plane ID
+     */
+    removePlane(id) {
+        const section = this.planes.find(p => p.id === id)
+        if (!section) return
+
+        if (this.selected === section) this.selectPlane(null)
+
+        this.group.remove(section.handle, section.stencilGroup, section.cap)
+        this.disposeStencils(section)
+
+        this.planes = this.planes.filter(p => p !== section)
+        this._clippingPlanes = this._clippingPlanes.filter(p => p !== section.plane)
+        this.rebuildCaps()
+        this.notifyChange()
+    }
+
+    /**
+     * Remove all planes (the model is whole again).
+     */
+    clear() {
+        this.planes.map(p => p.id).forEach(id => this.removePlane(id))
+    }
+
+    /**
+     * Attach the gizmo to a plane (and show its outline).
+     *
+     * @param {number|null} id - Plane ID, or null to detach
+     */
+    selectPlane(id) {
+        this.selected = this.planes.find(p => p.id === id) || null
+
+        this.planes.forEach(section => {
+            section.handle.children[0].visible = section === this.selected
+        })
+
+        if (this.selected) {
+            this.gizmo.attach(this.selected.handle)
+            this.setGizmoMode('translate')
+        } else {
+            this.gizmo.detach()
+        }
+
+        this.notifyChange()
+    }
+
+    /**
+     * Switch the gizmo between moving and rotating (rotating: free planes only).
+     *
+     * @param {'translate'|'rotate'} mode - Gizmo mode
+     */
+    setGizmoMode(mode) {
+        if (!this.selected) return
+
+        const rotate = mode === 'rotate' && this.selected.free
+        this.gizmo.setMode(rotate ? 'rotate' : 'translate')
+
+        // Moving is only along the normal (the handle's local Z)
+        this.gizmo.showX = rotate
+        this.gizmo.showY = rotate
+        this.gizmo.showZ = true
+
+        this.notifyChange()
+    }
+
+    /**
+     * Get the distance of a plane from the model center, along its normal.
+     *
+     * @param {SectionPlane} section - The plane
+     * @returns {number} Position in model units
+     */
+    getPosition(section) {
+        return section.handle.position.dot(this.getNormal(section))
+    }
+
+    /**
+     * Move a plane along its normal.
+     *
+     * @param {number} id - Plane ID
+     * @param {number} position - Distance from the model center (model units)
+     */
+    setPosition(id, position) {
+        const section = this.planes.find(p => p.id === id)
+        if (!section) return
+
+        const normal = this.getNormal(section)
+        section.handle.position.addScaledVector(normal, position - this.getPosition(section))
+        this.updatePlane(section)
+        this.notifyChange()
+    }
+
+    /**
+     * Keep the other side of a plane.
+     *
+     * @param {number} id - Plane ID
+     */
+    flip(id) {
+        const section = this.planes.find(p => p.id === id)
+        if (!section) return
+
+        section.flipped = !section.flipped
+        this.updatePlane(section)
+        this.notifyChange()
+    }
+
+    /**
+     * Show or hide the filled cut faces.
+     *
+     * @param {boolean} enabled - Whether to fill cut faces
+     */
+    setCapsEnabled(enabled) {
+        this.capsEnabled = enabled
+        this.rebuildCaps()
+        this.notifyChange()
+    }
+
+    /**
+     * Get the plane normal from its handle (before flipping).
+     *
+     * @param {SectionPlane} section - The plane
+     * @returns {THREE.Vector3} Unit normal in world space
+     * @private
+     */
+    getNormal(section) {
+        return HANDLE_NORMAL.clone().applyQuaternion(section.handle.quaternion)
+    }
+
+    /**
+     * Update the clipping plane from its handle.
+     *
+     * Three.js keeps the side the normal points to, so flipping negates it.
+     *
+     * @param {SectionPlane} section - The plane
+     * @private
+     */
+    updatePlane(section) {
+        const normal = this.getNormal(section)
+        if (section.flipped) normal.negate()
+        section.plane.setFromNormalAndCoplanarPoint(normal, section.handle.position)
+    }
+
+    /**
+     * Create the outline shown on the selected plane.
+     *
+     * @returns {THREE.Group} Translucent square with a border
+     * @private
+     */
+    createOutline() {
+        const geometry = new THREE.PlaneGeometry(this.radius * 2, this.radius * 2)
+        const outline = new THREE.Group()
+        outline.userData.editorOnly = true  // Not in exported images
+
+        outline.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: PLANE_HELPER_COLOR,
+            transparent: true,
+            opacity: PLANE_HELPER_OPACITY,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })))
+        outline.add(new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: PLANE_HELPER_COLOR })
+        ))
+
+        return outline
+    }
+
+    /**
+     * Rebuild the stencil copies and caps of every plane.
+     *
+     * Needed whenever planes are added or removed, because each cap is
+     * clipped by all the other planes.
+     *
+     * @private
+     */
+    rebuildCaps() {
+        this.planes.forEach((section, index) => {
+            this.disposeStencils(section)
+            if (section.cap) this.group.remove(section.cap)
+            section.cap = null
+
+            if (!this.capsEnabled) return
+
+            // Render after the model, one plane after the other
+            const renderOrder = index + 1
+
+            this.viewer.parts.forEach(part => {
+                section.stencilGroup.add(
+                    this.createStencilMesh(part, section.plane, THREE.BackSide, THREE.IncrementWrapStencilOp, renderOrder),
+                    this.createStencilMesh(part, section.plane, THREE.FrontSide, THREE.DecrementWrapStencilOp, renderOrder)
+                )
+            })
+
+            const cap = new THREE.Mesh(
+                new THREE.PlaneGeometry(this.radius * 4, this.radius * 4),
+                new THREE.MeshStandardMaterial({
+                    color: CAP_COLOR,
+                    metalness: 0.1,
+                    roughness: 0.75,
+                    clippingPlanes: this._clippingPlanes.filter(p => p !== section.plane),
+                    stencilWrite: true,
+                    stencilRef: 0,
+                    stencilFunc: THREE.NotEqualStencilFunc,
+                    stencilFail: THREE.ReplaceStencilOp,
+                    stencilZFail: THREE.ReplaceStencilOp,
+                    stencilZPass: THREE.ReplaceStencilOp
+                })
+            )
+            cap.renderOrder = renderOrder + 0.1
+            // Reset the stencil buffer for the next plane
+            cap.onAfterRender = (renderer) => renderer.clearStencil()
+
+            section.cap = cap
+            this.group.add(cap)
+        })
+    }
+
+    /**
+     * Create an invisible copy of a part that only writes to the stencil buffer.
+     *
+     * @param {THREE.Mesh} part - Part to copy
+     * @param {THREE.Plane} plane - Plane the copy is clipped by
+     * @param {number} side - THREE.FrontSide or THREE.BackSide
+     * @param {number} op - Stencil operation (increment or decrement)
+     * @param {number} renderOrder - Render order (after the model)
+     * @returns {THREE.Mesh} The stencil copy
+     * @private
+     */
+    createStencilMesh(part, plane, side, op, renderOrder) {
+        const material = new THREE.MeshBasicMaterial({
+            side,
+            clippingPlanes: [plane],
+            depthWrite: false,
+            depthTest: false,
+            colorWrite: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: op,
+            stencilZFail: op,
+            stencilZPass: op
+        })
+
+        const mesh = new THREE.Mesh(part.geometry, material)
+        mesh.matrixAutoUpdate = false  // Copied from the part every frame
+        mesh.renderOrder = renderOrder
+        mesh.userData.part = part
+        return mesh
+    }
+
+    /**
+     * Remove the stencil copies of a plane (the geometry belongs to the parts).
+     *
+     * @param {SectionPlane} section - The plane
+     * @private
+     */
+    disposeStencils(section) {
+        section.stencilGroup.children.forEach(mesh => mesh.material.dispose())
+        section.stencilGroup.clear()
+        if (section.cap) {
+            section.cap.geometry.dispose()
+            section.cap.material.dispose()
+        }
+    }
+
+    /**
+     * Apply the planes to the parts and move caps and stencil copies.
+     * Runs every frame.
+     *
+     * Materials are swapped by highlighting, x-ray and assembly mode, so
+     * the clipping planes are (re)assigned to whatever material a part
+     * currently has.
+     *
+     * @private
+     */
+    update() {
+        const clippingPlanes = this.planes.length > 0 ? this._clippingPlanes : null
+
+        this.viewer.parts.forEach(part => {
+            const materials = Array.isArray(part.material) ? part.material : [part.material]
+            materials.forEach(material => {
+                if (material.clippingPlanes !== clippingPlanes) material.clippingPlanes = clippingPlanes
+            })
+        })
+
+        if (this.planes.length === 0) return
+
+        // Explosion may have moved parts since the last render
+        this.viewer.model.updateMatrixWorld()
+
+        this.planes.forEach(section => {
+            section.stencilGroup.children.forEach(mesh => {
+                const part = mesh.userData.part
+                mesh.matrix.copy(part.matrixWorld)
+                mesh.visible = part.visible
+            })
+
+            // Cap lies on the plane, facing the removed side
+            if (section.cap) {
+                section.plane.coplanarPoint(section.cap.position)
+                section.cap.lookAt(
+                    section.cap.position.x - section.plane.normal.x,
+                    section.cap.position.y - section.plane.normal.y,
+                    section.cap.position.z - section.plane.normal.z
+                )
+            }
+        })
+    }
+
+    /**
+     * Ignore the click that follows releasing the gizmo.
+     *
+     * @private
+     */
+    swallowNextClick() {
+        const canvas = this.viewer.canvas
+        const swallow = (event) => event.stopImmediatePropagation()
+
+        // Capture listeners on the target run before the viewer's own click handler
+        canvas.addEventListener('click', swallow, { capture: true, once: true })
+
+        // If no click follows (released outside the canvas), don't eat a later one
+        setTimeout(() => canvas.removeEventListener('click', swallow, { capture: true }), 0)
+    }
+
+    /**
+     * Inform the onChange listener.
+     *
+     * @private
+     */
+    notifyChange() {
+        if (this.onChange) this.onChange()
+    }
+}
+
+/**
+ * Render the section controls into a container.
+ *
+ * Shows buttons to add planes, one row per plane (slider, flip, rotate,
+ * remove) and a toggle for the filled cut faces. Clicking a row attaches
+ * the gizmo to that plane.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'section-content')
+ * @param {SectionTool} tool - The section tool to control
+ * @param {Object} [defaultSection] - The system's `section` config
+ */
+export function renderSectionPanel(containerId, tool, defaultSection) {
+    const container = document.getElementById(containerId)
+    if (!container) return
+
+    const step = tool.radius / 100
+
+    const render = () => {
+        /**
+         * Panel structure:
+         * - div.section-add: Buttons to add X/Y/Z/free planes (and the default)
+         * - div.section-plane (per plane): Label, slider and action buttons
+         * - label.toggle-switch: Filled cut faces on/off
+         */
+        container.innerHTML = `
+            <div class="section-panel">
+                <div class="section-add">
+                    ${['x', 'y', 'z'].map(axis => `
+                        <button class="action-btn" data-axis="${axis}">${axis.toUpperCase()}</button>
+                    `).join('')}
+                    <button class="action-btn" data-axis="free">Free</button>
+                </div>
+                ${defaultSection ? '<button class="action-btn section-default">Default Section</button>' : ''}
+                ${tool.planes.map(section => `
+                    <div class="section-plane${section === tool.selected ? ' selected' : ''}" data-id="${section.id}">
+                        <span class="section-label">${section.label}</span>
+                        <input type="range" min="${-tool.radius}" max="${tool.radius}" step="${step}"
+                            value="${tool.getPosition(section)}">
+                        <button class="section-action section-flip" title="Flip side"><i class="ph ph-swap"></i></button>
+                        ${section.free ? `
+                            <button class="section-action section-rotate${section === tool.selected && tool.gizmo.mode === 'rotate' ? ' active' : ''}"
+                                title="Rotate"><i class="ph ph-arrows-clockwise"></i></button>
+                        ` : ''}
+                        <button class="section-action section-remove" title="Remove"><i class="ph ph-x"></i></button>
+                    </div>
+                `).join('')}
+                ${tool.planes.length > 0 ? `
+                    <label class="toggle-switch">
+                        <input type="checkbox" class="section-caps" ${tool.capsEnabled ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                        <span class="toggle-label">Fill Cut Faces</span>
+                    </label>
+                ` : ''}
+            </div>
+        `
+
+        container.querySelectorAll('[data-axis]').forEach(button => {
+            button.disabled = tool.planes.length >= MAX_PLANES
+            button.addEventListener('click', () => {
+                // Free planes start diagonal so they are easy to tell apart
+                tool.addPlane(button.dataset.axis === 'free' ? { x: 1, y: 1, z: 0 } : button.dataset.axis)
+            })
+        })
+
+        container.querySelector('.section-default')?.addEventListener('click', () => {
+            tool.addDefaultPlane(defaultSection)
+        })
+
+        container.querySelectorAll('.section-plane').forEach(row => {
+            const id = Number(row.dataset.id)
+
+            row.addEventListener('click', () => {
+                if (tool.selected?.id !== id) tool.selectPlane(id)
+            })
+
+            // Slider moves the plane without re-rendering the panel mid-drag
+            const slider = row.querySelector('input[type="range"]')
+            slider.addEventListener('click', e => e.stopPropagation())
+            slider.addEventListener('input', () => {
+                const onChange = tool.onChange
+                tool.onChange = null
+                tool.setPosition(id, Number(slider.value))
+                tool.onChange = onChange
+            })
+
+            row.querySelector('.section-flip').addEventListener('click', (e) => {
+                e.stopPropagation()
+                tool.flip(id)
+            })
+            row.querySelector('.section-rotate')?.addEventListener('click', (e) => {
+                e.stopPropagation()
+                if (tool.selected?.id !== id) tool.selectPlane(id)
+                tool.setGizmoMode(tool.gizmo.mode === 'rotate' ? 'translate' : 'rotate')
+            })
+            row.querySelector('.section-remove').addEventListener('click', (e) => {
+                e.stopPropagation()
+                tool.removePlane(id)
+            })
+        })
+
+        container.querySelector('.section-caps')?.addEventListener('change', (e) => {
+            tool.setCapsEnabled(e.target.checked)
+        })
+    }
+
+    tool.onChange = render
+    render()
+}
@@ -0,0 +1,132 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/SystemCards.js
+ * PURPOSE: Landing page system card renderer
+ *
+ * DESCRIPTION:
+ * This module renders the grid of system selection cards on the landing page
+ * directly from the `systems` registry in data/systems.js. Adding a system
+ * to the registry is all that is needed for it to appear on the landing page.
+ *
+ * Each card displays:
+ * - A thumbnail image (if configured) or a Phosphor icon
+ * - The system name and description
+ * - A "Coming Soon" badge for systems without a model (modelPath: null)
+ *
+ * USAGE:
+ * This function is called from main.js before the entrance animation runs:
+ *   renderSystemCards('system-selection', systems)
+ *
+ * SYSTEM DATA FORMAT:
+ * Each system object may have:
+ * - id: System ID used in the viewer URL (?system=id)
+ * - name: Card title
+ * - description: Card subtitle
+ * - icon: Phosphor icon class (e.g., 'ph-table'), defaults to 'ph-cube'
+ * - thumbnail: Optional image URL, replaces the icon when set
+ * - modelPath: null marks the system as "coming soon"
+ *
+ * STYLING:
+ * See style.css for the card styling (.card, .card-content, .icon-container,
+ * .card-thumbnail, .card.coming-soon, .coming-soon-badge)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/** Icon used when a system does not define one */
+const DEFAULT_CARD_ICON = 'ph-cube'
+
+/**
+ * Check whether a system is a placeholder without a viewable model.
+ *
+ * @param {Object} system - System configuration object
+ * @returns {boolean} True if the system has no model yet
+ */
+export function isComingSoon(system) {
+    return !system.modelPath
+}
+
+/**
+ * Render the system selection cards.
+ *
+ * Clears the container and creates one card per entry in the systems
+ * registry, in declaration order. Each card carries a data-system
+ * attribute that main.js uses for navigation.
+ *
+ * @param {string} containerId - The ID of the grid container (e.g., 'system-selection')
+ * @param {Object.<string, Object>} systems - The systems registry from data/systems.js
+ * @returns {HTMLElement[]} The rendered card elements
+ *
+ * @example
+ * const cards = renderSystemCards('system-selection', systems)
+ */
+export function renderSystemCards(containerId, systems) {
+    // Get the container element from the DOM
+    const container = document.getElementById(containerId)
+
+    // Exit early if container doesn't exist
+    if (!container) return []
+
+    container.innerHTML = ''
+
+    // Use DocumentFragment for batch DOM insertion
+    const fragment = document.createDocumentFragment()
+    const cards = []
+
+    Object.entries(systems).forEach(([key, system]) => {
+        const id = system.id || key
+        const comingSoon = isComingSoon(system)
+
+        const card = document.createElement('div')
+        card.className = comingSoon ? 'card coming-soon' : 'card'
+        card.dataset.system = id
+
+        /**
+         * Card structure:
+         * - div.card-content
+         *   - img.card-thumbnail OR div.icon-container > i.ph
+         *   - h2: System name
+         *   - p: System description
+         *   - span.coming-soon-badge (placeholder systems only)
+         * - div.card-glow: Glow effect element for hover interactions
+         */
+        card.innerHTML = `
+            <div class="card-content">
+                ${system.thumbnail
+                    ? '<img class="card-thumbnail">'
+                    : '<div class="icon-container"><i></i></div>'}
+                <h2></h2>
+                <p></p>
+                ${comingSoon ? '<span class="coming-soon-badge">Coming Soon</span>' : ''}
+            </div>
+            <div class="card-glow"></div>
+        `
+
+        // Names and paths from configs and manifests are data, not markup - set them as text and properties
+        if (system.thumbnail) {
+            // Thumbnail replaces the icon when provided
+            const image = card.querySelector('.card-thumbnail')
+            image.src = system.thumbnail
+            image.alt = system.name
+        } else {
+            card.querySelector('.icon-container i').className = `ph ${system.icon || DEFAULT_CARD_ICON}`
+        }
+        card.querySelector('h2').textContent = system.name
+        card.querySelector('p').textContent = system.description || ''
+
+        if (comingSoon) {
+            card.setAttribute('aria-disabled', 'true')
+        }
+
+        fragment.appendChild(card)
+        cards.push(card)
+    })
+
+    // Single DOM operation to add all cards
+    container.appendChild(fragment)
+
+    return cards
+}
@@ -0,0 +1,146 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/SystemLoader.js
+ * PURPOSE: Runtime loading of system configurations from JSON manifests
+ *
+ * DESCRIPTION:
+ * Lets new systems ship without rebuilding the bundle. A system can be
+ * described by a JSON manifest served from the public directory, in the same
+ * shape as the entries in data/systems.js. The built-in entries in
+ * data/systems.js remain the fallback when no manifest is found.
+ *
+ * MANIFEST LOCATIONS (relative to the public directory):
+ * - /systems/<id>.json   One manifest per system
+ * - /systems/index.json  Optional list of manifest IDs for the landing page,
+ *                        e.g. ["table", "bicycle"]
+ *
+ * RELATIVE PATHS:
+ * modelPath, thumbnail and video URLs and thumbnails in a manifest are resolved
+ * relative to the manifest itself, so a manifest may point at a model with
+ * "../models/bicycle.glb". Absolute paths ("/models/bicycle.glb") and full
+ * URLs are used as-is.
+ *
+ * USAGE:
+ *   const config = await loadSystemConfig('table')   // viewer.js
+ *   const registry = await loadSystemRegistry()      // main.js
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Built-in system configurations (fallback when no manifest exists)
+import { systems } from './data/systems.js'
+
+/** URL of the directory that holds the system manifests */
+export const MANIFEST_BASE_URL = '/systems/'
+
+/** File name of the optional manifest index */
+const MANIFEST_INDEX_FILE = 'index.json'
+
+/**
+ * Fetch and parse a JSON file from the manifest directory.
+ *
+ * Returns null instead of throwing when the file is missing, the request
+ * fails, or the response is not JSON (the Vite dev server answers unknown
+ * paths with index.html, so the content type is checked too).
+ *
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<{data: *, url: string}|null>} Parsed JSON and the final URL, or null
+ * @private
+ */
+async function fetchJson(url) {
+    try {
+        const response = await fetch(url)
+        if (!response.ok) return null
+
+        const contentType = response.headers.get('content-type') || ''
+        if (!contentType.includes('json')) return null
+
+        return { data: await response.json(), url: response.url || url }
+    } catch (err) {
+        console.warn(`Could not load manifest ${url}:`, err)
+        return null
+    }
+}
+
+/**
+ * Resolve a manifest-relative path to a URL.
+ *
+ * @param {string} path - Path as written in the manifest
+ * @param {string} manifestUrl - URL the manifest was loaded from
+ * @returns {string} Resolved URL
+ * @private
+ */
+function resolvePath(path, manifestUrl) {
+    return new URL(path, new URL(manifestUrl, window.location.href)).href
+}
+
+/**
+ * Fetch the manifest for a single system.
+ *
+ * @param {string} id - System ID
+ * @returns {Promise<Object|null>} System configuration, or null if there is no manifest
+ */
+export async function fetchSystemManifest(id) {
+    const result = await fetchJson(`${MANIFEST_BASE_URL}${encodeURIComponent(id)}.json`)
+    if (!result || !result.data || typeof result.data !== 'object') return null
+
+    // The ID is the file name; an `id` in the manifest cannot claim another system
+    const config = { ...result.data, id }
+
+    // Resolve paths only where present so missing keys stay missing
+    // (SystemValidator reports a missing modelPath)
+    if (config.modelPath) config.modelPath = resolvePath(config.modelPath, result.url)
+    if (config.thumbnail) config.thumbnail = resolvePath(config.thumbnail, result.url)
+    if (Array.isArray(config.videos)) {
+        config.videos = config.videos.map(video => video && typeof video === 'object'
+            ? {
+                ...video,
+                ...(video.url && { url: resolvePath(video.url, result.url) }),
+                ...(video.thumbnail && { thumbnail: resolvePath(video.thumbnail, result.url) })
+            }
+            : video)
+    }
+
+    return config
+}
+
+/**
+ * Load the configuration for a system.
+ *
+ * Prefers a JSON manifest at /systems/<id>.json and falls back to the
+ * built-in entry in data/systems.js.
+ *
+ * @param {string|null} id - System ID from the URL
+ * @returns {Promise<Object|null>} System configuration, or null if the system is unknown
+ */
+export async function loadSystemConfig(id) {
+    if (!id) return null
+
+    const manifest = await fetchSystemManifest(id)
+    return manifest || systems[id] || null
+}
+
+/**
+ * Load the full system registry for the landing page.
+ *
+ * Starts from the built-in systems and adds (or replaces) every system
+ * listed in /systems/index.json whose manifest loads successfully.
+ *
+ * @returns {Promise<Object.<string, Object>>} Systems keyed by ID, built-ins first
+ */
+export async function loadSystemRegistry() {
+    const registry = { ...systems }
+
+    const index = await fetchJson(MANIFEST_BASE_URL + MANIFEST_INDEX_FILE)
+    if (!index || !Array.isArray(index.data)) return registry
+
+    const manifests = await Promise.all(index.data.map(id => fetchSystemManifest(id)))
+    manifests.forEach(manifest => {
+        if (manifest) registry[manifest.id] = manifest
+    })
+
+    return registry
+}
@@ -0,0 +1,884 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/SystemValidator.js
+ * PURPOSE: Schema validation and diagnostics for system configurations
+ *
+ * DESCRIPTION:
+ * System configurations in data/systems.js are plain objects, so mistakes
+ * (a typo in a key, a part ID that matches no mesh) would otherwise fail
+ * silently in SystemViewer. This module checks configurations in two passes
+ * and reports readable diagnostics:
+ *
+ * 1. validateSystemConfig(config)
+ *    Checks the config against SYSTEM_SCHEMA: required fields, value types,
+ *    unknown keys (with "did you mean" suggestions), model formats,
+ *    duplicate part, variant and joint IDs, joint limits and broken
+ *    assembly parents (unknown or circular).
+ *
+ * 2. validateAgainstModel(config, model)
+ *    Runs after SystemViewer.loadModel and compares the config with the node
+ *    names in the loaded model: part IDs with no node, meshes with no
+ *    part entry, expand offsets and variant entries that point at nothing,
+ *    duplicate node names.
+ *    Config-only assemblies (parts that other parts name as parent) do not
+ *    need a node in the model.
+ *
+ * reportDiagnostics() prints the results to the console and, in development
+ * builds, shows them in a dismissible overlay over the 3D canvas.
+ *
+ * DIAGNOSTIC FORMAT:
+ * - level: 'error' (config is broken) or 'warning' (probably a mistake)
+ * - path: Location in the config (e.g., 'parts[3].id', 'expandConfig.Table_Top')
+ * - message: Human-readable explanation
+ *
+ * STYLING:
+ * See viewer.css for the overlay styling (.validation-overlay)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+// Units: Supported length unit names (for `units`)
+import { LENGTH_UNITS } from './Units.js'
+
+// AppearanceTool: Lighting preset IDs (for `appearance.environment`)
+import { ENVIRONMENT_PRESETS } from './AppearanceTool.js'
+
+// AutoExplode: Generator modes (for `autoExplode.mode`)
+import { EXPLODE_MODES } from './AutoExplode.js'
+
+// ModelLoader: Model file extensions the viewer can load (for `modelPath`)
+import { MODEL_EXTENSIONS } from './ModelLoader.js'
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/** Schema for a 3D vector such as cameraPosition or an expand offset */
+const VECTOR_SCHEMA = {
+    type: 'object',
+    fields: {
+        x: { type: 'number' },
+        y: { type: 'number' },
+        z: { type: 'number' }
+    }
+}
+
+/** Schema for an expand offset with an optional slider window (0-100) */
+const EXPAND_OFFSET_SCHEMA = {
+    type: 'object',
+    fields: {
+        ...VECTOR_SCHEMA.fields,
+        start: { type: 'number' },
+        end: { type: 'number' }
+    }
+}
+
+/** Schema for part metadata (shared by `parts` and variant part overrides) */
+const PART_FIELDS = {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    parent: { type: 'string' },
+    material: { type: 'string' },
+    dimensions: { type: 'string' },
+    mass: { type: 'number' },
+    partNumber: { type: 'string' },
+    cost: { type: 'number' },
+    links: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                title: { type: 'string', required: true },
+                url: { type: 'string', required: true }
+            }
+        }
+    }
+}
+
+/** Schema for the material properties a variant or finish can change */
+const MATERIAL_FIELDS = {
+    color: { type: 'string' },
+    metalness: { type: 'number' },
+    roughness: { type: 'number' },
+    opacity: { type: 'number' }
+}
+
+/**
+ * Schema describing a system configuration.
+ *
+ * Each field descriptor has:
+ * - type: 'string' | 'number' | 'boolean' | 'object' | 'array'
+ * - required: Whether the key must be present
+ * - nullable: Whether null is an accepted value
+ * - fields: For objects with known keys, the schema of each key
+ * - values: For objects used as maps (e.g., expandConfig), the schema of every value
+ * - items: For arrays, the schema of every item
+ * - enum: For strings, the accepted values
+ *
+ * @type {Object.<string, Object>}
+ */
+export const SYSTEM_SCHEMA = {
+    id: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    icon: { type: 'string' },
+    thumbnail: { type: 'string', nullable: true },
+    modelPath: { type: 'string', required: true, nullable: true },
+    cameraPosition: VECTOR_SCHEMA,
+    currency: { type: 'string' },
+    section: {
+        type: 'object',
+        fields: {
+            axis: { type: 'string', enum: ['x', 'y', 'z'] },
+            normal: VECTOR_SCHEMA,
+            position: { type: 'number' },
+            flip: { type: 'boolean' },
+            enabled: { type: 'boolean' }
+        }
+    },
+    units: {
+        type: 'object',
+        fields: {
+            length: { type: 'string', enum: Object.keys(LENGTH_UNITS) },
+            modelUnit: { type: 'string', enum: Object.keys(LENGTH_UNITS) }
+        }
+    },
+    parts: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                ...PART_FIELDS,
+                id: { type: 'string', required: true },
+                name: { type: 'string', required: true }
+            }
+        }
+    },
+    expandConfig: {
+        type: 'object',
+        values: EXPAND_OFFSET_SCHEMA
+    },
+    autoExplode: {
+        type: 'object',
+        fields: {
+            mode: { type: 'string', enum: EXPLODE_MODES.map(mode => mode.id) },
+            distance: { type: 'number' },
+            gap: { type: 'number' }
+        }
+    },
+    expandStages: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                name: { type: 'string' },
+                parts: { type: 'array', required: true, items: { type: 'string' } }
+            }
+        }
+    },
+    steps: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                title: { type: 'string', required: true },
+                text: { type: 'string' },
+                parts: { type: 'array', required: true, items: { type: 'string' } },
+                camera: {
+                    type: 'object',
+                    fields: {
+                        position: { ...VECTOR_SCHEMA, required: true },
+                        target: VECTOR_SCHEMA
+                    }
+                },
+                tools: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    },
+    variants: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                name: { type: 'string', required: true },
+                description: { type: 'string' },
+                default: { type: 'boolean' },
+                hide: { type: 'array', items: { type: 'string' } },
+                swap: { type: 'object', values: { type: 'string' } },
+                materials: { type: 'object', values: { type: 'object', fields: MATERIAL_FIELDS } },
+                parts: { type: 'object', values: { type: 'object', fields: PART_FIELDS } },
+                expandConfig: { type: 'object', values: EXPAND_OFFSET_SCHEMA }
+            }
+        }
+    },
+    materialPresets: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                name: { type: 'string', required: true },
+                parts: { type: 'array', required: true, items: { type: 'string' } },
+                options: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            ...MATERIAL_FIELDS,
+                            id: { type: 'string', required: true },
+                            name: { type: 'string', required: true },
+                            default: { type: 'boolean' }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    appearance: {
+        type: 'object',
+        fields: {
+            environment: { type: 'string', enum: ENVIRONMENT_PRESETS.map(preset => preset.id) },
+            background: {
+                type: 'object',
+                fields: {
+                    mode: { type: 'string', enum: ['color', 'gradient', 'environment'] },
+                    color: { type: 'string' },
+                    color2: { type: 'string' }
+                }
+            }
+        }
+    },
+    joints: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                id: { type: 'string', required: true },
+                name: { type: 'string' },
+                part: { type: 'string', required: true },
+                type: { type: 'string', required: true, enum: ['hinge', 'slider'] },
+                axis: { ...VECTOR_SCHEMA, required: true },
+                pivot: VECTOR_SCHEMA,
+                min: { type: 'number', required: true },
+                max: { type: 'number', required: true },
+                value: { type: 'number' }
+            }
+        }
+    },
+    videos: {
+        type: 'array',
+        items: {
+            type: 'object',
+            fields: {
+                title: { type: 'string', required: true },
+                thumbnail: { type: 'string' },
+                url: { type: 'string', required: true }
+            }
+        }
+    }
+}
+
+/** Maximum edit distance for "did you mean" suggestions */
+const SUGGESTION_MAX_DISTANCE = 3
+
+// ============================================================================
+// SCHEMA VALIDATION
+// ============================================================================
+
+/**
+ * Validate a system configuration against SYSTEM_SCHEMA.
+ *
+ * @param {Object} config - System configuration object
+ * @returns {Array<{level: string, path: string, message: string}>} Diagnostics (empty if valid)
+ *
+ * @example
+ * const diagnostics = validateSystemConfig(systems.table)
+ * reportDiagnostics('table', diagnostics)
+ */
+export function validateSystemConfig(config) {
+    const diagnostics = []
+
+    if (!config || typeof config !== 'object') {
+        diagnostics.push(error('', 'System config must be an object'))
+        return diagnostics
+    }
+
+    validateFields(config, SYSTEM_SCHEMA, '', diagnostics)
+
+    // A model file with an extension no loader handles would fail to load
+    const extension = typeof config.modelPath === 'string'
+        ? /\.([^./?#]+)(?:[?#].*)?$/.exec(config.modelPath)?.[1].toLowerCase()
+        : null
+    if (extension && !MODEL_EXTENSIONS.includes(extension)) {
+        diagnostics.push(error('modelPath',
+            `Unsupported model format ".${extension}" (use ${MODEL_EXTENSIONS.map(ext => '.' + ext).join(', ')})`))
+    }
+
+    // Duplicate part IDs make the parts list and labels ambiguous
+    if (Array.isArray(config.parts)) {
+        findDuplicates(config.parts.map(part => part?.id)).forEach(id => {
+            diagnostics.push(error('parts', `Duplicate part ID "${id}"`))
+        })
+
+        validateParents(config.parts, diagnostics)
+    }
+
+    if (config.expandConfig && typeof config.expandConfig === 'object') {
+        validateExplosionWindows(config.expandConfig, diagnostics)
+    }
+
+    if (Array.isArray(config.variants)) {
+        validateVariants(config.variants, diagnostics)
+    }
+
+    if (Array.isArray(config.joints)) {
+        validateJoints(config.joints, diagnostics)
+    }
+
+    return diagnostics
+}
+
+/**
+ * Check that variant IDs are unique and at most one variant is the default.
+ *
+ * @param {Array<Object>} variants - Variant definitions
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateVariants(variants, diagnostics) {
+    findDuplicates(variants.map(variant => variant?.id)).forEach(id => {
+        diagnostics.push(error('variants', `Duplicate variant ID "${id}"`))
+    })
+
+    const defaults = variants.filter(variant => variant?.default === true)
+    if (defaults.length > 1) {
+        diagnostics.push(warning('variants', `Several variants are marked default; "${defaults[0].id}" is used`))
+    }
+}
+
+/**
+ * Check that joint IDs are unique and each joint can move.
+ *
+ * @param {Array<Object>} joints - Joint definitions
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateJoints(joints, diagnostics) {
+    findDuplicates(joints.map(joint => joint?.id)).forEach(id => {
+        diagnostics.push(error('joints', `Duplicate joint ID "${id}"`))
+    })
+
+    joints.forEach((joint, i) => {
+        if (!joint || typeof joint !== 'object') return
+
+        const { axis, min, max, value } = joint
+        if (axis && typeof axis === 'object' && !axis.x && !axis.y && !axis.z) {
+            diagnostics.push(error(`joints[${i}].axis`, 'Axis has no direction'))
+        }
+        if (typeof min === 'number' && typeof max === 'number') {
+            if (min >= max) {
+                diagnostics.push(error(`joints[${i}]`, `Limits are empty or reversed (min ${min}, max ${max})`))
+            } else if (typeof value === 'number' && (value < min || value > max)) {
+                diagnostics.push(warning(`joints[${i}].value`, `Value ${value} is outside the limits; it is clamped`))
+            }
+        }
+        if (joint.pivot && joint.type === 'slider') {
+            diagnostics.push(warning(`joints[${i}].pivot`, 'Slider joints have no pivot; it is ignored'))
+        }
+    })
+}
+
+/**
+ * Check that per-part explosion windows lie within 0-100 and are not reversed.
+ *
+ * @param {Object.<string, Object>} expandConfig - Expand offsets by part ID
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateExplosionWindows(expandConfig, diagnostics) {
+    Object.entries(expandConfig).forEach(([id, offset]) => {
+        if (!offset || typeof offset !== 'object') return
+        const path = joinPath('expandConfig', id)
+
+        const windowKeys = ['start', 'end']
+        windowKeys.forEach(key => {
+            const value = offset[key]
+            if (typeof value === 'number' && (value < 0 || value > 100)) {
+                diagnostics.push(error(joinPath(path, key), `"${key}" must be between 0 and 100, got ${value}`))
+            }
+        })
+
+        if (typeof offset.start === 'number' && typeof offset.end === 'number' && offset.start > offset.end) {
+            diagnostics.push(error(path, `Window starts after it ends (${offset.start} > ${offset.end})`))
+        }
+    })
+}
+
+/**
+ * Check that every `parent` names an existing part and that the
+ * assembly hierarchy has no cycles.
+ *
+ * @param {Array<Object>} parts - Part definitions
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateParents(parts, diagnostics) {
+    const parentOf = new Map()
+    parts.forEach(part => {
+        if (typeof part?.id === 'string') parentOf.set(part.id, part.parent)
+    })
+
+    parts.forEach((part, i) => {
+        if (!part?.parent || typeof part.parent !== 'string') return
+
+        if (!parentOf.has(part.parent)) {
+            const suggestion = suggest(part.parent, Array.from(parentOf.keys()))
+            diagnostics.push(error(
+                `parts[${i}].parent`,
+                `Parent "${part.parent}" is not a part` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+            ))
+            return
+        }
+
+        // Walk up the chain; coming back to this part means a cycle
+        const visited = new Set([part.id])
+        let current = part.parent
+        while (current) {
+            if (visited.has(current)) {
+                if (current === part.id) {
+                    diagnostics.push(error(`parts[${i}].parent`, `Part "${part.id}" is its own ancestor`))
+                }
+                return
+            }
+            visited.add(current)
+            current = parentOf.get(current)
+        }
+    })
+}
+
+/**
+ * Validate an object's keys against a map of field descriptors.
+ *
+ * Reports missing required keys and unknown keys, then validates each
+ * known value recursively.
+ *
+ * @param {Object} obj - Object to validate
+ * @param {Object.<string, Object>} fields - Field descriptors keyed by name
+ * @param {string} path - Path of obj within the config
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateFields(obj, fields, path, diagnostics) {
+    // Required keys
+    Object.entries(fields).forEach(([key, schema]) => {
+        if (schema.required && !(key in obj)) {
+            diagnostics.push(error(joinPath(path, key), `Missing required field "${key}"`))
+        }
+    })
+
+    // Unknown keys (usually typos) and known values
+    Object.entries(obj).forEach(([key, value]) => {
+        const schema = fields[key]
+        if (!schema) {
+            const suggestion = suggest(key, Object.keys(fields))
+            diagnostics.push(warning(
+                joinPath(path, key),
+                `Unknown field "${key}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+            ))
+            return
+        }
+        validateValue(value, schema, joinPath(path, key), diagnostics)
+    })
+}
+
+/**
+ * Validate a single value against a field descriptor.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Field descriptor
+ * @param {string} path - Path of the value within the config
+ * @param {Array} diagnostics - Output array
+ * @private
+ */
+function validateValue(value, schema, path, diagnostics) {
+    if (value === null) {
+        if (!schema.nullable) {
+            diagnostics.push(error(path, `Expected ${schema.type}, got null`))
+        }
+        return
+    }
+
+    const actual = typeOf(value)
+    if (actual !== schema.type) {
+        diagnostics.push(error(path, `Expected ${schema.type}, got ${actual}`))
+        return
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = suggest(value, schema.enum)
+        diagnostics.push(error(
+            path,
+            `Unknown value "${value}", expected one of ${schema.enum.join(', ')}` +
+            (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+        ))
+    } else if (schema.type === 'array' && schema.items) {
+        value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, diagnostics))
+    } else if (schema.type === 'object' && schema.fields) {
+        validateFields(value, schema.fields, path, diagnostics)
+    } else if (schema.type === 'object' && schema.values) {
+        Object.entries(value).forEach(([key, item]) => {
+            validateValue(item, schema.values, joinPath(path, key), diagnostics)
+        })
+    }
+}
+
+// ============================================================================
+// MODEL VALIDATION
+// ============================================================================
+
+/**
+ * Validate a system configuration against a loaded GLTF scene.
+ *
+ * Call after SystemViewer.loadModel resolves. Checks:
+ * - Part IDs that match no node in the model (unknown parts), except
+ *   config-only assemblies that other parts name as parent
+ * - Meshes that have no entry in `parts` and are not inside a listed
+ *   assembly (missing parts)
+ * - expandConfig keys that match no node or part (orphan offsets)
+ * - expandStages entries that match no node or part, or appear in
+ *   several stages
+ * - steps parts that match no node or part
+ * - Variant hide, swap, materials, parts and expandConfig IDs that match
+ *   no node or part
+ * - materialPresets parts that match no node or part
+ * - Joint parts that match no node or part
+ * - Nodes that share a name (only one of them is reachable by ID)
+ *
+ * @param {Object} config - System configuration object
+ * @param {THREE.Object3D} model - The loaded model (SystemViewer.model)
+ * @returns {Array<{level: string, path: string, message: string}>} Diagnostics (empty if valid)
+ */
+export function validateAgainstModel(config, model) {
+    const diagnostics = []
+    if (!config || !model) return diagnostics
+
+    // Collect node names in traversal order (the same order loadModel uses)
+    const nodeNames = []
+    const meshes = []
+    model.traverse(child => {
+        if (child === model || !child.name) return
+        nodeNames.push(child.name)
+        if (child.isMesh) meshes.push(child)
+    })
+    const nodeSet = new Set(nodeNames)
+
+    findDuplicates(nodeNames).forEach(name => {
+        diagnostics.push(warning('model', `Several nodes are named "${name}"; only the last one can be selected`))
+    })
+
+    const parts = Array.isArray(config.parts) ? config.parts : []
+    const variants = Array.isArray(config.variants) ? config.variants : []
+
+    const partIds = new Set(parts.map(part => part?.id))
+
+    // Swap targets stand in for the part they replace, so they need no entry
+    const swapTargets = new Set(variants.flatMap(variant => Object.values(variant?.swap || {})))
+
+    // Config-only assemblies are parts that other parts name as parent
+    const assemblyIds = new Set(parts.map(part => part?.parent).filter(Boolean))
+
+    // Parts that point at no node
+    parts.forEach((part, i) => {
+        if (typeof part?.id === 'string' && !nodeSet.has(part.id) && !assemblyIds.has(part.id)) {
+            const suggestion = suggest(part.id, nodeNames)
+            diagnostics.push(error(
+                `parts[${i}].id`,
+                `No node named "${part.id}" in the model` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+            ))
+        }
+    })
+
+    // Meshes without a part entry and outside every listed assembly
+    // (not reachable from the parts list)
+    meshes.forEach(mesh => {
+        if (partIds.has(mesh.name) || swapTargets.has(mesh.name)) return
+
+        let ancestor = mesh.parent
+        while (ancestor && ancestor !== model) {
+            if (partIds.has(ancestor.name) || swapTargets.has(ancestor.name)) return
+            ancestor = ancestor.parent
+        }
+
+        diagnostics.push(warning('parts', `Mesh "${mesh.name}" has no entry in parts`))
+    })
+
+    // Expand offsets that point at no node or part
+    Object.keys(config.expandConfig || {}).forEach(id => {
+        if (!nodeSet.has(id) && !partIds.has(id)) {
+            const suggestion = suggest(id, nodeNames)
+            diagnostics.push(warning(
+                joinPath('expandConfig', id),
+                `Expand offset for "${id}" matches no node or part` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+            ))
+        }
+    })
+
+    // Assembly step parts that point at nothing
+    const steps = Array.isArray(config.steps) ? config.steps : []
+    steps.forEach((step, i) => {
+        (Array.isArray(step?.parts) ? step.parts : []).forEach((id, j) => {
+            if (!nodeSet.has(id) && !partIds.has(id)) {
+                diagnostics.push(warning(`steps[${i}].parts[${j}]`, `Step part "${id}" matches no node or part`))
+            }
+        })
+    })
+
+    // Stage parts that point at nothing or are listed twice
+    const stages = Array.isArray(config.expandStages) ? config.expandStages : []
+    const staged = new Set()
+    stages.forEach((stage, i) => {
+        (Array.isArray(stage?.parts) ? stage.parts : []).forEach((id, j) => {
+            const path = `expandStages[${i}].parts[${j}]`
+            if (!nodeSet.has(id) && !partIds.has(id)) {
+                diagnostics.push(warning(path, `Stage part "${id}" matches no node or part`))
+            }
+            if (staged.has(id)) {
+                diagnostics.push(warning(path, `"${id}" is listed in several stages; only the first one is used`))
+            }
+            staged.add(id)
+        })
+    })
+
+    // Material preset parts that point at nothing
+    const materialPresets = Array.isArray(config.materialPresets) ? config.materialPresets : []
+    materialPresets.forEach((group, i) => {
+        (Array.isArray(group?.parts) ? group.parts : []).forEach((id, j) => {
+            if (!nodeSet.has(id) && !partIds.has(id)) {
+                diagnostics.push(warning(`materialPresets[${i}].parts[${j}]`, `Material preset part "${id}" matches no node or part`))
+            }
+        })
+    })
+
+    // Joints whose part points at nothing (the joint is left out)
+    const joints = Array.isArray(config.joints) ? config.joints : []
+    joints.forEach((joint, i) => {
+        const id = joint?.part
+        if (typeof id === 'string' && !nodeSet.has(id) && !partIds.has(id)) {
+            const suggestion = suggest(id, nodeNames)
+            diagnostics.push(error(
+                `joints[${i}].part`,
+                `Joint part "${id}" matches no node or part` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+            ))
+        }
+    })
+
+    // Variant entries that point at nothing (swap targets must be nodes)
+    variants.forEach((variant, i) => {
+        Object.entries(variant?.swap || {}).forEach(([source, target]) => {
+            if (typeof target === 'string' && !nodeSet.has(target)) {
+                const suggestion = suggest(target, nodeNames)
+                diagnostics.push(error(
+                    `variants[${i}].${joinPath('swap', source)}`,
+                    `No node named "${target}" in the model` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+                ))
+            }
+        })
+
+        const ids = [
+            ...(Array.isArray(variant?.hide) ? variant.hide.map((id, j) => [`hide[${j}]`, id]) : []),
+            ...Object.keys(variant?.swap || {}).map(id => [joinPath('swap', id), id]),
+            ...['materials', 'parts', 'expandConfig'].flatMap(key =>
+                Object.keys(variant?.[key] || {}).map(id => [joinPath(key, id), id])
+            )
+        ]
+        ids.forEach(([path, id]) => {
+            if (typeof id === 'string' && !nodeSet.has(id) && !partIds.has(id) && !swapTargets.has(id)) {
+                const suggestion = suggest(id, nodeNames)
+                diagnostics.push(warning(
+                    `variants[${i}].${path}`,
+                    `Variant part "${id}" matches no node or part` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+                ))
+            }
+        })
+    })
+
+    return diagnostics
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Report diagnostics in the console and, in development builds, in an
+ * overlay over the 3D viewer.
+ *
+ * Calling this again for the same system replaces the previous overlay
+ * contents, so pass the combined diagnostics of both validation passes.
+ *
+ * @param {string} systemId - ID of the validated system (shown in the header)
+ * @param {Array<{level: string, path: string, message: string}>} diagnostics - Diagnostics to report
+ */
+export function reportDiagnostics(systemId, diagnostics) {
+    if (diagnostics.length === 0) return
+
+    // ===== CONSOLE =====
+    console.groupCollapsed(`[TNKR] ${diagnostics.length} config issue(s) in system "${systemId}"`)
+    diagnostics.forEach(d => {
+        const log = d.level === 'error' ? console.error : console.warn
+        log(`${d.path || '(root)'}: ${d.message}`)
+    })
+    console.groupEnd()
+
+    // ===== DEV OVERLAY =====
+    // Only shown during development so end users never see config internals
+    if (import.meta.env.DEV) {
+        renderOverlay(systemId, diagnostics)
+    }
+}
+
+/**
+ * Render (or replace) the diagnostics overlay in the viewer container.
+ *
+ * @param {string} systemId - ID of the validated system
+ * @param {Array<{level: string, path: string, message: string}>} diagnostics - Diagnostics to show
+ * @private
+ */
+function renderOverlay(systemId, diagnostics) {
+    const container = document.getElementById('viewer-container')
+    if (!container) return
+
+    let overlay = container.querySelector('.validation-overlay')
+    if (!overlay) {
+        overlay = document.createElement('div')
+        overlay.className = 'validation-overlay'
+        container.appendChild(overlay)
+    }
+
+    overlay.innerHTML = `
+        <div class="validation-header">
+            <span>Config issues in "${systemId}" (${diagnostics.length})</span>
+            <button class="validation-close" title="Dismiss"><i class="ph ph-x"></i></button>
+        </div>
+        <ul class="validation-list"></ul>
+    `
+
+    // Use textContent for messages - they contain names from the config/model
+    const list = overlay.querySelector('.validation-list')
+    diagnostics.forEach(d => {
+        const item = document.createElement('li')
+        item.className = `validation-item ${d.level}`
+
+        const path = document.createElement('code')
+        path.textContent = d.path || '(root)'
+
+        const message = document.createElement('span')
+        message.textContent = d.message
+
+        item.append(path, message)
+        list.appendChild(item)
+    })
+
+    overlay.querySelector('.validation-close').addEventListener('click', () => overlay.remove())
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** @private */
+function error(path, message) {
+    return { level: 'error', path, message }
+}
+
+/** @private */
+function warning(path, message) {
+    return { level: 'warning', path, message }
+}
+
+/** @private */
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : key
+}
+
+/**
+ * Get a schema type name for a value ('array' and 'object' are distinguished).
+ *
+ * @param {*} value - Any value
+ * @returns {string} Type name
+ * @private
+ */
+function typeOf(value) {
+    return Array.isArray(value) ? 'array' : typeof value
+}
+
+/**
+ * Find values that appear more than once.
+ *
+ * @param {Array} values - Values to check (null/undefined are ignored)
+ * @returns {Array} Each duplicated value, once
+ * @private
+ */
+function findDuplicates(values) {
+    const seen = new Set()
+    const duplicates = new Set()
+    values.forEach(value => {
+        if (value == null) return
+        if (seen.has(value)) duplicates.add(value)
+        seen.add(value)
+    })
+    return Array.from(duplicates)
+}
+
+/**
+ * Suggest the closest candidate for a misspelled name.
+ *
+ * Uses case-insensitive Levenshtein distance.
+ *
+ * @param {string} name - The misspelled name
+ * @param {string[]} candidates - Valid names
+ * @returns {string|null} Closest candidate within SUGGESTION_MAX_DISTANCE, or null
+ * @private
+ */
+function suggest(name, candidates) {
+    let best = null
+    let bestDistance = SUGGESTION_MAX_DISTANCE + 1
+
+    candidates.forEach(candidate => {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase())
+        if (distance < bestDistance) {
+            best = candidate
+            bestDistance = distance
+        }
+    })
+
+    return best
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits to turn a into b
+ * @private
+ */
+function editDistance(a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i]
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost)
+        }
+        prev = curr
+    }
+
+    return prev[b.length]
+}
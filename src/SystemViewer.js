@@ -14,8 +14,14 @@
  * KEY RESPONSIBILITIES:
  * - Initialize Three.js scene with proper lighting, camera, and renderer
  * - Load GLTF/GLB 3D models and extract individual parts
- * - Implement exploded view animations using GSAP
+ * - Build the part/assembly tree so selection and explosion apply to subtrees
+ * - Implement exploded view animations using GSAP (optionally in ordered stages)
  * - Handle part highlighting (from sidebar clicks and 3D clicks)
+ * - Guided assembly mode (step-by-step instructions with ghosted parts)
+ * - Fly the camera to selected parts and back to the default view
+ * - Hide parts, isolate a selection and x-ray the rest of the model
+ * - Switch product variants (swapped meshes, hidden parts, materials)
+ * - Export the arranged model as GLB with part metadata
  * - Manage floating part labels that follow 3D objects
  * - Control auto-rotation behavior
  * - Handle window resize events
@@ -27,13 +33,17 @@
  * - WebGLRenderer: Renders the scene using WebGL
  * - OrbitControls: Allows user to rotate, zoom, and pan the camera
  * - Raycaster: Detects which 3D object the user clicked on
- * - GLTFLoader: Loads .glb/.gltf 3D model files
+ * - GLTFLoader: Loads .glb/.gltf 3D model files (other formats: ModelLoader.js)
+ * - GLTFExporter: Writes the model back out as .glb
  * 
  * DEPENDENCIES:
  * - three: Three.js core library for 3D rendering
- * - three/examples/jsm/loaders/GLTFLoader: Loads GLTF 3D models
  * - three/examples/jsm/controls/OrbitControls: Camera orbit controls
+ * - three/examples/jsm/exporters/GLTFExporter: GLB export
  * - gsap: Animation library for smooth expand/collapse animations
+ * - ./PartTree.js: Parent/child hierarchy of parts and assemblies
+ * - ./Variants.js: Product variants of a system
+ * - ./ModelLoader.js: Model files (glTF with Draco/Meshopt/KTX2, OBJ, STL, 3MF)
  * 
  * AUTHOR: TNKR Development Team
  * ================================================================================
@@ -42,15 +52,27 @@
 // Three.js core library - provides all 3D rendering capabilities
 import * as THREE from 'three'
 
-// GLTF Loader - loads .glb and .gltf 3D model files (industry standard format)
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+// Model Loader - loads .glb/.gltf (compressed too), .obj, .stl and .3mf model files
+import { ModelLoader } from './ModelLoader.js'
 
 // Orbit Controls - allows users to rotate, zoom, and pan the camera with mouse/touch
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js'
 
+// GLTFExporter: Saves the arranged (e.g., exploded) model as a GLB file
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js'
+
 // GSAP - professional animation library for smooth transitions
 import gsap from 'gsap'
 
+// Part tree - parent/child hierarchy of parts and assemblies
+import { buildPartTree, findSceneParent, getSubtreeIds, listModelParts } from './PartTree.js'
+
+// Variants - effective config, hidden parts and materials of a product variant
+import { createMaterialCopy, getAllVariantParts, getDefaultVariantId, resolveVariant } from './Variants.js'
+
+// Auto Explode - offsets for systems without an expandConfig
+import { generateExpandConfig } from './AutoExplode.js'
+
 // ============================================================================
 // CONSTANTS - Extracted for maintainability and performance
 // ============================================================================
@@ -70,7 +92,7 @@ const CAMERA_FOV = 45
 /** Near clipping plane distance */
 const CAMERA_NEAR = 0.1
 
-/** Far clipping plane distance */
+/** Far clipping plane distance (raised for models that are larger) */
 const CAMERA_FAR = 1000
 
 /** Maximum pixel ratio for renderer (limits retina overhead) */
@@ -85,6 +107,9 @@ const AUTO_ROTATE_SPEED = 1.0
 /** Animation duration for expand/collapse in seconds */
 const ANIMATION_DURATION = 1
 
+/** Playback duration of a single disassembly stage in seconds */
+const STAGE_DURATION = 0.8
+
 /** Camera zoom multiplier (closer = smaller value) */
 const CAMERA_ZOOM_FACTOR = 0.6
 
@@ -97,6 +122,21 @@ const MAIN_LIGHT_INTENSITY = 1
 /** Back/rim light intensity */
 const BACK_LIGHT_INTENSITY = 0.5
 
+/** Opacity of ghosted parts (e.g., not yet installed in assembly mode) */
+const GHOST_OPACITY = 0.15
+
+/** Duration of camera moves in seconds */
+const CAMERA_ANIMATION_DURATION = 1.2
+
+/** Extra space around a part when the camera frames it (1 = touching the edges) */
+const FRAME_PADDING = 1.4
+
+/** Opacity of non-selected parts in x-ray mode */
+const XRAY_OPACITY = 0.3
+
+/** Pointer travel (in pixels) above which a right-drag counts as panning, not a menu click */
+const CONTEXT_MENU_DRAG_TOLERANCE = 5
+
 /**
  * SystemViewer Class
  * 
@@ -139,21 +179,181 @@ export class SystemViewer {
         /** @type {THREE.Object3D|null} The loaded 3D model */
         this.model = null
 
+        /** @type {ModelLoader|null} Loader for model files (keeps its decoders between loads) */
+        this.modelLoader = null
+
+        /** @type {THREE.Light[]} Default three-point lights (ambient, key, back) */
+        this.lights = []
+
         /** 
          * @type {Map<string, THREE.Mesh>} 
          * Map of part name to its 3D mesh object for quick lookup
          */
         this.parts = new Map()
 
+        /** 
+         * @type {Map<string, THREE.Object3D>} 
+         * Map of node name to every named object in the model
+         * (meshes and the groups that form assemblies)
+         */
+        this.nodes = new Map()
+
+        /** 
+         * @type {Map<string, {id: string, name: string, parent: string|null, children: string[]}>} 
+         * Part/assembly hierarchy built from config parents and the GLTF node tree
+         */
+        this.partTree = new Map()
+
         /** 
          * @type {Map<string, THREE.Vector3>} 
-         * Map of part name to its original position (for collapse animation)
+         * Map of node name to its original position (for collapse animation)
          */
         this.originalPositions = new Map()
 
         /** @type {boolean} Whether the model is currently in exploded view */
         this.isExpanded = false
 
+        /** @type {number} Current explosion amount (0 = assembled, 100 = fully exploded) */
+        this.explosionPercent = 0
+
+        /** @type {gsap.core.Tween|null} Running expand/collapse playback */
+        this._explosionTween = null
+
+        /** 
+         * @type {function(number): void|null} 
+         * Called with the explosion percentage whenever it changes
+         * during expand/collapse playback (used to sync the slider)
+         */
+        this.onExplosionChange = null
+
+        /** 
+         * @type {function(string[]): void|null} 
+         * Called with the highlighted part IDs whenever the selection
+         * changes (from the sidebar or from 3D clicks)
+         */
+        this.onSelectionChange = null
+
+        /** 
+         * @type {function(): void|null} 
+         * Called when an animated camera move (fly-to, reset) finishes
+         */
+        this.onCameraChange = null
+
+        /** 
+         * @type {{position: THREE.Vector3, target: THREE.Vector3}|null} 
+         * Auto-fit camera pose computed in loadModel (used by resetView)
+         */
+        this.homeView = null
+
+        /** 
+         * @type {Set<string>} 
+         * Names of meshes hidden by the user (visibility toggles)
+         */
+        this.hiddenParts = new Set()
+
+        /** 
+         * @type {Set<string>|null} 
+         * Names of the meshes kept in isolate mode (null = not isolating)
+         */
+        this.isolatedParts = null
+
+        /** 
+         * @type {Set<string>} 
+         * Names of meshes the current variant leaves out or swaps out
+         */
+        this.variantHiddenParts = new Set()
+
+        /** @type {string|null} ID of the current variant (null if the system has none) */
+        this.variantId = null
+
+        /** @type {Object|null} System config as loaded, before a variant is applied */
+        this.baseConfig = null
+
+        /** 
+         * @type {Object|null} 
+         * Explode offsets used instead of the config's, set in author mode
+         * (generated, edited or imported); kept when the variant changes
+         */
+        this.expandConfigOverride = null
+
+        /** 
+         * @type {Object|null} 
+         * Explode offsets generated for the current variant when its config
+         * has none (AutoExplode.js)
+         */
+        this.generatedExpandConfig = null
+
+        /** @type {Map<string, THREE.Material>} Material of each mesh as loaded (variants start from it) */
+        this._loadedMaterials = new Map()
+
+        /** @type {Map<string, Object>} Material properties of the current variant, by mesh name */
+        this._variantMaterials = new Map()
+
+        /** 
+         * @type {Map<string, Object>} 
+         * Material properties picked by the user (finish presets), by mesh
+         * name - applied over the variant's materials
+         */
+        this.materialOverrides = new Map()
+
+        /** 
+         * @type {function(string): void|null} 
+         * Called with the variant ID after a variant has been applied
+         */
+        this.onVariantChange = null
+
+        /** @type {'hide'|'fade'} How isolate mode treats the other parts */
+        this.isolateMode = 'hide'
+
+        /** @type {boolean} Whether non-selected parts are drawn translucent */
+        this.xrayEnabled = false
+
+        /** 
+         * @type {function(): void|null} 
+         * Called when hidden parts, isolate mode or x-ray mode change
+         */
+        this.onVisibilityChange = null
+
+        /** 
+         * @type {function(THREE.Mesh|null, MouseEvent): void|null} 
+         * Called on a right-click (without dragging) on the canvas with the
+         * part under the cursor, or null for empty space
+         */
+        this.onContextMenu = null
+
+        /** 
+         * @type {function(THREE.Intersection|null, MouseEvent): void|null} 
+         * When set, canvas clicks are passed to this function (with the
+         * raycast hit) instead of toggling highlights - used by tools
+         * such as the measurement mode. Set with setPickHandler().
+         */
+        this.pickHandler = null
+
+        /** @type {function(): void|null} Called when the current pick handler is replaced */
+        this._pickHandlerRelease = null
+
+        /** @type {Array<function(): void>} Called every frame before rendering */
+        this._frameListeners = []
+
+        /** @type {boolean} Whether an export owns the renderer (animate() doesn't render) */
+        this.capturing = false
+
+        /** @type {{x: number, y: number}|null} Where the right mouse button went down */
+        this._contextPointerStart = null
+
+        /** @type {number} Index of the current assembly step (-1 = not in assembly mode) */
+        this.assemblyStep = -1
+
+        /** @type {gsap.core.Tween[]} Running tweens of the current assembly step */
+        this._assemblyTweens = []
+
+        /** 
+         * @type {string[]} 
+         * Part IDs of the most recent selection (a sidebar item or a clicked
+         * mesh), used by the part detail panel
+         */
+        this.activePartIds = []
+
         /** @type {THREE.Mesh|null} Currently selected part (legacy, may be unused) */
         this.selectedPart = null
 
@@ -241,6 +441,9 @@ export class SystemViewer {
         backLight.position.set(-5, 5, -5)
         this.scene.add(backLight)
 
+        // Environment lighting presets turn these off (see AppearanceTool.js)
+        this.lights = [ambientLight, dirLight, backLight]
+
         // =====================================================================
         // CAMERA SETUP
         // =====================================================================
@@ -259,9 +462,13 @@ export class SystemViewer {
         this.renderer = new THREE.WebGLRenderer({
             canvas: this.canvas,   // Render to our canvas element
             antialias: true,       // Smooth edges
-            alpha: true            // Support transparency
+            alpha: true,           // Support transparency
+            stencil: true          // Needed for capped section planes (SectionTool.js)
         })
 
+        // Allow per-material clipping planes (section views)
+        this.renderer.localClippingEnabled = true
+
         // Set initial size to match canvas
         this.renderer.setSize(this.canvas.clientWidth, this.canvas.clientHeight)
 
@@ -274,6 +481,9 @@ export class SystemViewer {
         // Use sRGB color space for correct color display
         this.renderer.outputColorSpace = THREE.SRGBColorSpace
 
+        // Model loader (KTX2 textures are transcoded for this renderer)
+        this.modelLoader = new ModelLoader(this.renderer)
+
         // =====================================================================
         // CONTROLS SETUP
         // =====================================================================
@@ -310,6 +520,21 @@ export class SystemViewer {
         // Bind click handler to detect and highlight clicked parts
         this.canvas.addEventListener('click', this.onCanvasClick.bind(this))
 
+        // Double-click flies the camera to the part under the cursor
+        this.canvas.addEventListener('dblclick', this.onCanvasDoubleClick.bind(this))
+
+        // =====================================================================
+        // RIGHT-CLICK CONTEXT MENU
+        // =====================================================================
+        // OrbitControls pans with a right-drag, so the menu only opens when
+        // the pointer is released close to where it went down
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (event.button === 2) {
+                this._contextPointerStart = { x: event.clientX, y: event.clientY }
+            }
+        })
+        this.canvas.addEventListener('pointerup', this.onCanvasContextMenu.bind(this))
+
         // =====================================================================
         // RESIZE HANDLER
         // =====================================================================
@@ -320,7 +545,8 @@ export class SystemViewer {
         // START ANIMATION LOOP
         // =====================================================================
         // Cache viewer container reference for label positioning
-        this._viewerContainer = document.getElementById('viewer-container')
+        // (the canvas's pane - labels are positioned relative to the canvas)
+        this._viewerContainer = this.canvas.parentElement
 
         // Begin continuous rendering (uses pre-bound method for performance)
         this._boundAnimate()
@@ -336,8 +562,78 @@ export class SystemViewer {
      * @private
      */
     onCanvasClick(event) {
+        // An active tool takes the click instead of the selection
+        if (this.pickHandler) {
+            this.pickHandler(this.pickHit(event), event)
+            return
+        }
+
         // Allow clicking in any mode (assembled or exploded)
+        const clickedPart = this.pickPart(event)
+
+        // If we hit something, toggle its highlight
+        if (clickedPart) {
+            this.togglePartHighlight(clickedPart)
+        }
+    }
+
+    /**
+     * Handle double-click events on the 3D canvas.
+     * 
+     * Flies the camera to the part under the cursor. (The two clicks
+     * before the double-click toggle its highlight on and back off.)
+     * 
+     * @param {MouseEvent} event - The dblclick event
+     * @private
+     */
+    onCanvasDoubleClick(event) {
+        if (this.pickHandler) return
+
+        const part = this.pickPart(event)
+        if (part) this.frameParts(part.name)
+    }
+
+    /**
+     * Handle right-button releases on the 3D canvas.
+     * 
+     * Reports the part under the cursor to the onContextMenu listener,
+     * unless the pointer moved (the user was panning).
+     * 
+     * @param {PointerEvent} event - The pointerup event
+     * @private
+     */
+    onCanvasContextMenu(event) {
+        const start = this._contextPointerStart
+        this._contextPointerStart = null
+        if (event.button !== 2 || !start || !this.onContextMenu) return
+
+        const moved = Math.hypot(event.clientX - start.x, event.clientY - start.y)
+        if (moved > CONTEXT_MENU_DRAG_TOLERANCE) return
+
+        this.onContextMenu(this.pickPart(event), event)
+    }
 
+    /**
+     * Find the part mesh under the mouse cursor.
+     * 
+     * @param {MouseEvent} event - Mouse event on the canvas
+     * @returns {THREE.Mesh|null} The closest mesh hit, or null
+     * @private
+     */
+    pickPart(event) {
+        return this.pickHit(event)?.object || null
+    }
+
+    /**
+     * Raycast the part meshes under the mouse cursor.
+     * 
+     * Hidden parts are ignored, and x-rayed/faded parts are clicked
+     * through when there is a solid part behind them.
+     * 
+     * @param {MouseEvent} event - Mouse event on the canvas
+     * @returns {THREE.Intersection|null} The hit (object, world point, ...), or null
+     */
+    pickHit(event) {
         // Calculate normalized device coordinates (-1 to +1)
         const rect = this.canvas.getBoundingClientRect()
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1
@@ -346,15 +642,15 @@ export class SystemViewer {
         // Cast a ray from the camera through the mouse position
         this.raycaster.setFromCamera(this.mouse, this.camera)
 
-        // Get all mesh objects to test for intersection
-        const meshes = Array.from(this.parts.values())
+        // Get all visible mesh objects to test for intersection
+        const meshes = Array.from(this.parts.values()).filter(part => part.visible)
         const intersects = this.raycaster.intersectObjects(meshes, false)
+            .filter(hit => !this.isClippedAway(hit))
+        if (intersects.length === 0) return null
 
-        // If we hit something, toggle its highlight
-        if (intersects.length > 0) {
-            const clickedPart = intersects[0].object
-            this.togglePartHighlight(clickedPart)
-        }
+        // Click through x-rayed/faded parts to the solid parts inside
+        const solidHit = intersects.find(hit => !this.isSeeThrough(hit.object.name))
+        return solidHit || intersects[0]
     }
 
     /**
@@ -404,16 +700,41 @@ export class SystemViewer {
 
             // Create floating label above the part
             this.createPartLabel(partName)
+
+            this.activePartIds = [partName]
         }
+
+        this.notifySelectionChange()
+    }
+
+    /**
+     * Get the IDs of all highlighted meshes (sidebar and 3D clicks).
+     * 
+     * @returns {string[]} Highlighted mesh IDs
+     */
+    getHighlightedPartIds() {
+        return Array.from(new Set([...this.highlightedParts, ...(this.sidebarHighlightedParts || [])]))
+    }
+
+    /**
+     * Inform the onSelectionChange listener about the current selection.
+     * 
+     * @private
+     */
+    notifySelectionChange() {
+        // X-ray and fade materials depend on what is selected
+        this.refreshPartVisibility()
+
+        if (this.onSelectionChange) this.onSelectionChange(this.getHighlightedPartIds())
     }
 
     /**
      * Synchronize sidebar UI when parts are toggled via 3D click.
      * 
      * Finds any sidebar list items that contain the given part ID
-     * and updates their selection state based on whether any parts
-     * in that group are still highlighted.
-     * 
+     * (directly or inside an assembly) and updates their selection state
+     * based on whether any parts in that group are still highlighted.
+     *
      * @param {string} partId - The ID of the part that was toggled
      * @param {boolean} isSelected - Whether the part is now selected (unused, determined dynamically)
      * @private
@@ -422,7 +743,8 @@ export class SystemViewer {
         // Find all sidebar items that might contain this part
         document.querySelectorAll('.part-item').forEach(el => {
             try {
-                const ids = JSON.parse(el.dataset.partIds || '[]')
+                // Expand assemblies to the meshes they contain
+                const ids = this.getMeshIds(JSON.parse(el.dataset.partIds || '[]'))
                 if (ids.includes(partId)) {
                     // Check if any parts in this group are still highlighted
                     const anyStillHighlighted = ids.some(id =>
@@ -461,6 +783,78 @@ export class SystemViewer {
         part.material = highlightMat
     }
 
+    /**
+     * Apply a translucent "ghost" material to a part.
+     * 
+     * Like applyHighlight, works on a clone of the original material so
+     * that the part can be restored with restoreMaterial().
+     * 
+     * @param {THREE.Mesh} part - The mesh to ghost
+     * @private
+     */
+    applyGhost(part) {
+        // Store original material if not already stored
+        if (!part.userData.originalMaterial) {
+            part.userData.originalMaterial = part.material.clone()
+        }
+
+        // Create see-through version of the material
+        const ghostMat = part.userData.originalMaterial.clone()
+        ghostMat.transparent = true
+        ghostMat.opacity = GHOST_OPACITY
+        ghostMat.depthWrite = false  // Don't hide the parts behind it
+
+        part.material = ghostMat
+    }
+
+    /**
+     * Apply the translucent x-ray material to a part.
+     * 
+     * Works on a clone of the original material (see applyGhost).
+     * 
+     * @param {THREE.Mesh} part - The mesh to x-ray
+     * @private
+     */
+    applyXray(part) {
+        // Store original material if not already stored
+        if (!part.userData.originalMaterial) {
+            part.userData.originalMaterial = part.material.clone()
+        }
+
+        const xrayMat = part.userData.originalMaterial.clone()
+        xrayMat.transparent = true
+        xrayMat.opacity = XRAY_OPACITY
+        xrayMat.depthWrite = false  // Inner parts stay visible through it
+
+        part.material = xrayMat
+    }
+
+    /**
+     * Restore a part's original material (undo highlight or ghost).
+     * 
+     * @param {THREE.Mesh} part - The mesh to restore
+     * @private
+     */
+    restoreMaterial(part) {
+        if (part.userData.originalMaterial) {
+            part.material = part.userData.originalMaterial
+        }
+    }
+
+    /**
+     * Clear every highlight and label, whether it came from the sidebar
+     * or from 3D clicks, and update the sidebar to match.
+     */
+    clearSelection() {
+        const meshIds = [...this.highlightedParts, ...(this.sidebarHighlightedParts || [])]
+        this.unhighlightPart(meshIds)
+
+        // Labels of assemblies are keyed by assembly ID, not mesh name
+        Array.from(this.partLabels.keys()).forEach(id => this.removePartLabel(id))
+
+        meshIds.forEach(id => this.syncSidebarSelection(id, false))
+    }
+
     // NOTE: Duplicate unhighlightPart method was removed during refactoring.
     // The primary implementation is below (around line 646).
 
@@ -476,6 +870,9 @@ export class SystemViewer {
      * @private
      */
     createPartLabel(partName) {
+        // One label per part (sidebar and 3D clicks may both request it)
+        if (this.partLabels.has(partName)) return
+
         // Find display name from system config (e.g., "Table_Leg_1" -> "Leg 1")
         let displayName = partName
         if (this.systemConfig?.parts) {
@@ -527,11 +924,19 @@ export class SystemViewer {
         const canvasHeight = this.canvas.clientHeight
 
         this.partLabels.forEach((label, partName) => {
-            const part = this.parts.get(partName)
-            if (!part) return
+            // Assemblies are labelled at the center of their whole subtree
+            const objects = this.getPartObjects(partName)
+            if (objects.length === 0) return
+
+            // No label for hidden parts
+            if (!this.getMeshIds(partName).some(id => this.parts.get(id).visible)) {
+                label.style.display = 'none'
+                return
+            }
 
             // Reuse temp objects to avoid GC pressure (called every frame)
-            this._tempBox.setFromObject(part)
+            this._tempBox.makeEmpty()
+            objects.forEach(object => this._tempBox.expandByObject(object))
             this._tempBox.getCenter(this._tempCenter)
 
             // Project 3D position to normalized device coordinates
@@ -562,14 +967,60 @@ export class SystemViewer {
     clearAllHighlights() {
         this.highlightedParts.forEach(partName => {
             const part = this.parts.get(partName)
-            if (part) this.unhighlightPart(part)
+            if (part && part.userData.originalMaterial) {
+                part.material = part.userData.originalMaterial
+            }
             this.removePartLabel(partName)
         })
         this.highlightedParts.clear()
+
+        this.notifySelectionChange()
+    }
+
+    /**
+     * Get the model nodes that make up a part or assembly.
+     *
+     * For an assembly this includes the nodes of every part in its subtree,
+     * so "virtual" assemblies (config-only, no node in the model) resolve
+     * to the nodes of their children.
+     *
+     * @param {string} partId - Part, assembly or mesh ID
+     * @returns {THREE.Object3D[]} Nodes found in the model (may be empty)
+     */
+    getPartObjects(partId) {
+        return getSubtreeIds(this.partTree, partId)
+            .map(id => this.nodes.get(id))
+            .filter(Boolean)
     }
 
     /**
-     * Load a GLTF/GLB 3D model.
+     * Resolve part and assembly IDs to the names of the meshes they contain.
+     *
+     * Meshes are collected from the part subtree and from the model
+     * hierarchy below each node (an assembly group contains its meshes).
+     *
+     * @param {string|string[]} partIds - Single part ID or array of part IDs
+     * @returns {string[]} Unique mesh names, in traversal order
+     */
+    getMeshIds(partIds) {
+        const ids = Array.isArray(partIds) ? partIds : [partIds]
+        const meshIds = new Set()
+
+        ids.forEach(partId => {
+            this.getPartObjects(partId).forEach(object => {
+                object.traverse(child => {
+                    if (child.isMesh && this.parts.get(child.name) === child) {
+                        meshIds.add(child.name)
+                    }
+                })
+            })
+        })
+
+        return Array.from(meshIds)
+    }
+
+    /**
+     * Load a 3D model (GLTF/GLB, OBJ, STL or 3MF, see ModelLoader.js).
      * 
      * This is the main method for loading system models. It:
      * 1. Loads the model file from the given path
@@ -577,21 +1028,28 @@ export class SystemViewer {
      * 3. Positions the camera to frame the model nicely
      * 4. Extracts individual parts for interaction
      * 5. Stores original positions for explode/collapse animations
+     * 6. Generates explode offsets if the config has no expandConfig
+     * 
+     * A config without `parts` (e.g., a dropped local file) gets a parts
+     * list made from the mesh names.
      * 
-     * @param {string} path - Path to the .glb or .gltf file
+     * @param {string} path - Path to the model file (.glb, .gltf, .obj, .stl or .3mf)
      * @param {Object} config - System configuration with parts, expandConfig, etc.
+     * @param {import('./ModelLoader.js').ModelLoadOptions} [options] - Loading options:
+     *   progress callback, abort signal, or a manager that maps texture paths to
+     *   object URLs (see LocalModel.js)
      * @returns {Promise<void>} Resolves when model is loaded
+     * @throws {ModelLoadError} If the model cannot be loaded (with the reason)
      */
-    loadModel(path, config) {
+    loadModel(path, config, options = {}) {
         return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader()
-
-            loader.load(path, (gltf) => {
+            this.modelLoader.load(path, options).then((model) => {
                 // ===== CLEANUP PREVIOUS MODEL =====
                 if (this.model) this.scene.remove(this.model)
 
                 // ===== STORE MODEL AND CONFIG =====
-                this.model = gltf.scene
+                this.model = model
+                this.baseConfig = config
                 this.systemConfig = config // Store for expand offsets and part names
 
                 // ===== CENTER MODEL =====
@@ -617,23 +1075,46 @@ export class SystemViewer {
 
                 // Position camera at an angle for better perspective
                 this.camera.position.set(cameraDistance, cameraDistance * 0.7, cameraDistance)
+
+                // Keep large models (e.g., STL files in millimeters) in front of the far plane
+                this.camera.far = Math.max(CAMERA_FAR, cameraDistance * 10)
+                this.camera.updateProjectionMatrix()
                 this.camera.lookAt(0, 0, 0)
                 this.controls.target.set(0, 0, 0)
                 this.controls.update()
 
+                // Remember this pose for "reset view"
+                this.homeView = {
+                    position: this.camera.position.clone(),
+                    target: this.controls.target.clone()
+                }
+
                 // Debug logging
                 console.log('Model size:', size)
                 console.log('Camera position:', this.camera.position)
 
                 // ===== EXTRACT PARTS =====
-                // Traverse the model tree and collect all mesh objects
+                // Forget the parts of any previously loaded model
+                this.parts.clear()
+                this.nodes.clear()
+                this.originalPositions.clear()
+                this._loadedMaterials.clear()
+
+                // Traverse the model tree and collect all named nodes.
+                // Meshes are the clickable parts; groups can be assemblies.
                 this.model.traverse((child) => {
+                    if (child === this.model || !child.name) return
+
+                    // Store node by name for later lookup
+                    this.nodes.set(child.name, child)
+
+                    // Store original position for collapse animation
+                    this.originalPositions.set(child.name, child.position.clone())
+
                     if (child.isMesh) {
                         // Store mesh by name for later lookup
                         this.parts.set(child.name, child)
-
-                        // Store original position for collapse animation
-                        this.originalPositions.set(child.name, child.position.clone())
+                        this._loadedMaterials.set(child.name, child.material)
 
                         // Optional: Enable shadows
                         // child.castShadow = true
@@ -641,8 +1122,35 @@ export class SystemViewer {
                     }
                 })
 
+                // ===== LIST PARTS OF UNCONFIGURED MODELS =====
+                if (!config.parts) {
+                    config = { ...config, parts: listModelParts(this.model, this.parts) }
+                    this.baseConfig = config
+                    this.systemConfig = config
+                }
+
+                // ===== BUILD PART TREE =====
+                // Assemblies come from config parents and the GLTF node hierarchy
+                // (with the parts of every variant, e.g. swapped-in table tops)
+                this.partTree = buildPartTree(getAllVariantParts(config), this.nodes)
+
+                // ===== APPLY DEFAULT VARIANT =====
+                this.variantId = null
+                this.variantHiddenParts.clear()
+                this._variantMaterials.clear()
+                this.materialOverrides.clear()
+                this.expandConfigOverride = null
+                this.generatedExpandConfig = null
+                const variantId = getDefaultVariantId(config)
+                if (variantId) {
+                    // Also generates missing explode offsets for the variant
+                    this.setVariant(variantId)
+                } else {
+                    this.updateGeneratedExpandConfig()
+                }
+
                 resolve()
-            }, undefined, reject) // undefined = no progress callback
+            }).catch(reject)
         })
     }
 
@@ -651,7 +1159,8 @@ export class SystemViewer {
      * 
      * Called when user clicks a part in the sidebar list.
      * Supports multiple parts at once (for grouped parts like "Legs").
-     * Also pauses auto-rotation while interacting.
+     * An assembly ID highlights every mesh in its subtree, with a single
+     * label for the assembly. Also pauses auto-rotation while interacting.
      * 
      * @param {string|string[]} partIds - Single part ID or array of part IDs
      */
@@ -660,8 +1169,13 @@ export class SystemViewer {
         const ids = Array.isArray(partIds) ? partIds : [partIds]
 
         ids.forEach(partId => {
-            const part = this.parts.get(partId)
-            if (part && part.material) {
+            const meshIds = this.getMeshIds(partId)
+            if (meshIds.length === 0) return
+
+            meshIds.forEach(meshId => {
+                const part = this.parts.get(meshId)
+                if (!part.material) return
+
                 // Store original material if not already stored
                 if (!part.userData.originalMaterial) {
                     part.userData.originalMaterial = part.material.clone()
@@ -678,21 +1192,25 @@ export class SystemViewer {
                 if (!this.sidebarHighlightedParts) {
                     this.sidebarHighlightedParts = new Set()
                 }
-                this.sidebarHighlightedParts.add(partId)
+                this.sidebarHighlightedParts.add(meshId)
+            })
 
-                // Create floating label for this part
-                this.createPartLabel(partId)
-            }
+            // Create floating label for this part (or assembly)
+            this.createPartLabel(partId)
         })
 
         // Pause auto rotation when interacting with parts
         this.controls.autoRotate = false
+
+        this.activePartIds = ids
+        this.notifySelectionChange()
     }
 
     /**
      * Unhighlight parts from sidebar selection.
      * 
      * Restores original material and removes floating labels.
+     * An assembly ID unhighlights every mesh in its subtree.
      * Resumes auto-rotation if no parts are highlighted anywhere.
      * 
      * @param {string|string[]} partIds - Single part ID or array of part IDs
@@ -701,21 +1219,26 @@ export class SystemViewer {
         const ids = Array.isArray(partIds) ? partIds : [partIds]
 
         ids.forEach(partId => {
-            const part = this.parts.get(partId)
-            if (part && part.userData.originalMaterial) {
-                // Restore original material
-                part.material = part.userData.originalMaterial
-            }
+            this.getMeshIds(partId).forEach(meshId => {
+                const part = this.parts.get(meshId)
+                if (part.userData.originalMaterial) {
+                    // Restore original material
+                    part.material = part.userData.originalMaterial
+                }
 
-            // Clear from sidebar tracking
-            if (this.sidebarHighlightedParts) {
-                this.sidebarHighlightedParts.delete(partId)
-            }
+                // Clear from sidebar tracking
+                if (this.sidebarHighlightedParts) {
+                    this.sidebarHighlightedParts.delete(meshId)
+                }
 
-            // Also clear from 3D click tracking
-            this.highlightedParts.delete(partId)
+                // Also clear from 3D click tracking
+                this.highlightedParts.delete(meshId)
 
-            // Remove floating label
+                // Remove floating label of the mesh (from 3D clicks)
+                this.removePartLabel(meshId)
+            })
+
+            // Remove floating label of the part (or assembly)
             this.removePartLabel(partId)
         })
 
@@ -725,6 +1248,8 @@ export class SystemViewer {
         if (noSidebarHighlights && no3DHighlights) {
             this.controls.autoRotate = this.autoRotateEnabled
         }
+
+        this.notifySelectionChange()
     }
 
     /**
@@ -747,41 +1272,540 @@ export class SystemViewer {
     }
 
     /**
-     * Set the explosion amount for the model.
+     * Check whether all meshes of parts or assemblies are hidden by the user.
      * 
-     * This is used by the slider to smoothly transition between
-     * assembled (0) and fully exploded (100) states.
-     * 
-     * @param {number} percent - Explosion percentage (0 = assembled, 100 = fully exploded)
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     * @returns {boolean} True if there are meshes and all of them are hidden
      */
-    setExplosionAmount(percent) {
-        // Skip if no expand config defined
-        if (!this.systemConfig?.expandConfig) return
-
-        // Convert percentage to factor (0 to 1)
-        const factor = percent / 100
-
-        // Update expanded state flag
-        this.isExpanded = percent > 0
-
-        // Auto-rotation respects user's toggle preference at all positions
-        this.controls.autoRotate = this.autoRotateEnabled
-
-        // Move each part based on its configured offset scaled by factor
-        this.parts.forEach((part, name) => {
-            const offset = this.systemConfig.expandConfig[name]
-            const originalPos = this.originalPositions.get(name)
-
-            if (offset && originalPos) {
-                // Calculate interpolated position
-                const targetX = originalPos.x + (offset.x || 0) * factor
-                const targetY = originalPos.y + (offset.y || 0) * factor
-                const targetZ = originalPos.z + (offset.z || 0) * factor
+    isPartHidden(partIds) {
+        const meshIds = this.getMeshIds(partIds)
+        return meshIds.length > 0 && meshIds.every(id => this.hiddenParts.has(id))
+    }
 
-                // Set position directly (no animation for slider)
-                part.position.set(targetX, targetY, targetZ)
+    /**
+     * Show or hide parts or assemblies.
+     * 
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     * @param {boolean} visible - Whether the parts should be shown
+     */
+    setPartsVisible(partIds, visible) {
+        this.getMeshIds(partIds).forEach(meshId => {
+            if (visible) {
+                this.hiddenParts.delete(meshId)
+            } else {
+                this.hiddenParts.add(meshId)
             }
         })
+        this.notifyVisibilityChange()
+    }
+
+    /**
+     * Hide parts that are visible, or show them again if they are all hidden.
+     * 
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     */
+    togglePartsVisible(partIds) {
+        this.setPartsVisible(partIds, this.isPartHidden(partIds))
+    }
+
+    /**
+     * Isolate parts: everything else is hidden or faded.
+     * 
+     * The isolated set stays fixed until exitIsolate() or showAllParts(),
+     * even if the selection changes.
+     * 
+     * @param {string|string[]} partIds - Part IDs to keep (assemblies include their subtree)
+     * @param {'hide'|'fade'} [mode='hide'] - Hide the other parts, or fade them
+     * @returns {boolean} False if none of the parts exist in the model
+     */
+    isolateParts(partIds, mode = 'hide') {
+        const meshIds = this.getMeshIds(partIds)
+        if (meshIds.length === 0) return false
+
+        this.isolatedParts = new Set(meshIds)
+        this.isolateMode = mode
+        this.notifyVisibilityChange()
+        return true
+    }
+
+    /**
+     * Isolate the currently highlighted parts.
+     * 
+     * @param {'hide'|'fade'} [mode='hide'] - Hide the other parts, or fade them
+     * @returns {boolean} False if nothing is selected
+     */
+    isolateSelection(mode = 'hide') {
+        return this.isolateParts(this.getHighlightedPartIds(), mode)
+    }
+
+    /**
+     * Leave isolate mode (user-hidden parts stay hidden).
+     */
+    exitIsolate() {
+        if (!this.isolatedParts) return
+        this.isolatedParts = null
+        this.notifyVisibilityChange()
+    }
+
+    /**
+     * Turn x-ray mode on or off.
+     * 
+     * In x-ray mode every part that is not highlighted is translucent,
+     * so that the selection can be seen inside the model.
+     * 
+     * @param {boolean} enabled - Whether x-ray mode should be on
+     */
+    setXray(enabled) {
+        this.xrayEnabled = enabled
+        this.notifyVisibilityChange()
+    }
+
+    /**
+     * Show every part again: clears hidden parts and isolate mode.
+     */
+    showAllParts() {
+        this.hiddenParts.clear()
+        this.isolatedParts = null
+        this.notifyVisibilityChange()
+    }
+
+    /**
+     * Check whether a mesh is currently drawn see-through
+     * (x-rayed, or faded by isolate mode).
+     * 
+     * @param {string} meshId - Mesh name
+     * @returns {boolean} True if the mesh is translucent
+     * @private
+     */
+    isSeeThrough(meshId) {
+        if (this.assemblyStep !== -1) return false
+        if (this.highlightedParts.has(meshId) || this.sidebarHighlightedParts?.has(meshId)) return false
+
+        const faded = this.isolatedParts && !this.isolatedParts.has(meshId) && this.isolateMode === 'fade'
+        return Boolean(faded || this.xrayEnabled)
+    }
+
+    /**
+     * Apply hidden parts, isolate mode and x-ray mode to every mesh.
+     * 
+     * Highlighted parts keep their highlight material. Everything else gets
+     * the fade/x-ray material, or its original material back when no mode
+     * applies. Materials are left alone in assembly mode, which manages
+     * them itself.
+     * 
+     * @private
+     */
+    refreshPartVisibility() {
+        this.parts.forEach((part, name) => {
+            const outsideIsolation = this.isolatedParts && !this.isolatedParts.has(name)
+            part.visible = !this.hiddenParts.has(name) &&
+                !this.variantHiddenParts.has(name) &&
+                !(outsideIsolation && this.isolateMode === 'hide')
+
+            if (this.assemblyStep !== -1) return
+            if (this.highlightedParts.has(name) || this.sidebarHighlightedParts?.has(name)) return
+
+            if (outsideIsolation && this.isolateMode === 'fade') {
+                this.applyGhost(part)
+            } else if (this.xrayEnabled) {
+                this.applyXray(part)
+            } else {
+                this.restoreMaterial(part)
+            }
+        })
+    }
+
+    /**
+     * Re-apply visibility modes and inform the onVisibilityChange listener.
+     * 
+     * @private
+     */
+    notifyVisibilityChange() {
+        this.refreshPartVisibility()
+        if (this.onVisibilityChange) this.onVisibilityChange()
+    }
+
+    /**
+     * Show a variant of the system (see Variants.js).
+     * 
+     * Replaces systemConfig with the variant's config (parts, explode
+     * offsets, stages, steps and finish groups), hides the meshes the variant leaves out
+     * or swaps out and gives meshes the variant's materials. Clears the
+     * selection and leaves assembly mode; the explosion amount is kept.
+     * 
+     * @param {string} variantId - ID of a variant in the config's `variants`
+     * @returns {boolean} False if the system has no such variant
+     */
+    setVariant(variantId) {
+        if (!this.baseConfig) return false
+        const { config, variant, hidden, materials } = resolveVariant(this.baseConfig, variantId)
+        if (!variant) return false
+
+        this.exitAssembly()
+        this.clearSelection()
+
+        // Re-apply the explosion with the variant's offsets
+        this.updateExplosion(() => {
+            this.systemConfig = config
+            this.variantId = variant.id
+            this.variantHiddenParts = new Set(this.getMeshIds(hidden))
+            this.updateGeneratedExpandConfig()
+        })
+
+        this._variantMaterials.clear()
+        Object.entries(materials).forEach(([partId, props]) => {
+            this.getMeshIds(partId).forEach(meshId => this._variantMaterials.set(meshId, props))
+        })
+        this.applyPartMaterials()
+
+        this.notifyVisibilityChange()
+        if (this.onVariantChange) this.onVariantChange(variant.id)
+        return true
+    }
+
+    /**
+     * Change the surface of parts (e.g., a finish picked by the user).
+     * 
+     * Overrides apply over the current variant's materials and are kept
+     * when the variant changes.
+     * 
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     * @param {{color?: string, metalness?: number, roughness?: number, opacity?: number}|null} props - Properties to set, or null for the variant's material
+     */
+    setMaterialOverride(partIds, props) {
+        this.getMeshIds(partIds).forEach(meshId => {
+            if (props) {
+                this.materialOverrides.set(meshId, props)
+            } else {
+                this.materialOverrides.delete(meshId)
+            }
+        })
+        this.applyPartMaterials()
+    }
+
+    /**
+     * Give every mesh its loaded material with the variant's and the
+     * user's material properties applied.
+     * 
+     * Highlights, ghosting, x-ray and assembly step materials are made
+     * again from the new materials.
+     * 
+     * @private
+     */
+    applyPartMaterials() {
+        this.parts.forEach((mesh, name) => {
+            const props = { ...this._variantMaterials.get(name), ...this.materialOverrides.get(name) }
+            const loaded = this._loadedMaterials.get(name)
+
+            mesh.material = Object.keys(props).length > 0 ? createMaterialCopy(loaded, props) : loaded
+            delete mesh.userData.originalMaterial
+
+            if (this.highlightedParts.has(name) || this.sidebarHighlightedParts?.has(name)) {
+                this.applyHighlight(mesh)
+            }
+        })
+
+        if (this.assemblyStep !== -1) {
+            this.applyAssemblyMaterials(this.assemblyStep)
+        } else {
+            this.refreshPartVisibility()
+        }
+    }
+
+    /**
+     * Get the explode offsets in use.
+     * 
+     * @returns {Object|null} The author mode override if set, else the config's expandConfig,
+     *   else the generated offsets
+     */
+    getExpandConfig() {
+        return this.expandConfigOverride || this.systemConfig?.expandConfig || this.generatedExpandConfig || null
+    }
+
+    /**
+     * Generate explode offsets for the current config (variant) if it has
+     * none, or drop the generated ones if it has its own.
+     * 
+     * @private
+     */
+    updateGeneratedExpandConfig() {
+        this.generatedExpandConfig = this.systemConfig.expandConfig
+            ? null
+            : generateExpandConfig(this, this.systemConfig.autoExplode)
+    }
+
+    /**
+     * Explode with other offsets than the config's (e.g., generated or
+     * edited in author mode). The explosion amount is kept.
+     * 
+     * @param {Object|null} expandConfig - Offsets in expandConfig format, or null for the config's own
+     *   (or the generated ones if the config has none)
+     */
+    setExpandConfig(expandConfig) {
+        this.updateExplosion(() => {
+            this.expandConfigOverride = expandConfig
+        })
+    }
+
+    /**
+     * Find the expand offset of a part that puts its node at a local
+     * position at the current explosion amount (the inverse of
+     * applyExplosion, used to edit offsets by dragging parts).
+     *
+     * @param {string} partId - Part with a node in the model
+     * @param {THREE.Vector3} position - Local position of the part's node
+     * @returns {THREE.Vector3|null} The part's own offset, or null if it doesn't move at this amount
+     */
+    getOffsetForPosition(partId, position) {
+        const original = this.originalPositions.get(partId)
+        const factor = this.getPartExplosionFactor(partId, this.explosionPercent)
+        if (!original || factor === 0) return null
+
+        // Displacement without the part's own offset (ancestors' offsets)
+        const current = this.getExpandConfig()?.[partId] || {}
+        const inherited = this.computeDisplacements(id => this.getPartExplosionFactor(id, this.explosionPercent))
+            .get(partId)
+            .sub(new THREE.Vector3(current.x || 0, current.y || 0, current.z || 0).multiplyScalar(factor))
+
+        return position.clone().sub(original).sub(inherited).divideScalar(factor)
+    }
+
+    /**
+     * Change what the explosion is computed from and move the parts to match.
+     * 
+     * Nodes the old offsets moved go back to their assembled position first,
+     * since nodes without an offset are never written by applyExplosion.
+     * 
+     * @param {function(): void} change - Changes the offsets (config, variant or override)
+     * @private
+     */
+    updateExplosion(change) {
+        const displaced = this.getExplodedPositions(() => 1)
+        change()
+
+        displaced.forEach((position, name) => {
+            this.nodes.get(name).position.copy(this.originalPositions.get(name))
+        })
+        this.applyExplosion(this.explosionPercent)
+    }
+
+    /**
+     * Compute how far each model node moves for a given explosion factor.
+     * 
+     * An offset in expandConfig applies to a part and its whole subtree.
+     * A node's total displacement is its own offset plus the offsets of all
+     * its ancestors in the part tree. Nodes nested in the model hierarchy
+     * already inherit their parent's movement, so only the difference to
+     * the nearest named ancestor node is applied to their local position.
+     * 
+     * @param {function(string): number} factorFor - Explosion factor (0 to 1) for a part ID
+     * @returns {Map<string, THREE.Vector3>} Map of node name to local position offset
+     * @private
+     */
+    computeDisplacements(factorFor) {
+        const expandConfig = this.getExpandConfig() || {}
+        const totals = new Map()
+
+        // Total displacement of a part: own offset plus all ancestor offsets
+        const totalFor = (id) => {
+            if (totals.has(id)) return totals.get(id)
+
+            const parentId = this.partTree.has(id)
+                ? this.partTree.get(id).parent
+                : findSceneParent(this.nodes.get(id), this.partTree)
+            const total = parentId ? totalFor(parentId).clone() : new THREE.Vector3()
+
+            const offset = expandConfig[id]
+            if (offset) {
+                const factor = factorFor(id)
+                total.x += (offset.x || 0) * factor
+                total.y += (offset.y || 0) * factor
+                total.z += (offset.z || 0) * factor
+            }
+
+            totals.set(id, total)
+            return total
+        }
+
+        // Local offset: total minus what the model hierarchy already applies
+        const displacements = new Map()
+        this.nodes.forEach((node, name) => {
+            const displacement = totalFor(name).clone()
+
+            let ancestor = node.parent
+            while (ancestor && ancestor !== this.model) {
+                if (ancestor.name && this.nodes.get(ancestor.name) === ancestor) {
+                    displacement.sub(totalFor(ancestor.name))
+                    break
+                }
+                ancestor = ancestor.parent
+            }
+
+            displacements.set(name, displacement)
+        })
+
+        return displacements
+    }
+
+    /**
+     * Get the target positions of every node that moves in the exploded view.
+     * 
+     * Nodes that do not move at full explosion are left out so that other
+     * transforms applied to them are never overwritten.
+     * 
+     * @param {function(string): number} factorFor - Explosion factor (0 to 1) for a part ID
+     * @returns {Map<string, THREE.Vector3>} Map of node name to target local position
+     * @private
+     */
+    getExplodedPositions(factorFor) {
+        const full = this.computeDisplacements(() => 1)
+        const scaled = this.computeDisplacements(factorFor)
+        const positions = new Map()
+
+        full.forEach((displacement, name) => {
+            const originalPos = this.originalPositions.get(name)
+            if (displacement.lengthSq() === 0 || !originalPos) return
+
+            positions.set(name, originalPos.clone().add(scaled.get(name)))
+        })
+
+        return positions
+    }
+
+    /**
+     * Get the slider window in which a part moves.
+     * 
+     * A part moves from 0 to its full offset while the explosion amount
+     * goes from `start` to `end`. The window comes from (in order):
+     * 1. `start`/`end` on the part's expandConfig entry
+     * 2. The part's stage in `expandStages` (stages split 0-100 evenly)
+     * 3. The full range [0, 100]
+     * 
+     * @param {string} partId - Part or assembly ID
+     * @returns {{start: number, end: number}} Window on the 0-100 range
+     */
+    getExplosionWindow(partId) {
+        const offset = this.getExpandConfig()?.[partId]
+        const stages = this.systemConfig?.expandStages || []
+
+        let start = 0
+        let end = 100
+
+        const stageIndex = stages.findIndex(stage => stage.parts?.includes(partId))
+        if (stageIndex !== -1) {
+            start = (stageIndex / stages.length) * 100
+            end = ((stageIndex + 1) / stages.length) * 100
+        }
+
+        if (typeof offset?.start === 'number') start = offset.start
+        if (typeof offset?.end === 'number') end = offset.end
+
+        return { start, end }
+    }
+
+    /**
+     * Get how far (0 to 1) a part has moved at a given explosion amount.
+     * 
+     * @param {string} partId - Part or assembly ID
+     * @param {number} percent - Explosion amount (0-100)
+     * @returns {number} Explosion factor for the part
+     */
+    getPartExplosionFactor(partId, percent) {
+        const { start, end } = this.getExplosionWindow(partId)
+
+        // Zero-length windows jump at their start point
+        if (end <= start) return percent >= start ? 1 : 0
+
+        return THREE.MathUtils.clamp((percent - start) / (end - start), 0, 1)
+    }
+
+    /**
+     * Get the disassembly stage that is playing at a given explosion amount.
+     * 
+     * @param {number} percent - Explosion amount (0-100)
+     * @returns {{index: number, count: number, name: string}|null} Current stage, or null if no stages
+     */
+    getExplosionStage(percent) {
+        const stages = this.systemConfig?.expandStages || []
+        if (stages.length === 0) return null
+
+        const index = Math.min(Math.floor((percent / 100) * stages.length), stages.length - 1)
+        return { index, count: stages.length, name: stages[index].name || `Stage ${index + 1}` }
+    }
+
+    /**
+     * Move every part to its position for an explosion amount.
+     * 
+     * @param {number} percent - Explosion amount (0-100)
+     * @private
+     */
+    applyExplosion(percent) {
+        this.explosionPercent = percent
+
+        this.getExplodedPositions(id => this.getPartExplosionFactor(id, percent))
+            .forEach((targetPos, name) => {
+                this.nodes.get(name).position.copy(targetPos)
+            })
+    }
+
+    /**
+     * Play the explosion amount towards a target value.
+     * 
+     * With stages, parts move in their configured order at a constant rate
+     * (one STAGE_DURATION per stage). Without stages, all parts move at once.
+     * 
+     * @param {number} target - Target explosion amount (0 or 100)
+     * @param {string} ease - GSAP ease used when there are no stages
+     * @private
+     */
+    playExplosion(target, ease) {
+        if (this._explosionTween) this._explosionTween.kill()
+
+        const stageCount = this.systemConfig?.expandStages?.length || 0
+        const distance = Math.abs(target - this.explosionPercent) / 100
+        const state = { percent: this.explosionPercent }
+
+        this._explosionTween = gsap.to(state, {
+            percent: target,
+            duration: (stageCount > 0 ? STAGE_DURATION * stageCount : ANIMATION_DURATION) * distance,
+            ease: stageCount > 0 ? 'none' : ease,
+            onUpdate: () => {
+                this.applyExplosion(state.percent)
+                if (this.onExplosionChange) this.onExplosionChange(state.percent)
+            },
+            onComplete: () => {
+                this._explosionTween = null
+            }
+        })
+    }
+
+    /**
+     * Set the explosion amount for the model.
+     * 
+     * This is used by the slider to smoothly transition between
+     * assembled (0) and fully exploded (100) states. With stages or
+     * per-part windows, each part only moves within its own window.
+     * 
+     * @param {number} percent - Explosion percentage (0 = assembled, 100 = fully exploded)
+     */
+    setExplosionAmount(percent) {
+        // Skip if there are no offsets
+        if (!this.getExpandConfig()) return
+
+        // Slider input takes over from any running playback
+        if (this._explosionTween) {
+            this._explosionTween.kill()
+            this._explosionTween = null
+        }
+
+        // Update expanded state flag
+        this.isExpanded = percent > 0
+
+        // Auto-rotation respects user's toggle preference at all positions
+        this.controls.autoRotate = this.autoRotateEnabled
+
+        // Set positions directly (no animation for slider)
+        this.applyExplosion(percent)
 
         // Clear highlights when returning to assembled state
         if (percent === 0) {
@@ -792,43 +1816,25 @@ export class SystemViewer {
     /**
      * Animate the model to fully exploded view.
      * 
-     * Uses GSAP for smooth animations. Each part moves to its
-     * exploded position based on the expandConfig in the system config.
+     * Uses GSAP for smooth animations. Each part (and its subtree) moves to
+     * its exploded position based on the expandConfig in the system config
+     * (or the generated offsets when it has none), stage by stage when
+     * `expandStages` is configured.
      */
     expand() {
-        // Skip if no expand config defined
-        if (!this.systemConfig?.expandConfig) return
+        // Skip if there are no offsets
+        if (!this.getExpandConfig()) return
 
         this.isExpanded = true
 
-        // Animate each part to its exploded position
-        this.parts.forEach((part, name) => {
-            const offset = this.systemConfig.expandConfig[name]
-            const originalPos = this.originalPositions.get(name)
-
-            if (offset && originalPos) {
-                // Calculate final position
-                const targetPos = originalPos.clone()
-                if (offset.x) targetPos.x += offset.x
-                if (offset.y) targetPos.y += offset.y
-                if (offset.z) targetPos.z += offset.z
-
-                // Animate with GSAP
-                gsap.to(part.position, {
-                    x: targetPos.x,
-                    y: targetPos.y,
-                    z: targetPos.z,
-                    duration: ANIMATION_DURATION,
-                    ease: 'power2.out'
-                })
-            }
-        })
+        this.playExplosion(100, 'power2.out')
     }
 
     /**
      * Animate the model to assembled (collapsed) view.
      * 
-     * Uses GSAP to smoothly move all parts back to their original positions.
+     * Uses GSAP to smoothly move all parts back to their original positions,
+     * replaying the stages in reverse order when configured.
      * Also clears all highlights and labels.
      */
     collapse() {
@@ -840,21 +1846,350 @@ export class SystemViewer {
         // Clear all highlights when collapsing
         this.clearAllHighlights()
 
-        // Animate each part back to original position
-        this.parts.forEach((part, name) => {
-            const originalPos = this.originalPositions.get(name)
-            if (originalPos) {
-                gsap.to(part.position, {
-                    x: originalPos.x,
-                    y: originalPos.y,
-                    z: originalPos.z,
+        this.playExplosion(0, 'power2.inOut')
+    }
+
+    /**
+     * Smoothly move the camera to a new position and look-at target.
+     * 
+     * Pauses auto-rotation so the new view stays put.
+     * 
+     * @param {{x: number, y: number, z: number}} position - New camera position
+     * @param {{x: number, y: number, z: number}} [target] - New orbit target (defaults to the current one)
+     */
+    animateCamera(position, target = this.controls.target) {
+        this.controls.autoRotate = false
+
+        gsap.to(this.camera.position, {
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            duration: CAMERA_ANIMATION_DURATION,
+            ease: 'power2.inOut'
+        })
+        gsap.to(this.controls.target, {
+            x: target.x,
+            y: target.y,
+            z: target.z,
+            duration: CAMERA_ANIMATION_DURATION,
+            ease: 'power2.inOut',
+            onComplete: () => {
+                if (this.onCameraChange) this.onCameraChange()
+            }
+        })
+    }
+
+    /**
+     * Get the world-space bounding box of parts or assemblies.
+     * 
+     * Uses the current (possibly exploded) positions of the meshes.
+     * 
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     * @returns {THREE.Box3} Bounding box (empty if no mesh matches)
+     */
+    getPartsBoundingBox(partIds) {
+        const box = new THREE.Box3()
+        this.getMeshIds(partIds).forEach(meshId => {
+            box.expandByObject(this.parts.get(meshId))
+        })
+        return box
+    }
+
+    /**
+     * Measure the size of parts or assemblies in the assembled pose.
+     * 
+     * Explosion and assembly-step offsets are removed for the measurement
+     * (and put back afterwards), so an assembly measures as built.
+     * The size is axis-aligned, in model units.
+     * 
+     * @param {string|string[]} partIds - Part IDs (assemblies include their subtree)
+     * @returns {THREE.Vector3|null} Width (x), height (y) and depth (z), or null if no mesh matches
+     */
+    measurePart(partIds) {
+        if (!this.model) return null
+
+        const box = this.withAssembledPose(() => this.getPartsBoundingBox(partIds))
+
+        return box.isEmpty() ? null : box.getSize(new THREE.Vector3())
+    }
+
+    /**
+     * Run a function with every part in its assembled position.
+     * 
+     * Explosion and assembly-step offsets are removed while the function
+     * runs and put back afterwards (nothing is rendered in between).
+     * 
+     * @param {function(): *} fn - Function to run (e.g., measuring bounding boxes)
+     * @returns {*} The function's return value
+     */
+    withAssembledPose(fn) {
+        // Move every node to its assembled position
+        const current = new Map()
+        this.originalPositions.forEach((position, name) => {
+            const node = this.nodes.get(name)
+            current.set(name, node.position.clone())
+            node.position.copy(position)
+        })
+        this.model.updateMatrixWorld(true)
+
+        try {
+            return fn()
+        } finally {
+            // Put everything back where it was
+            current.forEach((position, name) => this.nodes.get(name).position.copy(position))
+            this.model.updateMatrixWorld(true)
+        }
+    }
+
+    /**
+     * Export the model as it is currently arranged (e.g., exploded) as GLB.
+     * 
+     * Parts are saved at their current positions. Hidden parts are left out,
+     * faded and x-ray parts get their normal material back. Each node of a
+     * part in the system config gets the part's metadata (name, description,
+     * material, part number, ...) in its glTF `extras`, and the root node
+     * gets the system ID, name and explosion amount.
+     * 
+     * @param {Object} [options] - Export options
+     * @param {boolean} [options.highlights=false] - Keep the highlight material of highlighted parts
+     * @returns {Promise<ArrayBuffer>} Binary glTF
+     * 
+     * @example
+     * const glb = await viewer.exportGLB({ highlights: true })
+     * const blob = new Blob([glb], { type: 'model/gltf-binary' })
+     */
+    async exportGLB({ highlights = false } = {}) {
+        if (!this.model) throw new Error('No model loaded')
+
+        const keep = new Set(highlights ? this.getHighlightedPartIds() : [])
+        const partsById = new Map((this.systemConfig?.parts || []).map(part => [part.id, part]))
+        const materials = new Map()
+        const userData = new Map()
+
+        // Normal materials, except highlights that should be kept
+        this.parts.forEach((mesh, id) => {
+            const original = mesh.userData.originalMaterial
+            if (original && mesh.material !== original && !keep.has(id)) {
+                materials.set(mesh, mesh.material)
+                mesh.material = original
+            }
+        })
+
+        // userData becomes the node extras: part metadata instead of our
+        // runtime state (original materials can't be serialized)
+        this.model.traverse(object => {
+            const { originalMaterial, ...extras } = object.userData
+            const part = partsById.get(object.name)
+
+            userData.set(object, object.userData)
+            object.userData = part ? { ...extras, ...part } : extras
+        })
+        this.model.userData = {
+            ...this.model.userData,
+            system: this.systemConfig?.id,
+            systemName: this.systemConfig?.name,
+            explosion: Math.round(this.explosionPercent)
+        }
+
+        try {
+            return await new GLTFExporter().parseAsync(this.model, { binary: true })
+        } finally {
+            materials.forEach((material, mesh) => { mesh.material = material })
+            userData.forEach((data, object) => { object.userData = data })
+        }
+    }
+
+    /**
+     * Fly the camera to frame parts or assemblies.
+     * 
+     * Keeps the current viewing direction and moves the orbit target to
+     * the center of the parts' bounding box, at a distance where the
+     * whole box fits the view.
+     * 
+     * @param {string|string[]} partIds - Part IDs to frame
+     * @returns {boolean} False if none of the parts exist in the model
+     * 
+     * @example
+     * viewer.frameParts(['Table_Leg_1', 'Table_Leg_2'])
+     */
+    frameParts(partIds) {
+        const box = this.getPartsBoundingBox(partIds)
+        if (box.isEmpty()) return false
+
+        const center = box.getCenter(new THREE.Vector3())
+        const radius = box.getBoundingSphere(new THREE.Sphere()).radius
+
+        // Fit the bounding sphere into the narrower of the two fields of view
+        const verticalFov = this.camera.fov * (Math.PI / 180)
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * this.camera.aspect)
+        const fitFov = Math.min(verticalFov, horizontalFov)
+        const distance = Math.max((radius / Math.sin(fitFov / 2)) * FRAME_PADDING, this.camera.near * 2)
+
+        // Look from the same direction as now
+        const direction = new THREE.Vector3()
+            .subVectors(this.camera.position, this.controls.target)
+            .normalize()
+        const position = center.clone().addScaledVector(direction, distance)
+
+        this.animateCamera(position, center)
+        return true
+    }
+
+    /**
+     * Fly the camera back to the auto-fit view computed when the model loaded.
+     */
+    resetView() {
+        if (!this.homeView) return
+        this.animateCamera(this.homeView.position, this.homeView.target)
+    }
+
+    /**
+     * Get the assembly step in which each mesh is installed.
+     * 
+     * A mesh belongs to the first step that lists it (or an assembly
+     * containing it). Meshes in no step are treated as the base that is
+     * present from the start.
+     * 
+     * @returns {Map<string, number>} Map of mesh name to step index
+     * @private
+     */
+    getAssemblySteps() {
+        const meshSteps = new Map()
+        const steps = this.systemConfig?.steps || []
+
+        steps.forEach((step, index) => {
+            this.getMeshIds(step.parts || []).forEach(meshId => {
+                if (!meshSteps.has(meshId)) meshSteps.set(meshId, index)
+            })
+        })
+
+        return meshSteps
+    }
+
+    /**
+     * Enter guided assembly mode at the first step.
+     * 
+     * The model is reset to its assembled positions and all highlights
+     * are cleared; parts that are not installed yet are shown as ghosts.
+     * 
+     * @returns {boolean} False if the system has no steps
+     */
+    startAssembly() {
+        if (!this.systemConfig?.steps?.length) return false
+
+        // Reset any explosion so every step starts from the assembled layout
+        if (this._explosionTween) {
+            this._explosionTween.kill()
+            this._explosionTween = null
+        }
+        this.isExpanded = false
+        this.applyExplosion(0)
+
+        // Every part takes part in the guide
+        this.hiddenParts.clear()
+        this.isolatedParts = null
+        this.xrayEnabled = false
+
+        this.clearSelection()
+        this.notifyVisibilityChange()
+        this.setAssemblyStep(0)
+
+        return true
+    }
+
+    /**
+     * Show an assembly step.
+     * 
+     * - Parts of earlier steps (and parts in no step) are shown normally
+     * - Parts of this step are highlighted and animate into place from
+     *   their exploded offset
+     * - Parts of later steps are ghosted in their final position
+     * - The camera moves to the step's pose, if it has one
+     * 
+     * @param {number} index - Step index (0-based)
+     */
+    setAssemblyStep(index) {
+        const steps = this.systemConfig?.steps || []
+        if (index < 0 || index >= steps.length) return
+
+        const step = steps[index]
+        this.assemblyStep = index
+        this.controls.autoRotate = false
+
+        // ===== MOVE PARTS =====
+        // Stop the previous step's animation (its parts snap into place)
+        this._assemblyTweens.forEach(tween => tween.kill())
+        this._assemblyTweens = []
+
+        // Only this step's parts start from their exploded offsets
+        const stepIds = new Set(step.parts || [])
+        const from = this.getExplodedPositions(id => stepIds.has(id) ? 1 : 0)
+        const to = this.getExplodedPositions(() => 0)
+
+        to.forEach((targetPos, name) => {
+            const position = this.nodes.get(name).position
+            position.copy(from.get(name))
+
+            if (!position.equals(targetPos)) {
+                this._assemblyTweens.push(gsap.to(position, {
+                    x: targetPos.x,
+                    y: targetPos.y,
+                    z: targetPos.z,
                     duration: ANIMATION_DURATION,
-                    ease: 'power2.inOut'
-                })
+                    ease: 'power2.out'
+                }))
+            }
+        })
+
+        // ===== MATERIALS =====
+        this.applyAssemblyMaterials(index)
+
+        // ===== CAMERA =====
+        if (step.camera?.position) {
+            this.animateCamera(step.camera.position, step.camera.target)
+        }
+    }
+
+    /**
+     * Highlight the parts of an assembly step and ghost the parts of later steps.
+     * 
+     * @param {number} index - Step index (0-based)
+     * @private
+     */
+    applyAssemblyMaterials(index) {
+        const meshSteps = this.getAssemblySteps()
+        this.parts.forEach((part, name) => {
+            const stepIndex = meshSteps.has(name) ? meshSteps.get(name) : -1
+
+            if (stepIndex === index) {
+                this.applyHighlight(part)      // Installed in this step
+            } else if (stepIndex > index) {
+                this.applyGhost(part)          // Not installed yet
+            } else {
+                this.restoreMaterial(part)     // Already installed
             }
         })
     }
 
+    /**
+     * Leave guided assembly mode.
+     * 
+     * Restores all materials, snaps parts to their assembled positions and
+     * resumes auto-rotation according to the user's preference.
+     */
+    exitAssembly() {
+        if (this.assemblyStep === -1) return
+
+        this._assemblyTweens.forEach(tween => tween.kill())
+        this._assemblyTweens = []
+        this.assemblyStep = -1
+
+        this.parts.forEach(part => this.restoreMaterial(part))
+        this.applyExplosion(0)
+
+        this.controls.autoRotate = this.autoRotateEnabled
+    }
+
     /**
      * Set the auto-rotation preference.
      * 
@@ -867,6 +2202,81 @@ export class SystemViewer {
         this.controls.autoRotate = enabled
     }
 
+    /**
+     * Check whether a raycast hit lies in a part of the model that is cut
+     * away by a section plane (see SectionTool.js).
+     * 
+     * @param {THREE.Intersection} hit - Raycast hit
+     * @returns {boolean} True if the hit point is clipped (not visible)
+     * @private
+     */
+    isClippedAway(hit) {
+        const material = Array.isArray(hit.object.material) ? hit.object.material[0] : hit.object.material
+        const planes = material?.clippingPlanes || []
+        return planes.some(plane => plane.distanceToPoint(hit.point) < 0)
+    }
+
+    /**
+     * Route canvas clicks to a tool.
+     * 
+     * Only one tool can take clicks at a time: the previous tool's
+     * onRelease is called so it can leave its mode.
+     * 
+     * @param {function(THREE.Intersection|null, MouseEvent): void} handler - Receives the raycast hit of each click
+     * @param {function(): void} [onRelease] - Called when another tool takes over
+     */
+    setPickHandler(handler, onRelease = null) {
+        if (this.pickHandler === handler) return
+
+        const release = this._pickHandlerRelease
+        this.pickHandler = handler
+        this._pickHandlerRelease = onRelease
+        if (release) release()
+    }
+
+    /**
+     * Give canvas clicks back to part selection.
+     * 
+     * @param {function} handler - The handler passed to setPickHandler (ignored if no longer current)
+     */
+    releasePickHandler(handler) {
+        if (this.pickHandler !== handler) return
+        this.pickHandler = null
+        this._pickHandlerRelease = null
+    }
+
+    /**
+     * Register a function to call every frame (e.g., to move 3D annotations).
+     * 
+     * @param {function(): void} listener - Called before each render
+     */
+    addFrameListener(listener) {
+        this._frameListeners.push(listener)
+    }
+
+    /**
+     * Unregister a function added with addFrameListener.
+     * 
+     * @param {function(): void} listener - The registered function
+     */
+    removeFrameListener(listener) {
+        this._frameListeners = this._frameListeners.filter(fn => fn !== listener)
+    }
+
+    /**
+     * Move the floating labels and run the frame listeners.
+     * 
+     * Called by animate() before each render, and by exports after
+     * changing the camera.
+     */
+    updateOverlays() {
+        // Update floating label positions to follow 3D parts
+        this.updateLabels()
+
+        // Let tools update their own annotations
+        this._frameListeners.forEach(listener => listener())
+    }
+
     /**
      * Handle window resize events.
      * 
@@ -895,7 +2305,9 @@ export class SystemViewer {
      * Called every frame (~60fps) to:
      * 1. Update orbit controls (applies damping and auto-rotation)
      * 2. Update floating label positions
-     * 3. Render the scene
+     * 3. Run frame listeners (tool annotations)
+     * 4. Render the scene
+     * All of it is skipped while an export is rendering.
      * 
      * @private
      */
@@ -903,11 +2315,14 @@ export class SystemViewer {
         // Schedule next frame (uses pre-bound method - no allocation per frame)
         requestAnimationFrame(this._boundAnimate)
 
+        // An export (CaptureTool.js) moves the camera and renders its own frames
+        if (this.capturing) return
+
         // Update controls (applies damping, auto-rotate, etc.)
         this.controls.update()
 
-        // Update floating label positions to follow 3D parts
-        this.updateLabels()
+        // Move labels and tool annotations to follow the parts
+        this.updateOverlays()
 
         // Render the scene from the camera's perspective
         this.renderer.render(this.scene, this.camera)
@@ -0,0 +1,91 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/Units.js
+ * PURPOSE: Length units for measurements and part sizes
+ *
+ * DESCRIPTION:
+ * Converts lengths from model units to the units a system is displayed in.
+ * Each system can set them in its config:
+ *
+ *   units: {
+ *       length: 'mm',     // Shown to the user (default: 'mm')
+ *       modelUnit: 'm'    // What one unit in the model file is (default: 'm', as in glTF)
+ *   }
+ *
+ * Supported units: mm, cm, m, in, ft
+ *
+ * USAGE:
+ *   const units = resolveUnits(systemConfig)
+ *   formatLength(0.72, units)   // "720.0 mm"
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/**
+ * Supported length units: size in meters and decimals shown.
+ * @type {Object.<string, {meters: number, decimals: number}>}
+ */
+export const LENGTH_UNITS = {
+    mm: { meters: 0.001, decimals: 1 },
+    cm: { meters: 0.01, decimals: 2 },
+    m: { meters: 1, decimals: 3 },
+    in: { meters: 0.0254, decimals: 2 },
+    ft: { meters: 0.3048, decimals: 3 }
+}
+
+/** Units used when a system does not set them */
+const DEFAULT_UNITS = { length: 'mm', modelUnit: 'm' }
+
+/**
+ * @typedef {Object} Units
+ * @property {string} length - Display unit (key of LENGTH_UNITS)
+ * @property {number} scale - Display units per model unit
+ * @property {number} decimals - Decimals shown
+ */
+
+/**
+ * Resolve the length units of a system.
+ *
+ * Unknown unit names fall back to the defaults (SystemValidator reports them).
+ *
+ * @param {Object} systemConfig - System configuration with optional `units`
+ * @returns {Units} Resolved units
+ */
+export function resolveUnits(systemConfig) {
+    const config = systemConfig?.units || {}
+    const length = LENGTH_UNITS[config.length] ? config.length : DEFAULT_UNITS.length
+    const modelUnit = LENGTH_UNITS[config.modelUnit] ? config.modelUnit : DEFAULT_UNITS.modelUnit
+
+    return {
+        length,
+        scale: LENGTH_UNITS[modelUnit].meters / LENGTH_UNITS[length].meters,
+        decimals: LENGTH_UNITS[length].decimals
+    }
+}
+
+/**
+ * Format a length given in model units.
+ *
+ * @param {number} value - Length in model units
+ * @param {Units} units - Resolved units
+ * @returns {string} e.g. "720.0 mm"
+ */
+export function formatLength(value, units) {
+    return `${(value * units.scale).toFixed(units.decimals)} ${units.length}`
+}
+
+/**
+ * Format a size (width × height × depth) given in model units.
+ *
+ * @param {{x: number, y: number, z: number}} size - Size in model units
+ * @param {Units} units - Resolved units
+ * @returns {string} e.g. "1200.0 × 740.0 × 800.0 mm"
+ */
+export function formatSize(size, units) {
+    return [size.x, size.y, size.z]
+        .map(value => (value * units.scale).toFixed(units.decimals))
+        .join(' × ') + ` ${units.length}`
+}
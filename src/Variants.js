@@ -0,0 +1,289 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/Variants.js
+ * PURPOSE: Product variants (configurable options) of a system
+ *
+ * DESCRIPTION:
+ * A system can offer options such as table tops of different sizes or
+ * materials. Each entry of the config's `variants` array describes how one
+ * option differs from the base config:
+ *
+ *   variants: [
+ *       { id: 'oak', name: 'Oak', default: true },
+ *       {
+ *           id: 'walnut-large',
+ *           name: 'Walnut, large top',
+ *           hide: ['Table_Fabric_Towel_0'],                 // Parts left out
+ *           swap: { 'Table_Top': 'Table_Top_Large' },       // Mesh replaced by another node
+ *           materials: { 'Table_Top_Large': { color: '#5a3a22', roughness: 0.6 } },
+ *           parts: { 'Table_Top_Large': { material: 'Walnut', cost: 320 } },
+ *           expandConfig: { 'Table_Top_Large': { x: 0, y: 1.2, z: 0 } }
+ *       }
+ *   ]
+ *
+ * - hide: Parts (or assemblies, with their subtree) that are not part of the variant
+ * - swap: Parts replaced by another node of the model. The replacement
+ *   takes the original's place in the parts list, stages, steps and
+ *   finish groups (materialPresets) and inherits its part metadata and
+ *   expand offset. Swap targets are hidden
+ *   in every variant that doesn't use them.
+ * - materials: Color, metalness, roughness and opacity per part
+ * - parts: Part metadata overrides (material, cost, mass, ...)
+ * - expandConfig: Expand offset overrides
+ *
+ * resolveVariant() turns the base config and a variant into the config the
+ * viewer works with (parts list, explode offsets, BOM), plus the meshes to
+ * hide and the materials to apply. SystemViewer.setVariant() applies it.
+ *
+ * createVariantSelector() renders the variant buttons in the sidebar.
+ *
+ * USAGE:
+ *   const { config, hidden, materials } = resolveVariant(systemConfig, 'walnut-large')
+ *   const selector = createVariantSelector('variant-selector', viewer)
+ *
+ * STYLING:
+ * See viewer.css for the selector styling (.variant-selector, .variant-option)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/**
+ * @typedef {Object} ResolvedVariant
+ * @property {Object} config - System config with the variant applied
+ * @property {Object|null} variant - The variant (null if the system has none or the ID is unknown)
+ * @property {string[]} hidden - Part IDs that are not shown in the variant
+ * @property {Object.<string, Object>} materials - Material properties by part ID
+ */
+
+/**
+ * Get the variants of a system.
+ *
+ * @param {Object} config - System configuration
+ * @returns {Array<Object>} Variant definitions (empty if there are none)
+ */
+export function getVariants(config) {
+    return Array.isArray(config?.variants) ? config.variants : []
+}
+
+/**
+ * Get the ID of the variant shown when a system is opened.
+ *
+ * @param {Object} config - System configuration
+ * @returns {string|null} The variant marked `default`, else the first one (null if none)
+ */
+export function getDefaultVariantId(config) {
+    const variants = getVariants(config)
+    return (variants.find(variant => variant.default) || variants[0])?.id ?? null
+}
+
+/**
+ * Get every part a system can show in any variant.
+ *
+ * Swap targets without an entry of their own are added as copies of the
+ * part they replace, so that the part tree knows every node a variant can
+ * show.
+ *
+ * @param {Object} config - System configuration
+ * @returns {Array<Object>} Base parts plus the generated swap target parts
+ */
+export function getAllVariantParts(config) {
+    const parts = config?.parts || []
+    const partsById = new Map(parts.map(part => [part.id, part]))
+    const added = new Map()
+
+    getVariants(config).forEach(variant => {
+        Object.entries(variant.swap || {}).forEach(([sourceId, targetId]) => {
+            if (partsById.has(targetId) || added.has(targetId) || !partsById.has(sourceId)) return
+            added.set(targetId, { ...partsById.get(sourceId), id: targetId })
+        })
+    })
+
+    return [...parts, ...added.values()]
+}
+
+/**
+ * Apply a variant to a system config.
+ *
+ * @param {Object} config - Base system configuration (with `variants`)
+ * @param {string|null} variantId - Variant to apply
+ * @returns {ResolvedVariant} Effective config, hidden parts and materials
+ *
+ * @example
+ * // Variant { id: 'no-felt', hide: ['Table_Fabric_Towel_0'] }
+ * const { config, hidden } = resolveVariant(systemConfig, 'no-felt')
+ * config.parts.length   // One part less than systemConfig.parts
+ * hidden                // ['Table_Fabric_Towel_0']
+ */
+export function resolveVariant(config, variantId) {
+    const variants = getVariants(config)
+    const variant = variants.find(v => v.id === variantId) || null
+
+    // Replacement nodes only appear in the variants that swap them in
+    const swap = variant?.swap || {}
+    const activeTargets = new Set(Object.values(swap))
+    const inactiveTargets = variants
+        .flatMap(v => Object.values(v.swap || {}))
+        .filter(id => !activeTargets.has(id))
+
+    const hidden = new Set([...(variant?.hide || []), ...Object.keys(swap), ...inactiveTargets])
+    const partOverrides = variant?.parts || {}
+    const mapId = id => swap[id] || id
+
+    // ===== PARTS =====
+    // Replacements take the place of the part they swap out
+    const baseParts = config.parts || []
+    const partsById = new Map(baseParts.map(part => [part.id, part]))
+    const parts = []
+    baseParts.forEach(part => {
+        if (swap[part.id]) {
+            const targetId = swap[part.id]
+            const base = partsById.get(targetId) || { ...part, id: targetId }
+            parts.push({ ...base, ...partOverrides[targetId] })
+        } else if (!hidden.has(part.id) && !activeTargets.has(part.id)) {
+            parts.push({ ...part, ...partOverrides[part.id] })
+        }
+    })
+
+    // Parts inside hidden or swapped-out assemblies go with them
+    const isHiddenBelow = (part) => {
+        const seen = new Set()
+        let parentId = part.parent
+        while (parentId && !seen.has(parentId)) {
+            if (hidden.has(parentId)) return true
+            seen.add(parentId)
+            parentId = partsById.get(parentId)?.parent
+        }
+        return false
+    }
+    const resolvedParts = parts.filter(part => !isHiddenBelow(part))
+
+    // ===== EXPLODE OFFSETS =====
+    // Replacements inherit the offset of the part they swap out
+    let expandConfig = config.expandConfig
+    if (config.expandConfig || variant?.expandConfig) {
+        const inherited = {}
+        const own = {}
+        Object.entries(config.expandConfig || {}).forEach(([id, offset]) => {
+            if (swap[id]) {
+                inherited[swap[id]] = offset
+            } else if (!hidden.has(id)) {
+                own[id] = offset
+            }
+        })
+        expandConfig = { ...inherited, ...own, ...variant?.expandConfig }
+    }
+
+    // ===== STAGES, STEPS AND FINISH GROUPS =====
+    const mapPartIds = ids => (ids || []).filter(id => !hidden.has(id) || swap[id]).map(mapId)
+    const expandStages = config.expandStages && config.expandStages
+        .map(stage => ({ ...stage, parts: mapPartIds(stage.parts) }))
+        .filter(stage => stage.parts.length > 0)
+    const steps = config.steps && config.steps
+        .map(step => ({ ...step, parts: mapPartIds(step.parts) }))
+        .filter(step => step.parts.length > 0)
+    const materialPresets = config.materialPresets && config.materialPresets
+        .map(group => ({ ...group, parts: mapPartIds(group.parts) }))
+
+    return {
+        config: {
+            ...config,
+            parts: resolvedParts,
+            ...(expandConfig && { expandConfig }),
+            ...(expandStages && { expandStages }),
+            ...(steps && { steps }),
+            ...(materialPresets && { materialPresets })
+        },
+        variant,
+        hidden: Array.from(hidden),
+        materials: variant?.materials || {}
+    }
+}
+
+/**
+ * Create a copy of a material with other surface properties
+ * (a variant's materials or a finish picked by the user).
+ *
+ * @param {THREE.Material} material - Material loaded with the model
+ * @param {{color?: string, metalness?: number, roughness?: number, opacity?: number}} props - Properties to change
+ * @returns {THREE.Material} New material (the loaded one is left untouched)
+ */
+export function createMaterialCopy(material, props) {
+    const copy = material.clone()
+
+    if (props.color !== undefined && copy.color) copy.color.set(props.color)
+    if (props.metalness !== undefined && 'metalness' in copy) copy.metalness = props.metalness
+    if (props.roughness !== undefined && 'roughness' in copy) copy.roughness = props.roughness
+    if (props.opacity !== undefined) {
+        copy.opacity = props.opacity
+        copy.transparent = props.opacity < 1
+    }
+
+    return copy
+}
+
+/**
+ * Create the variant selector in the sidebar.
+ *
+ * One button per variant (name and description); clicking one applies it
+ * with viewer.setVariant(). The container stays hidden for systems
+ * without variants.
+ *
+ * @param {string} containerId - The ID of the container element (e.g., 'variant-selector')
+ * @param {SystemViewer} viewer - The viewer whose variant is selected
+ * @returns {{update: function(): void}|null} Selector controls, or null if there is nothing to select
+ */
+export function createVariantSelector(containerId, viewer) {
+    const container = document.getElementById(containerId)
+    const variants = getVariants(viewer.baseConfig)
+    if (!container || variants.length === 0) return null
+
+    /**
+     * Selector structure:
+     * - span.variant-label: Heading
+     * - div.variant-options: One button per variant
+     */
+    container.innerHTML = `
+        <span class="variant-label">Variant</span>
+        <div class="variant-options">
+            ${variants.map(variant => `
+                <button class="variant-option">
+                    <span class="variant-name"></span>
+                    ${variant.description ? '<span class="variant-desc"></span>' : ''}
+                </button>
+            `).join('')}
+        </div>
+    `
+    container.hidden = false
+
+    const buttons = Array.from(container.querySelectorAll('.variant-option'))
+
+    // Variant IDs, names and descriptions come from the config (possibly a runtime manifest) - set as text, not HTML
+    buttons.forEach((button, index) => {
+        const variant = variants[index]
+        button.dataset.variant = variant.id
+        button.querySelector('.variant-name').textContent = variant.name
+        const desc = button.querySelector('.variant-desc')
+        if (desc) desc.textContent = variant.description
+    })
+
+    /**
+     * Mark the viewer's current variant (call after every variant change).
+     */
+    const update = () => {
+        buttons.forEach(button => {
+            button.classList.toggle('active', button.dataset.variant === viewer.variantId)
+        })
+    }
+
+    buttons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (button.dataset.variant !== viewer.variantId) viewer.setVariant(button.dataset.variant)
+        })
+    })
+
+    update()
+    return { update }
+}
@@ -73,31 +73,79 @@ export function renderVideoSection(containerId, videos) {
      * 
      * Structure:
      * - h2.video-section-title: Section heading
-     * - div.video-grid: CSS Grid container for cards
-     *   - a.video-card (for each video): Clickable card with thumbnail and title
-     *     - div.video-thumbnail: Thumbnail image container
-     *       - img: The thumbnail image
-     *       - div.play-overlay: Play button icon (appears on hover)
-     *     - h3.video-title: Video title text
+     * - div.video-grid: CSS Grid container for cards (filled below)
+     * - button.back-up-btn: Scrolls back to the viewer
      */
     container.innerHTML = `
         <h2 class="video-section-title">Explore how to TNKR......</h2>
-        <div class="video-grid">
-            ${videos.map(video => `
-                <a href="${video.url}" class="video-card" target="_blank">
-                    <div class="video-thumbnail">
-                        <img src="${video.thumbnail}" alt="${video.title}">
-                        <div class="play-overlay">
-                            <i class="ph ph-play-circle"></i>
-                        </div>
-                    </div>
-                    <h3 class="video-title">${video.title}</h3>
-                </a>
-            `).join('')}
-        </div>
+        <div class="video-grid"></div>
         <button class="back-up-btn" id="back-up-btn">
             <i class="ph ph-arrow-up"></i>
             <span>Back Up</span>
         </button>
     `
+
+    // Titles and URLs can come from a runtime manifest - built as elements, not HTML
+    const grid = container.querySelector('.video-grid')
+    videos.forEach(video => grid.appendChild(createVideoCard(video)))
+}
+
+/**
+ * Build the card of one video.
+ * 
+ * Structure:
+ * - a.video-card: Clickable card with thumbnail and title
+ *   - div.video-thumbnail: Thumbnail image container
+ *     - img: The thumbnail image
+ *     - div.play-overlay: Play button icon (appears on hover)
+ *   - h3.video-title: Video title text
+ * 
+ * Only http(s) video URLs are linked.
+ * 
+ * @param {{title: string, thumbnail: string, url: string}} video - Video object
+ * @returns {HTMLAnchorElement} The card
+ * @private
+ */
+function createVideoCard(video) {
+    const card = document.createElement('a')
+    card.className = 'video-card'
+    card.target = '_blank'
+    card.rel = 'noopener'
+    if (isWebUrl(video.url)) card.href = video.url
+
+    const thumbnail = document.createElement('div')
+    thumbnail.className = 'video-thumbnail'
+
+    const image = document.createElement('img')
+    if (video.thumbnail) image.src = video.thumbnail
+    image.alt = video.title || ''
+
+    const overlay = document.createElement('div')
+    overlay.className = 'play-overlay'
+    overlay.innerHTML = '<i class="ph ph-play-circle"></i>'
+
+    const title = document.createElement('h3')
+    title.className = 'video-title'
+    title.textContent = video.title || ''
+
+    thumbnail.append(image, overlay)
+    card.append(thumbnail, title)
+    return card
+}
+
+/**
+ * Check that a URL opens a web page (not e.g. a javascript: URL).
+ * 
+ * @param {*} url - URL from the config
+ * @returns {boolean} True for http and https URLs (relative ones included)
+ * @private
+ */
+function isWebUrl(url) {
+    if (typeof url !== 'string') return false
+    try {
+        const { protocol } = new URL(url, window.location.href)
+        return protocol === 'http:' || protocol === 'https:'
+    } catch (err) {
+        return false
+    }
 }
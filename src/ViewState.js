@@ -0,0 +1,168 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: src/ViewState.js
+ * PURPOSE: Shareable deep-link URLs for the viewer state
+ *
+ * DESCRIPTION:
+ * Encodes what the user is looking at in the viewer URL's query string so
+ * that a copied link opens the model exactly as it was seen. The URL is
+ * kept up to date with history.replaceState (no new history entries) and
+ * read back when the viewer page loads.
+ *
+ * URL PARAMETERS (next to ?system=):
+ * - cam:     Camera position as "x,y,z"
+ * - target:  Orbit target as "x,y,z"
+ * - explode: Explosion amount (0-100)
+ * - parts:   Highlighted part IDs, comma separated
+ * - rotate:  Auto-rotation preference ("1" or "0")
+ * - q:       Component search query
+ * - variant: Selected product variant (left out for the default one)
+ *
+ * Example:
+ *   /viewer.html?system=table&cam=2.1,1.5,2.1&target=0,0,0&explode=60&parts=Table_Top&rotate=0
+ *
+ * USAGE:
+ *   const state = parseViewState(new URLSearchParams(window.location.search))
+ *   const scheduleUrlUpdate = createUrlSync(() => currentState())
+ *   scheduleUrlUpdate()  // after any change
+ *   scheduleUrlUpdate.flush()  // write now (e.g., before copying the link)
+ *
+ * AUTHOR: TNKR Development Team
+ * ================================================================================
+ */
+
+/** Delay before writing the URL after a change, in milliseconds */
+const URL_UPDATE_DELAY_MS = 400
+
+/** Decimal places kept for camera coordinates */
+const COORDINATE_PRECISION = 3
+
+/** Query parameters owned by this module (everything else is preserved) */
+const STATE_PARAMS = ['cam', 'target', 'explode', 'parts', 'rotate', 'q', 'variant']
+
+/**
+ * @typedef {Object} ViewState
+ * @property {{x: number, y: number, z: number}|null} cameraPosition - Camera position
+ * @property {{x: number, y: number, z: number}|null} cameraTarget - Orbit target
+ * @property {number|null} explosion - Explosion amount (0-100)
+ * @property {string[]} parts - Highlighted part IDs
+ * @property {boolean|null} autoRotate - Auto-rotation preference
+ * @property {string} query - Component search query
+ * @property {string|null} variant - Product variant ID (null = the default variant)
+ */
+
+/**
+ * Parse a "x,y,z" vector parameter.
+ *
+ * @param {string|null} value - Parameter value
+ * @returns {{x: number, y: number, z: number}|null} Vector, or null if missing/invalid
+ * @private
+ */
+function parseVector(value) {
+    if (!value) return null
+
+    const [x, y, z] = value.split(',').map(Number)
+    if (![x, y, z].every(Number.isFinite)) return null
+
+    return { x, y, z }
+}
+
+/**
+ * Format a vector as a compact "x,y,z" parameter.
+ *
+ * @param {{x: number, y: number, z: number}} vector - Vector to format
+ * @returns {string} Formatted vector
+ * @private
+ */
+function formatVector(vector) {
+    return [vector.x, vector.y, vector.z]
+        .map(n => Number(n.toFixed(COORDINATE_PRECISION)))
+        .join(',')
+}
+
+/**
+ * Read the view state from URL parameters.
+ *
+ * Missing or invalid parameters come back as null (or empty), meaning
+ * "keep the default".
+ *
+ * @param {URLSearchParams} params - Parameters of the viewer URL
+ * @returns {ViewState} Parsed state
+ */
+export function parseViewState(params) {
+    const explosion = params.has('explode') ? Number(params.get('explode')) : NaN
+
+    return {
+        cameraPosition: parseVector(params.get('cam')),
+        cameraTarget: parseVector(params.get('target')),
+        explosion: Number.isFinite(explosion) ? Math.min(Math.max(explosion, 0), 100) : null,
+        parts: (params.get('parts') || '').split(',').filter(Boolean),
+        autoRotate: params.has('rotate') ? params.get('rotate') !== '0' : null,
+        query: params.get('q') || '',
+        variant: params.get('variant') || null
+    }
+}
+
+/**
+ * Write a view state into URL parameters.
+ *
+ * Default values (no explosion, no parts, empty query, default variant) are left out to
+ * keep links short. Parameters not owned by this module are kept.
+ *
+ * @param {ViewState} state - State to write
+ * @param {URLSearchParams} params - Parameters to update (modified in place)
+ * @returns {URLSearchParams} The updated parameters
+ */
+export function serializeViewState(state, params) {
+    STATE_PARAMS.forEach(key => params.delete(key))
+
+    if (state.cameraPosition) params.set('cam', formatVector(state.cameraPosition))
+    if (state.cameraTarget) params.set('target', formatVector(state.cameraTarget))
+    if (state.explosion) params.set('explode', String(Math.round(state.explosion)))
+    if (state.parts.length > 0) params.set('parts', state.parts.join(','))
+    if (state.autoRotate !== null) params.set('rotate', state.autoRotate ? '1' : '0')
+    if (state.query) params.set('q', state.query)
+    if (state.variant) params.set('variant', state.variant)
+
+    return params
+}
+
+/**
+ * Create a debounced function that writes the current view state to the URL.
+ *
+ * Uses history.replaceState so the back button still leaves the viewer.
+ * The returned function has a `flush()` method that writes immediately
+ * (e.g., before copying the link).
+ *
+ * @param {function(): ViewState} getState - Returns the state to write
+ * @returns {function(): void} Call after every change; writes once changes settle
+ */
+export function createUrlSync(getState) {
+    let timer = null
+
+    const write = () => {
+        const params = serializeViewState(getState(), new URLSearchParams(window.location.search))
+
+        // URLSearchParams encodes commas; keep them readable in shared links
+        const query = params.toString().replace(/%2C/g, ',')
+        history.replaceState(history.state, '', `${window.location.pathname}?${query}${window.location.hash}`)
+    }
+
+    const schedule = () => {
+        if (timer) clearTimeout(timer)
+        timer = setTimeout(() => {
+            timer = null
+            write()
+        }, URL_UPDATE_DELAY_MS)
+    }
+
+    schedule.flush = () => {
+        if (timer) clearTimeout(timer)
+        timer = null
+        write()
+    }
+
+    return schedule
+}
@@ -12,10 +12,18 @@
  * 
  * A system configuration includes:
  * - Basic info: id, name, description
- * - Model path: URL to the GLTF/GLB 3D model file
+ * - Model path: URL to the 3D model file (GLTF/GLB, also Draco/Meshopt/KTX2
+ *   compressed, OBJ with its MTL, STL or 3MF; see ModelLoader.js)
  * - Camera settings: Initial camera position for optimal viewing
  * - Parts list: Array of component definitions with IDs, names, and descriptions
- * - Expand config: Animation offsets for exploded view (how far each part moves)
+ * - Expand config: Animation offsets for exploded view (how far each part moves);
+ *   generated when missing (tune them with `autoExplode`, see AutoExplode.js,
+ *   or in the Author dropdown and paste the result here)
+ * - Expand stages: Optional disassembly order for the exploded view
+ * - Steps: Optional guided assembly instructions (Learn dropdown)
+ * - Variants: Optional product options (materials, swapped or left-out parts)
+ * - Material presets, appearance: Optional finishes, default lighting and background
+ * - Joints: Optional hinges and slides users can move (see JointTool.js)
  * - Videos: Educational content related to the system
  * 
  * COORDINATE SYSTEM:
@@ -27,10 +35,30 @@
  * ADDING NEW SYSTEMS:
  * 1. Create/obtain a GLTF/GLB model with named mesh parts
  * 2. Add a new key to the `systems` object below
- * 3. Define all required properties (see 'table' for a complete example)
+ * 3. Define all required properties (see 'table'; its comments show
+ *    examples of the optional ones)
  * 4. Add the model file to public/models/
  * 5. The new system will automatically appear on the landing page
- *    (requires adding a card in index.html)
+ *    (cards are generated from this object by SystemCards.js)
+ * 6. Open the system in the dev server: config mistakes (typos, part IDs
+ *    that match no mesh, orphan expand offsets) are listed in an overlay
+ *    over the viewer and in the console (see SystemValidator.js)
+ * Tip: drop the model file onto the landing page to preview it, then use
+ * Export > Save as System Config in the viewer for a first config with the
+ * parts list and explode offsets (see LocalModel.js).
+ *
+ * LANDING PAGE CARD:
+ * - name, description: Card title and subtitle
+ * - icon: Phosphor icon class shown on the card (e.g., 'ph-table')
+ * - thumbnail: Optional image URL shown instead of the icon
+ * - modelPath: null marks the system as "coming soon" (card is not clickable)
+ * 
+ * RUNTIME MANIFESTS:
+ * A system can also ship as public/systems/<id>.json in the same shape as the
+ * entries below, without rebuilding the bundle. A manifest takes precedence
+ * over the entry here; list its ID in public/systems/index.json to show it on
+ * the landing page. Paths in a manifest are relative to the manifest file.
+ * See SystemLoader.js.
  * 
  * PART NAMING CONVENTION:
  * Part IDs should match the mesh names in the 3D model file exactly.
@@ -52,9 +80,10 @@ export const systems = {
     /**
      * Table System Configuration
      * 
-     * A fully configured example showing a dining/workspace table.
-     * Demonstrates all configuration options including parts list,
-     * expand animations, and video content.
+     * An example showing a dining/workspace table: parts list, expand
+     * animations, assembly steps and video content. The comments show
+     * examples of the optional product data (part details, variants,
+     * material presets).
      */
     table: {
         /** Unique identifier for this system (used in URLs) */
@@ -63,11 +92,20 @@ export const systems = {
         /** Human-readable name displayed in the UI */
         name: 'Table',
 
-        /** Description shown in the sidebar */
+        /** Description shown in the sidebar and on the landing page card */
         description: 'Dining and workspace furniture system',
 
+        /** Phosphor icon class shown on the landing page card */
+        icon: 'ph-table',
+
+        /**
+         * Optional thumbnail image for the landing page card.
+         * When set, it replaces the icon. Relative to the public directory.
+         */
+        thumbnail: null,
+
         /** 
-         * Path to the GLTF/GLB 3D model file
+         * Path to the 3D model file (.glb/.gltf, .obj, .stl or .3mf)
          * Relative to the public directory (served at root)
          */
         modelPath: '/models/table.glb',
@@ -78,6 +116,29 @@ export const systems = {
          */
         cameraPosition: { x: 3, y: 3, z: 3 },
 
+        /*
+         * Optional: currency of the part `cost` values
+         * (ISO 4217 code, defaults to USD), e.g. currency: 'EUR'
+         */
+
+        /**
+         * Units for measurements and part sizes (see Units.js)
+         * - length: Unit shown to the user (mm, cm, m, in, ft; default mm)
+         * - modelUnit: What one unit in the model file is (default m, as in glTF)
+         */
+        units: { length: 'mm', modelUnit: 'm' },
+
+        /**
+         * Default section view (see SectionTool.js)
+         * - axis: 'x' | 'y' | 'z' for an axis-aligned cut, or
+         *   normal: { x, y, z } for a free plane
+         * - position: Distance of the plane from the model center (model units)
+         * - flip: Keep the other side of the plane
+         * - enabled: Cut the model as soon as it loads (otherwise the
+         *   "Default Section" button in the Section dropdown adds it)
+         */
+        section: { axis: 'x', position: 0 },
+
         /**
          * Parts List
          * 
@@ -86,6 +147,30 @@ export const systems = {
          * - id: Must match the mesh name in the 3D model exactly
          * - name: Human-readable name shown in the parts list and label
          * - description: Tooltip/detail text explaining the part's function
+         * - parent: Optional ID of the assembly this part belongs to
+         *   (e.g., a cell inside a battery module). Parts nested under an
+         *   assembly node in the model get their parent automatically.
+         *   Selecting, highlighting or exploding an assembly applies to
+         *   its whole subtree.
+         * 
+         * Optional details, shown in the part detail panel when the part
+         * is selected (the measured size is always shown):
+         * - material: e.g., 'Solid oak'
+         * - dimensions: Nominal size as text, e.g., '1200 × 800 × 25 mm'
+         * - mass: Mass in kilograms
+         * - partNumber: Manufacturer part number
+         * - cost: Replacement cost (in the system's `currency`)
+         * - links: [{ title, url }] e.g., datasheets or where to buy
+         * They also fill the Bill of Materials panel.
+         * For example:
+         *   {
+         *       id: 'Seat', name: 'Seat', description: 'Padded seat.',
+         *       material: 'Beech plywood', dimensions: '420 × 400 × 12 mm', mass: 1.2,
+         *       partNumber: 'CH-100', cost: 35,
+         *       links: [{ title: 'Datasheet', url: 'https://example.com/ch-100.pdf' }]
+         *   }
+         * The table below only has names and descriptions; its model comes
+         * without real product data.
          */
         parts: [
             { id: 'Table_Top', name: 'Table Top', description: 'The main surface used for placing objects.' },
@@ -112,6 +197,12 @@ export const systems = {
          * - z: positive = up, negative = down
          * 
          * The slider interpolates between 0 (assembled) and these offsets (exploded).
+         * An offset on an assembly moves all of its parts; offsets of the
+         * parts inside it are added on top.
+         * 
+         * Optional slider window per part: `start` and `end` (0-100) limit
+         * the range in which the part moves, e.g. { z: 1, start: 50, end: 75 }.
+         * They override the window given by expandStages below.
          */
         expandConfig: {
             // Table top moves upward to reveal structure underneath
@@ -133,6 +224,103 @@ export const systems = {
             'Table_Fabric_Towel_0': { z: -1 }
         },
 
+        /**
+         * Expand Stages
+         * 
+         * Disassembly order for the exploded view. The 0-100 slider range is
+         * split evenly between the stages; parts listed in a stage only move
+         * during that stage. The Exploded/Assembled buttons play the stages
+         * in order (and in reverse when collapsing).
+         */
+        expandStages: [
+            { name: 'Remove the felt', parts: ['Table_Fabric_Towel_0'] },
+            { name: 'Lift off the top', parts: ['Table_Top'] },
+            {
+                name: 'Detach the aprons',
+                parts: ['Table_Long_Apron_1', 'Table_Long_Apron_2', 'Table_Short_Apron_1', 'Table_Short_Apron_2']
+            },
+            { name: 'Separate the legs', parts: ['Table_Leg_1', 'Table_Leg_2', 'Table_Leg_3', 'Table_Leg_4'] }
+        ],
+
+        /**
+         * Assembly Steps
+         * 
+         * Guided assembly shown in the Learn dropdown. Each step has:
+         * - title, text: Instructions shown in the step card
+         * - parts: Parts (or assemblies) installed in this step; they animate
+         *   in from their expandConfig offset while later parts are ghosted
+         * - camera: Optional { position, target } view for the step
+         * - tools: Optional list of required tools
+         */
+        steps: [
+            {
+                title: 'Stand the legs',
+                text: 'Place the four legs upright where the corners of the table will be.',
+                parts: ['Table_Leg_1', 'Table_Leg_2', 'Table_Leg_3', 'Table_Leg_4']
+            },
+            {
+                title: 'Attach the aprons',
+                text: 'Fix the long and short aprons between the legs to form a rigid frame.',
+                parts: ['Table_Long_Apron_1', 'Table_Long_Apron_2', 'Table_Short_Apron_1', 'Table_Short_Apron_2'],
+                tools: ['Screwdriver', 'Wood glue']
+            },
+            {
+                title: 'Fit the table top',
+                text: 'Lower the top onto the frame and fasten it from underneath.',
+                parts: ['Table_Top'],
+                tools: ['Screwdriver']
+            },
+            {
+                title: 'Add the protective felt',
+                text: 'Lay the felt in place to protect the table surface.',
+                parts: ['Table_Fabric_Towel_0']
+            }
+        ],
+
+        /*
+         * Product Variants (Optional)
+         * 
+         * Options picked in the sidebar. Each variant lists how it differs
+         * from the parts above (see Variants.js):
+         * - hide: Parts left out of the variant
+         * - swap: { partId: otherNodeName } to show another mesh instead
+         * - materials: { partId: { color, metalness, roughness, opacity } }
+         * - parts: { partId: { ...metadata overrides } } (material, cost, ...)
+         * - expandConfig: Expand offset overrides
+         * The variant marked `default` (or the first one) is shown first.
+         * For example:
+         *   variants: [
+         *       { id: 'standard', name: 'Standard', default: true },
+         *       {
+         *           id: 'dark-top',
+         *           name: 'Dark Top',
+         *           description: 'Darker finish on the table top.',
+         *           materials: { 'Table_Top': { color: '#6b4430', roughness: 0.55 } },
+         *           parts: { 'Table_Top': { material: 'Stained oak' } }
+         *       },
+         *       { id: 'no-felt', name: 'No Felt', hide: ['Table_Fabric_Towel_0'] }
+         *   ]
+         */
+
+        /*
+         * Material Presets (Optional)
+         * 
+         * Finishes users can pick in the Appearance dropdown, per group of
+         * parts (see AppearanceTool.js). An option without color/metalness/
+         * roughness/opacity shows the parts as modelled. For example:
+         *   materialPresets: [
+         *       {
+         *           id: 'legs',
+         *           name: 'Leg Finish',
+         *           parts: ['Table_Leg_1', 'Table_Leg_2', 'Table_Leg_3', 'Table_Leg_4'],
+         *           options: [
+         *               { id: 'natural', name: 'Natural', default: true },
+         *               { id: 'black', name: 'Black', color: '#1c1c1c', roughness: 0.3 }
+         *           ]
+         *       }
+         *   ]
+         */
+
         /**
          * Educational Videos
          * 
@@ -159,7 +347,9 @@ export const systems = {
     laptop: {
         id: 'laptop',
         name: 'Laptop',
-        modelPath: null  // No model yet - will show error in viewer
+        description: 'Computing device architecture',
+        icon: 'ph-laptop',
+        modelPath: null  // No model yet - card is shown as "coming soon"
     },
 
     /**
@@ -173,6 +363,8 @@ export const systems = {
     vehicle: {
         id: 'vehicle',
         name: 'Electric Vehicle',
-        modelPath: null  // No model yet - will show error in viewer
+        description: 'Sustainable transportation systems',
+        icon: 'ph-car-profile',
+        modelPath: null  // No model yet - card is shown as "coming soon"
     }
 }
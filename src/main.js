@@ -7,22 +7,31 @@
  * 
  * DESCRIPTION:
  * This is the main JavaScript file for the TNKR landing page (index.html).
- * It initializes the page by animating the system selection cards on load
- * using GSAP for smooth, professional animations, and sets up click handlers
- * to navigate users to the 3D viewer page when they select a system.
+ * It renders the system selection cards from the systems registry, animates
+ * them on load using GSAP for smooth, professional animations, and sets up
+ * click handlers to navigate users to the 3D viewer page when they select
+ * a system.
  * 
  * FEATURES:
+ * - System cards generated from data/systems.js (no hand-written HTML)
  * - Staggered fade-in animation for system cards on page load
  * - Click handlers for card selection and navigation
+ * - Model files dropped onto the page open in the viewer (LocalModel.js)
  * - Logs for debugging library versions
  * 
  * DEPENDENCIES:
  * - gsap: Animation library for smooth, professional UI animations
  * - three: Three.js library (imported here for version logging, used in viewer)
  * - ./style.css: Landing page styles
+ * - ./SystemLoader.js: System registry the cards are generated from
+ *   (data/systems.js plus runtime manifests)
+ * - ./SystemCards.js: System card renderer
+ * - ./LocalModel.js: Dropped local model files
  * 
  * NAVIGATION FLOW:
  * User clicks card -> card becomes active -> navigate to /viewer.html?system={id}
+ * ("coming soon" cards for systems without a model do not navigate)
+ * User drops a model file -> files are stored -> navigate to /viewer.html?system=local
  * 
  * AUTHOR: TNKR Development Team
  * ================================================================================
@@ -34,6 +43,15 @@ import './style.css'
 // GSAP: Professional animation library for smooth UI transitions
 import gsap from 'gsap'
 
+// SystemLoader: Built-in systems plus any listed in /systems/index.json
+import { loadSystemRegistry } from './SystemLoader.js'
+
+// SystemCards: Renders the card grid from the systems registry
+import { renderSystemCards } from './SystemCards.js'
+
+// LocalModel: Dropped model files, stored for the viewer page
+import { LOCAL_VIEWER_URL, setupFileDrop, storeLocalFiles } from './LocalModel.js'
+
 // ============================================================================
 // ANIMATION CONSTANTS
 // ============================================================================
@@ -51,14 +69,19 @@ const ANIMATION_INITIAL_DELAY = 0.4
  * Initialize the landing page.
  * 
  * This function sets up:
- * 1. Card entrance animations using GSAP
- * 2. Click event handlers for system selection
+ * 1. System cards rendered from the systems registry
+ * 2. Card entrance animations using GSAP
+ * 3. Click event handlers for system selection
+ * 4. Opening dropped model files in the viewer
  * 
  * Called when the DOM is ready (either immediately or after DOMContentLoaded).
  */
-const init = () => {
-  // Get all system selection cards from the DOM
-  const cards = document.querySelectorAll('.card')
+const init = async () => {
+  // Load the registry (built-in systems plus runtime manifests)
+  const systems = await loadSystemRegistry()
+
+  // Render one card per system into the selection grid
+  const cards = renderSystemCards('system-selection', systems)
 
   /**
    * Animate cards on load with a staggered fade-in effect.
@@ -84,9 +107,14 @@ const init = () => {
    * 1. Remove 'active' class from all cards (deselect previous)
    * 2. Add 'active' class to clicked card (visual feedback)
    * 3. Navigate to the viewer page with the system ID as a URL parameter
+   * 
+   * "Coming soon" cards (systems without a model) are not clickable.
    */
   cards.forEach(card => {
     card.addEventListener('click', () => {
+      // Placeholder systems have nothing to show in the viewer yet
+      if (card.classList.contains('coming-soon')) return
+
       // Remove active state from all cards
       cards.forEach(c => c.classList.remove('active'))
 
@@ -98,9 +126,30 @@ const init = () => {
 
       // Navigate to the 3D viewer page with the system ID
       // Example: /viewer.html?system=table
-      window.location.href = `/viewer.html?system=${card.dataset.system}`
+      window.location.href = `/viewer.html?system=${encodeURIComponent(card.dataset.system)}`
     })
   })
+
+  /**
+   * Open model files dropped anywhere on the page in the viewer.
+   * The files are stored in the browser for the viewer page to read;
+   * drops without a model show the reason in the hint under the cards.
+   */
+  const dropHint = document.querySelector('#drop-hint span')
+  const showDropError = (message) => {
+    console.warn(message)
+    dropHint.textContent = message
+  }
+
+  setupFileDrop(document.body, async (files) => {
+    dropHint.textContent = 'Opening...'
+    try {
+      await storeLocalFiles(files)
+      window.location.href = LOCAL_VIEWER_URL
+    } catch (err) {
+      showDropError(`Could not keep the dropped files: ${err.message}`)
+    }
+  }, showDropError)
 }
 
 /**
@@ -21,15 +21,47 @@
  * - Handle auto-rotation toggle
  * - Handle dropdown open/close
  * - Handle component search and filtering
+ * - Validate the system config and report mistakes (console + dev overlay)
+ * - Render the step-by-step assembly guide in the Learn dropdown
+ * - Keep the URL in sync with the view state (shareable deep links)
+ * - Part visibility toggles and the isolate/x-ray context menu
+ * - Show the detail panel of the selected part
+ * - Measurement tools (distance, angle, part size) in the Measure dropdown
+ * - Section views (clipping planes) in the Section dropdown
+ * - Notes pinned to the model in the Notes dropdown
+ * - Image, turntable/explode and GLB exports in the Export dropdown
+ * - Bill of materials panel (CSV export, print)
+ * - Side-by-side comparison with a second system (synced cameras, diff)
+ * - Local model files dropped onto the viewer (saved as a system config)
+ * - Loading progress (with cancel) and error screens with retry/back actions
  * 
  * DEPENDENCIES:
  * - ./viewer.css: Viewer page styles
  * - ./SystemViewer.js: Three.js-based 3D viewer class
- * - ./data/systems.js: System configurations (model paths, parts, etc.)
+ * - ./SystemLoader.js: Loads system configs (JSON manifest or data/systems.js)
  * - ./VideoSection.js: Video section rendering component
+ * - ./SystemValidator.js: Config schema and model validation
+ * - ./AssemblyGuide.js: Step-by-step assembly instructions (Learn dropdown)
+ * - ./ViewState.js: Reads/writes the view state in the URL
+ * - ./PartContextMenu.js: Hide/isolate/x-ray menu for canvas and sidebar
+ * - ./PartDetails.js: Detail panel (specs, links, measured size) of the selected part
+ * - ./MeasureTool.js: Distance/angle/size measurements as 3D annotations
+ * - ./Units.js: Length units of the system
+ * - ./SectionTool.js: Clipping planes with gizmo and capped cut faces
+ * - ./AnnotationLayer.js: Notes pinned to parts (saved in localStorage)
+ * - ./CaptureTool.js: Screenshots and turntable/explode recordings
+ * - ./BillOfMaterials.js: Bill of materials table, CSV and print
+ * - ./CompareView.js: Split view camera sync and part diff
+ * - ./Variants.js: Product variant selector
+ * - ./AppearanceTool.js: Material finishes, lighting and background
+ * - ./LocalModel.js: Dropped local model files
+ * - ./LoadingOverlay.js: Loading progress, cancel button and error screens
  * 
  * URL PARAMETERS:
- * - system: ID of system to load (e.g., 'table', 'laptop', 'vehicle')
+ * - system: ID of system to load (e.g., 'table', 'laptop', 'vehicle';
+ *   'local' for the last dropped file)
+ * - compare: ID of a second system to show side by side (e.g., 'table_v2')
+ * - cam, target, explode, parts, rotate, q, variant: View state (see ViewState.js)
  * 
  * AUTHOR: TNKR Development Team
  * ================================================================================
@@ -41,16 +73,79 @@ import './viewer.css'
 // SystemViewer: The main class that handles 3D scene setup, rendering, and interaction
 import { SystemViewer } from './SystemViewer.js'
 
-// System configurations: Contains model paths, part definitions, expand offsets, etc.
-import { systems } from './data/systems.js'
+// SystemLoader: Loads a system config from /systems/<id>.json, falling back to data/systems.js
+import { loadSystemConfig } from './SystemLoader.js'
 
 // VideoSection: Component that renders educational video cards
 import { renderVideoSection } from './VideoSection.js'
 
+// SystemValidator: Reports config mistakes that would otherwise fail silently
+import { validateSystemConfig, validateAgainstModel, reportDiagnostics } from './SystemValidator.js'
+
+// AssemblyGuide: Renders the guided assembly steps into the Learn dropdown
+import { renderAssemblyGuide } from './AssemblyGuide.js'
+
+// ViewState: Deep-link URLs that capture camera, explosion, selection and search
+import { parseViewState, createUrlSync } from './ViewState.js'
+
+// PartContextMenu: Visibility, isolate and x-ray actions for a part
+import { createPartContextMenu } from './PartContextMenu.js'
+
+// PartDetails: Panel with the description and specs of the selected part
+import { createPartDetails } from './PartDetails.js'
+
+// MeasureTool: Measurement mode and its sidebar controls
+import { MeasureTool, renderMeasurePanel } from './MeasureTool.js'
+
+// Units: Per-system length units
+import { resolveUnits } from './Units.js'
+
+// SectionTool: Clipping planes and their sidebar controls
+import { SectionTool, renderSectionPanel } from './SectionTool.js'
+
+// AnnotationLayer: Pinned notes and their sidebar controls
+import { AnnotationLayer, renderAnnotationPanel } from './AnnotationLayer.js'
+
+// CaptureTool: Image and animation exports and their sidebar controls
+import { renderCapturePanel } from './CaptureTool.js'
+
+// BillOfMaterials: Parts list with quantities and costs
+import { createBillOfMaterials } from './BillOfMaterials.js'
+
+// CompareView: Second system in a split view
+import { CompareView, renderComparePanel } from './CompareView.js'
+
+// AppearanceTool: Material finishes, lighting and background
+import { AppearanceTool, renderAppearancePanel } from './AppearanceTool.js'
+
+// Variants: Product options and their sidebar selector
+import { createVariantSelector, getDefaultVariantId } from './Variants.js'
+
+// JointTool: Hinges and slides moved by dragging or with sliders
+import { JointTool, renderJointPanel } from './JointTool.js'
+
+// AuthorTool: Generated and hand-edited explode offsets, copied out as expandConfig
+import { AuthorTool, renderAuthorPanel } from './AuthorTool.js'
+
+// LoadingOverlay: Download progress and error screens over the canvas
+import { createLoadingOverlay } from './LoadingOverlay.js'
+
+// LocalModel: Model files dropped onto the page, opened as the 'local' system
+import { LOCAL_SYSTEM_ID, LOCAL_VIEWER_URL, openLocalSystem, setupFileDrop, storeLocalFiles, downloadSystemConfig } from './LocalModel.js'
+
+/**
+ * @typedef {Object} PartGroup
+ * @property {string} key - Unique key (path of base names from the root)
+ * @property {string} displayName - Name shown in the list (pluralized for groups)
+ * @property {string[]} ids - IDs of the parts in this group
+ * @property {string} description - Description of the first part
+ * @property {Map<string, PartGroup>} children - Grouped sub-assembly parts
+ */
+
 /**
- * Global storage for grouped parts.
+ * Global storage for grouped parts (top level of the part tree).
  * Used by search functionality to filter and re-render the parts list.
- * @type {Map<string, {displayName: string, ids: string[], description: string}>}
+ * @type {Map<string, PartGroup>}
  */
 let allGroups = new Map()
 
@@ -61,6 +156,12 @@ let allGroups = new Map()
  */
 let currentViewer = null
 
+/**
+ * Context menu shared by the canvas and the sidebar part items.
+ * @type {{open: function, close: function}|null}
+ */
+let partContextMenu = null
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -68,6 +169,9 @@ let currentViewer = null
 /** Debounce delay for search input in milliseconds */
 const SEARCH_DEBOUNCE_MS = 150
 
+/** How long a rejected file drop's message stays up, in milliseconds */
+const DROP_MESSAGE_MS = 3000
+
 // ============================================================================
 // CACHED DOM REFERENCES (set during initialization)
 // ============================================================================
@@ -90,19 +194,45 @@ document.addEventListener('DOMContentLoaded', async () => {
     const params = new URLSearchParams(window.location.search)
     const systemId = params.get('system')
 
-    // Look up the system configuration from our data
-    const systemConfig = systems[systemId]
+    // Progress and error screens over the canvas; retrying reloads the
+    // page (the URL keeps the view state)
+    let loadController = null
+    const loadOverlay = createLoadingOverlay('load-overlay', {
+        onCancel: () => loadController?.abort(),
+        onRetry: () => window.location.reload()
+    })
+
+    // Look up the system configuration (runtime manifest first, then built-in data);
+    // the 'local' system is the last model file dropped onto the page
+    const localSystem = systemId === LOCAL_SYSTEM_ID ? await openLocalSystem() : null
+    const systemConfig = localSystem ? localSystem.config : await loadSystemConfig(systemId)
 
-    // If system not found, alert user and redirect to landing page
+    // If system not found, say so over the canvas (with a way back)
     if (!systemConfig) {
-        alert('System not found!')
-        window.location.href = '/'
+        document.getElementById('sys-title').textContent = 'System not found'
+        document.getElementById('sys-desc').textContent = ''
+        if (systemId === LOCAL_SYSTEM_ID) {
+            loadOverlay.showError('no-local-model')
+        } else {
+            loadOverlay.showError('system-not-found', systemId ? `No system "${systemId}"` : 'The link names no system')
+        }
         return
     }
 
+    // Optional second system for side-by-side comparison
+    const compareId = params.get('compare')
+    const compareConfig = compareId ? await loadSystemConfig(compareId) : null
+    if (compareId && !compareConfig) {
+        console.warn('Compare system not found:', compareId)
+    }
+
     // =========================================================================
     // 2. UPDATE UI WITH SYSTEM INFORMATION
     // =========================================================================
+    // Check the config against the schema before using it
+    // (model-dependent checks run after the model has loaded)
+    const diagnostics = validateSystemConfig(systemConfig)
+
     // Set the system title in the sidebar
     document.getElementById('sys-title').textContent = systemConfig.name
 
@@ -118,48 +248,141 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Get the canvas element where Three.js will render
     const canvas = document.getElementById('three-canvas')
 
+    // Split the view before the viewers size their canvases
+    let compareViewer = null
+    if (compareConfig) {
+        document.getElementById('viewer-container').classList.add('comparing')
+        document.getElementById('compare-pane').hidden = false
+        document.querySelector('#viewer-pane .pane-title').textContent = systemConfig.name
+        document.querySelector('#compare-pane .pane-title').textContent = compareConfig.name
+
+        compareViewer = new SystemViewer(document.getElementById('compare-canvas'))
+    }
+
     // Create a new SystemViewer instance - this sets up the 3D scene
     const viewer = new SystemViewer(canvas)
     currentViewer = viewer
 
+    // Right-click on the canvas opens the hide/isolate/x-ray menu
+    partContextMenu = createPartContextMenu(viewer)
+    viewer.onContextMenu = (part, event) => {
+        const partIds = part ? [part.name] : []
+        const title = part ? (viewer.partTree.get(part.name)?.name || part.name) : systemConfig.name
+        partContextMenu.open(event.clientX, event.clientY, partIds, title)
+    }
+
+    // Keep the sidebar eye icons in sync with hiding from either place
+    viewer.onVisibilityChange = () => syncPartVisibility(viewer)
+
+    /**
+     * Write the current view state to the URL (debounced).
+     * Called after every interaction that changes what the user sees.
+     */
+    const scheduleUrlUpdate = createUrlSync(() => ({
+        cameraPosition: viewer.model ? viewer.camera.position : null,
+        cameraTarget: viewer.model ? viewer.controls.target : null,
+        explosion: viewer.explosionPercent,
+        parts: viewer.getHighlightedPartIds(),
+        autoRotate: viewer.autoRotateEnabled ? null : false,   // On is the default
+        query: document.getElementById('parts-search').value.trim(),
+        // The default variant is left out of links
+        variant: viewer.variantId !== getDefaultVariantId(systemConfig) ? viewer.variantId : null
+    }))
+
     try {
         // Load the 3D model if a path is configured
         if (systemConfig.modelPath) {
-            // loadModel is async - wait for it to complete
-            await viewer.loadModel(systemConfig.modelPath, systemConfig)
+            // loadModel is async - wait for it to complete, with the
+            // download progress over the canvas until then
+            // (dropped files load through the local system's manager)
+            loadController = new AbortController()
+            loadOverlay.showProgress()
+            await viewer.loadModel(systemConfig.modelPath, systemConfig, {
+                ...localSystem?.loadOptions,
+                onProgress: loadOverlay.showProgress,
+                signal: loadController.signal
+            })
+            loadOverlay.hide()
             console.log('Model loaded successfully')
 
-            // Generate the component list with similar parts grouped together
+            // Compare part IDs and expand offsets with the loaded mesh names
+            diagnostics.push(...validateAgainstModel(systemConfig, viewer.model))
+
+            // Generate the component tree with similar parts grouped together
             // e.g., "Leg 1", "Leg 2", "Leg 3", "Leg 4" -> "Legs"
-            allGroups = groupParts(systemConfig.parts || [])
+            // Sub-assemblies come from the part tree built by the viewer;
+            // the viewer's config has the default variant applied
+            allGroups = groupParts(viewer.systemConfig.parts || [], viewer.partTree)
 
             // Render the initial parts list in the sidebar
             renderFilteredPartsList(viewer, allGroups)
+
+            // The compared system loads after the main one; if it fails,
+            // the main system still works on its own
+            if (compareViewer && compareConfig.modelPath) {
+                try {
+                    await compareViewer.loadModel(compareConfig.modelPath, compareConfig)
+                } catch (err) {
+                    console.error('Error loading compare model:', err)
+                    document.querySelector('#compare-pane .pane-title').textContent =
+                        `${compareConfig.name}: could not load model`
+                }
+            }
         } else {
             // No model path configured for this system (placeholder systems)
             console.warn('No model path for system:', systemId)
+            loadOverlay.showError('no-model')
         }
 
     } catch (err) {
-        // Handle model loading errors
+        // Handle model loading errors: the reason picks the error screen
+        // (missing file, download failure, invalid file, ...; see ModelLoader.js)
         console.error('Error loading model:', err)
-        document.getElementById('sys-desc').textContent = 'Error loading model: ' + err.message
+        loadOverlay.showError(err.reason, err.message)
     }
 
+    // Report schema and model issues together
+    reportDiagnostics(systemId, diagnostics)
+
     // =========================================================================
     // 4. BIND EXPAND/COLLAPSE CONTROLS
     // =========================================================================
     const btnExpand = document.getElementById('btn-expand')
     const btnCollapse = document.getElementById('btn-collapse')
     const slider = document.getElementById('explosion-slider')
+    const stageLabel = document.getElementById('explosion-stage')
+
+    /**
+     * Show the disassembly stage for an explosion amount under the slider.
+     * Hidden for systems without expandStages.
+     * 
+     * @param {number} percent - Explosion amount (0-100)
+     */
+    const updateStageLabel = (percent) => {
+        const stage = viewer.getExplosionStage(percent)
+        stageLabel.textContent = stage && percent > 0
+            ? `Stage ${stage.index + 1}/${stage.count}: ${stage.name}`
+            : ''
+    }
+
+    /**
+     * Keep the slider in sync while expand/collapse playback runs
+     * (staged playback takes several seconds).
+     */
+    viewer.onExplosionChange = (percent) => {
+        slider.value = percent
+        updateStageLabel(percent)
+        scheduleUrlUpdate()
+    }
 
     /**
      * Exploded View Button Handler
      * Animates parts apart to show individual components
+     * (stage by stage if the system defines expandStages)
      */
     btnExpand.addEventListener('click', () => {
-        slider.value = 100                          // Set slider to max
-        viewer.expand()                             // Trigger expand animation
+        viewer.expand()                             // Trigger expand animation (drives the slider)
+        compareViewer?.expand()
         btnExpand.classList.add('active')           // Highlight expand button
         btnCollapse.classList.remove('active')      // Un-highlight collapse button
     })
@@ -169,8 +392,8 @@ document.addEventListener('DOMContentLoaded', async () => {
      * Animates parts back together to show complete assembly
      */
     btnCollapse.addEventListener('click', () => {
-        slider.value = 0                            // Set slider to min
-        viewer.collapse()                           // Trigger collapse animation
+        viewer.collapse()                           // Trigger collapse animation (drives the slider)
+        compareViewer?.collapse()
         btnCollapse.classList.add('active')         // Highlight collapse button
         btnExpand.classList.remove('active')        // Un-highlight expand button
     })
@@ -186,6 +409,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     slider.addEventListener('input', (e) => {
         const value = parseInt(e.target.value)
         viewer.setExplosionAmount(value)
+        compareViewer?.setExplosionAmount(value)
+        updateStageLabel(value)
+        scheduleUrlUpdate()
 
         // Update button active states based on slider position
         if (value === 0) {
@@ -213,13 +439,30 @@ document.addEventListener('DOMContentLoaded', async () => {
     const btnAutoRotate = document.getElementById('btn-auto-rotate')
     btnAutoRotate.addEventListener('change', () => {
         viewer.setAutoRotate(btnAutoRotate.checked)
+        scheduleUrlUpdate()
+    })
+
+    /**
+     * Reset View Button Handler
+     * Fly the camera back to the default view of the whole model
+     */
+    document.getElementById('reset-view-btn').addEventListener('click', () => {
+        viewer.resetView()
     })
 
     // =========================================================================
     // 7. DROPDOWN TOGGLES
     // =========================================================================
     // Set up Learn and Components dropdown accordions
+    setupDropdown('compare-dropdown-btn', 'compare-content')
     setupDropdown('learn-dropdown-btn', 'learn-content')
+    setupDropdown('joints-dropdown-btn', 'joints-content')
+    setupDropdown('measure-dropdown-btn', 'measure-content')
+    setupDropdown('section-dropdown-btn', 'section-content')
+    setupDropdown('notes-dropdown-btn', 'notes-content')
+    setupDropdown('appearance-dropdown-btn', 'appearance-content')
+    setupDropdown('author-dropdown-btn', 'author-content')
+    setupDropdown('export-dropdown-btn', 'export-content')
     setupDropdown('components-dropdown-btn', 'components-content')
 
     // =========================================================================
@@ -241,6 +484,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Debounce search to avoid filtering on every keystroke
         searchDebounceTimer = setTimeout(() => {
             filterAndRenderParts(viewer, query)
+            scheduleUrlUpdate()
         }, SEARCH_DEBOUNCE_MS)
     })
 
@@ -276,6 +520,297 @@ document.addEventListener('DOMContentLoaded', async () => {
             }
         })
     }
+
+    // =========================================================================
+    // 11. LEARN: ASSEMBLY GUIDE
+    // =========================================================================
+    /**
+     * Step-by-step assembly instructions from systemConfig.steps.
+     * Starting the guide resets the model to assembled, so the explosion
+     * controls are reset to match.
+     */
+    const assemblyGuideOptions = {
+        onStart: () => {
+            slider.value = 0
+            updateStageLabel(0)
+            btnCollapse.classList.add('active')
+            btnExpand.classList.remove('active')
+        }
+    }
+    if (viewer.model) {
+        renderAssemblyGuide('learn-content', viewer, viewer.systemConfig, assemblyGuideOptions)
+    }
+
+    // =========================================================================
+    // 12. MEASURE: DISTANCE, ANGLE AND PART SIZE
+    // =========================================================================
+    // Needs the model (marker size, raycasting)
+    if (viewer.model) {
+        const measureTool = new MeasureTool(viewer, resolveUnits(viewer.systemConfig))
+        renderMeasurePanel('measure-content', measureTool)
+    }
+
+    // =========================================================================
+    // 13. SECTION VIEWS (CLIPPING PLANES)
+    // =========================================================================
+    if (viewer.model) {
+        const sectionTool = new SectionTool(viewer)
+        renderSectionPanel('section-content', sectionTool, systemConfig.section)
+
+        // Systems can start with their default section applied
+        if (systemConfig.section?.enabled) sectionTool.addDefaultPlane(systemConfig.section)
+    }
+
+    // =========================================================================
+    // 14. ANNOTATIONS (PINNED NOTES)
+    // =========================================================================
+    // Notes are stored per system in localStorage
+    if (viewer.model) {
+        const annotations = new AnnotationLayer(viewer, systemConfig.id)
+        renderAnnotationPanel('notes-content', annotations)
+    }
+
+    // =========================================================================
+    // 15. EXPORT (SCREENSHOTS, RECORDINGS, GLB)
+    // =========================================================================
+    if (viewer.model) {
+        renderCapturePanel('capture-content', viewer, systemConfig.id)
+
+        /**
+         * GLB Export Handler
+         * 
+         * Downloads the model as currently arranged (exploded, hidden parts
+         * left out) with the part metadata in the node extras.
+         */
+        const exportGlbBtn = document.getElementById('export-glb-btn')
+        document.getElementById('model-export').hidden = false
+
+        exportGlbBtn.addEventListener('click', async () => {
+            exportGlbBtn.disabled = true
+            try {
+                const glb = await viewer.exportGLB({
+                    highlights: document.getElementById('export-glb-highlights').checked
+                })
+                const link = document.createElement('a')
+                link.href = URL.createObjectURL(new Blob([glb], { type: 'model/gltf-binary' }))
+                link.download = `${systemConfig.id}.glb`
+                link.click()
+                setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+            } catch (err) {
+                console.error('GLB export failed:', err)
+            } finally {
+                exportGlbBtn.disabled = false
+            }
+        })
+
+        // A dropped model can be saved as a new system (parts and offsets in use)
+        if (localSystem) {
+            document.getElementById('system-export').hidden = false
+            document.getElementById('export-system-btn').addEventListener('click', () => {
+                downloadSystemConfig(viewer, localSystem.fileName)
+            })
+        }
+    }
+
+    // =========================================================================
+    // 16. BILL OF MATERIALS
+    // =========================================================================
+    // Built from the same part groups as the components list
+    const billOfMaterials = viewer.model
+        ? createBillOfMaterials('bom-panel', viewer, viewer.systemConfig, allGroups)
+        : null
+
+    if (billOfMaterials) {
+        const bomBtn = document.getElementById('bom-btn')
+        bomBtn.hidden = false
+        bomBtn.addEventListener('click', billOfMaterials.toggle)
+    }
+
+    // =========================================================================
+    // 17. COMPARE (SPLIT VIEW)
+    // =========================================================================
+    if (viewer.model && compareViewer?.model) {
+        const compare = new CompareView(viewer, compareViewer)
+        renderComparePanel('compare-content', compare, systemConfig.name, compareConfig.name)
+        document.getElementById('compare-section').hidden = false
+    }
+
+    // =========================================================================
+    // 18. AUTHOR MODE (EXPLODE OFFSETS)
+    // =========================================================================
+    // Systems without an expandConfig already explode with generated offsets
+    const authorTool = viewer.model ? new AuthorTool(viewer, viewer.systemConfig) : null
+    if (authorTool) renderAuthorPanel('author-content', authorTool)
+
+    // =========================================================================
+    // 19. APPEARANCE (FINISHES, LIGHTING, BACKGROUND)
+    // =========================================================================
+    // The compared system is lit the same way so the views stay comparable
+    const appearance = viewer.model ? new AppearanceTool(viewer, viewer.systemConfig) : null
+    if (appearance) {
+        if (compareViewer?.model) appearance.addViewer(compareViewer)
+        renderAppearancePanel('appearance-content', appearance)
+    }
+
+    // =========================================================================
+    // 20. JOINTS (HINGES AND SLIDES)
+    // =========================================================================
+    const jointsSection = document.getElementById('joints-section')
+    const joints = viewer.model && viewer.systemConfig.joints?.length > 0
+        ? new JointTool(viewer, viewer.systemConfig)
+        : null
+    if (joints?.joints.length > 0) {
+        renderJointPanel('joints-content', joints, resolveUnits(viewer.systemConfig))
+        jointsSection.hidden = !joints.hasAvailableJoints()
+    }
+
+    // =========================================================================
+    // 21. VARIANTS
+    // =========================================================================
+    /**
+     * Selecting a variant changes the parts, offsets, steps and finish
+     * groups in viewer.systemConfig, so everything built from them is
+     * rebuilt or refreshed.
+     */
+    const variantSelector = viewer.model ? createVariantSelector('variant-selector', viewer) : null
+
+    viewer.onVariantChange = () => {
+        allGroups = groupParts(viewer.systemConfig.parts || [], viewer.partTree)
+        filterAndRenderParts(viewer, searchInput.value.toLowerCase().trim())
+        if (billOfMaterials) billOfMaterials.refresh(allGroups, viewer.systemConfig)
+        renderAssemblyGuide('learn-content', viewer, viewer.systemConfig, assemblyGuideOptions)
+        updateStageLabel(viewer.explosionPercent)
+        if (variantSelector) variantSelector.update()
+        if (authorTool) authorTool.refresh(viewer.systemConfig)
+        if (appearance) appearance.refresh(viewer.systemConfig)
+        if (joints?.joints.length > 0) {
+            joints.refresh()
+            jointsSection.hidden = !joints.hasAvailableJoints()
+        }
+        scheduleUrlUpdate()
+    }
+
+    // =========================================================================
+    // 22. DEEP LINK (VIEW STATE IN URL)
+    // =========================================================================
+    /**
+     * Restore the view state from the URL, then keep the URL updated.
+     * Restoring goes through the same handlers as user input so the
+     * sidebar controls match the 3D view.
+     */
+    const linkedState = parseViewState(params)
+
+    if (linkedState.autoRotate !== null) {
+        btnAutoRotate.checked = linkedState.autoRotate
+        viewer.setAutoRotate(linkedState.autoRotate)
+    }
+
+    if (viewer.model) {
+        if (linkedState.variant) viewer.setVariant(linkedState.variant)
+
+        if (linkedState.cameraPosition) {
+            const { x, y, z } = linkedState.cameraPosition
+            viewer.camera.position.set(x, y, z)
+        }
+        if (linkedState.cameraTarget) {
+            const { x, y, z } = linkedState.cameraTarget
+            viewer.controls.target.set(x, y, z)
+        }
+        viewer.controls.update()
+
+        if (linkedState.explosion !== null) {
+            slider.value = linkedState.explosion
+            slider.dispatchEvent(new Event('input'))
+        }
+
+        if (linkedState.parts.length > 0) {
+            viewer.highlightPart(linkedState.parts)
+        }
+    }
+
+    if (linkedState.query) {
+        searchInput.value = linkedState.query
+        filterAndRenderParts(viewer, linkedState.query.toLowerCase().trim())
+    } else {
+        markSelectedPartItems(viewer)
+    }
+
+    // Selection changes (sidebar or 3D clicks) open the detail panel,
+    // and they and camera moves update the URL
+    const partDetails = createPartDetails('part-details', viewer, systemConfig)
+    if (partDetails) partDetails.update()
+
+    viewer.onSelectionChange = () => {
+        if (partDetails) partDetails.update()
+        if (billOfMaterials) billOfMaterials.update()
+        scheduleUrlUpdate()
+    }
+    viewer.onCameraChange = scheduleUrlUpdate
+    viewer.controls.addEventListener('end', scheduleUrlUpdate)
+
+    /**
+     * Copy Link Button Handler
+     * Writes the latest state to the URL and copies it to the clipboard.
+     */
+    const shareBtn = document.getElementById('share-btn')
+    shareBtn.addEventListener('click', async () => {
+        scheduleUrlUpdate.flush()
+        const label = shareBtn.querySelector('span')
+        try {
+            await navigator.clipboard.writeText(window.location.href)
+            label.textContent = 'Link Copied'
+        } catch (err) {
+            console.warn('Could not copy link:', err)
+            label.textContent = 'Copy Failed'
+        }
+        setTimeout(() => { label.textContent = 'Copy Link' }, 2000)
+    })
+
+    // =========================================================================
+    // 23. LOCAL FILES (DRAG AND DROP)
+    // =========================================================================
+    /**
+     * Dropping a model file (or a folder with a .gltf and its textures)
+     * opens it as the local system. The files are stored first so the
+     * reloaded page (and later reloads) can read them.
+     */
+    const viewerContainer = document.getElementById('viewer-container')
+    const dropMessage = document.getElementById('drop-message')
+    const dropHint = dropMessage.textContent
+
+    /**
+     * Keep the drop overlay up with a message (after the drag has ended).
+     * 
+     * @param {string} message - Text shown in the overlay
+     */
+    const showDropStatus = (message) => {
+        dropMessage.textContent = message
+        viewerContainer.classList.add('drop-status')
+    }
+
+    /**
+     * Show why a drop was not opened, then go back to the drop hint.
+     * 
+     * @param {string} message - Reason
+     */
+    const rejectDrop = (message) => {
+        console.warn(message)
+        showDropStatus(message)
+        setTimeout(() => {
+            viewerContainer.classList.remove('drop-status')
+            dropMessage.textContent = dropHint
+        }, DROP_MESSAGE_MS)
+    }
+
+    setupFileDrop(viewerContainer, async (files) => {
+        showDropStatus('Opening...')
+        try {
+            await storeLocalFiles(files)
+            window.location.href = LOCAL_VIEWER_URL
+        } catch (err) {
+            rejectDrop(`Could not keep the dropped files: ${err.message}`)
+        }
+    }, rejectDrop)
 })
 
 /**
@@ -308,23 +843,46 @@ function setupDropdown(btnId, contentId) {
 }
 
 /**
- * Group similar parts together.
+ * Group similar parts together, level by level of the part tree.
  * 
  * This function takes an array of part definitions and groups them by base name.
  * For example, "Leg 1", "Leg 2", "Leg 3", "Leg 4" become a single "Legs" group.
+ * Parts inside an assembly are grouped the same way among their siblings and
+ * stored in the assembly group's `children`.
  * 
  * Grouping algorithm:
  * 1. Remove trailing numbers from part names to get base name
  * 2. Group parts with the same base name
  * 3. Pluralize display name if group has multiple parts
+ * 4. Repeat for the children of each group's parts
  * 
  * @param {Array<{id: string, name: string, description: string}>} parts - Part definitions
- * @returns {Map<string, {displayName: string, ids: string[], description: string}>} Grouped parts
+ * @param {Map<string, {parent: string|null, children: string[]}>} [tree] - Part tree (SystemViewer.partTree)
+ * @returns {Map<string, PartGroup>} Grouped top-level parts
+ */
+function groupParts(parts, tree = new Map()) {
+    const partsById = new Map(parts.map(part => [part.id, part]))
+
+    // Top level: parts without a parent assembly
+    const roots = parts.filter(part => !tree.get(part.id)?.parent)
+
+    return groupPartLevel(roots, partsById, tree, '')
+}
+
+/**
+ * Group one level of sibling parts by base name, then recurse into children.
+ * 
+ * @param {Array<{id: string, name: string, description: string}>} levelParts - Sibling parts
+ * @param {Map<string, Object>} partsById - All part definitions by ID
+ * @param {Map<string, {children: string[]}>} tree - Part tree
+ * @param {string} keyPrefix - Key of the parent group ('' at the top level)
+ * @returns {Map<string, PartGroup>} Grouped parts of this level
  */
-function groupParts(parts) {
+function groupPartLevel(levelParts, partsById, tree, keyPrefix) {
     const groups = new Map()
+    const childParts = new Map()
 
-    parts.forEach(part => {
+    levelParts.forEach(part => {
         // Extract base name by removing trailing numbers
         // e.g., "Leg 1" -> "Leg", "Long Apron 1" -> "Long Apron"
         const baseName = part.name.replace(/\s*\d+$/, '').trim()
@@ -332,26 +890,51 @@ function groupParts(parts) {
         // Create group if it doesn't exist
         if (!groups.has(baseName)) {
             groups.set(baseName, {
+                key: keyPrefix + '/' + baseName,
                 displayName: baseName,
                 ids: [],
-                description: part.description
+                description: part.description,
+                children: new Map()
             })
+            childParts.set(baseName, [])
         }
 
-        // Add this part's ID to the group
+        // Add this part's ID to the group, and its children for the next level
         groups.get(baseName).ids.push(part.id)
+        const children = tree.get(part.id)?.children || []
+        childParts.get(baseName).push(...children.map(id => partsById.get(id)).filter(Boolean))
     })
 
-    // Make display name plural if group has multiple items
     groups.forEach((group, key) => {
+        // Make display name plural if group has multiple items
         if (group.ids.length > 1 && !key.endsWith('s')) {
             group.displayName = key + 's'
         }
+
+        // Group the sub-assembly parts of this group
+        group.children = groupPartLevel(childParts.get(key), partsById, tree, group.key)
     })
 
     return groups
 }
 
+/**
+ * Flatten a grouped part tree into a single map (depth-first).
+ * 
+ * Used by search so that parts inside assemblies can be found.
+ * 
+ * @param {Map<string, PartGroup>} groups - Grouped parts
+ * @param {Map<string, PartGroup>} [result] - Output map (used by recursion)
+ * @returns {Map<string, PartGroup>} All groups keyed by their unique key
+ */
+function flattenGroups(groups, result = new Map()) {
+    groups.forEach(group => {
+        result.set(group.key, group)
+        flattenGroups(group.children, result)
+    })
+    return result
+}
+
 /**
  * Calculate a search relevance score for a part name.
  * 
@@ -399,8 +982,9 @@ function getSearchScore(displayName, query) {
 /**
  * Filter parts by search query and re-render the list.
  * 
- * If query is empty, shows all parts.
- * Otherwise, filters parts that match the query and sorts by relevance score.
+ * If query is empty, shows the full part tree.
+ * Otherwise, filters parts at every tree level that match the query,
+ * sorts them by relevance score and shows them as a flat list.
  * 
  * @param {SystemViewer} viewer - The viewer instance (needed for click handlers)
  * @param {string} query - The search query (lowercase, trimmed)
@@ -416,8 +1000,8 @@ function filterAndRenderParts(viewer, query) {
     const filtered = new Map()
     const sortedEntries = []
 
-    // Score each group
-    allGroups.forEach((group, key) => {
+    // Score each group (including groups inside assemblies)
+    flattenGroups(allGroups).forEach((group, key) => {
         const score = getSearchScore(group.displayName, query)
         if (score > 0) {
             sortedEntries.push({ key, group, score })
@@ -432,8 +1016,8 @@ function filterAndRenderParts(viewer, query) {
         filtered.set(entry.key, entry.group)
     })
 
-    // Render the filtered list
-    renderFilteredPartsList(viewer, filtered)
+    // Render the filtered list (flat - matches may come from any level)
+    renderFilteredPartsList(viewer, filtered, false)
 }
 
 /**
@@ -441,11 +1025,13 @@ function filterAndRenderParts(viewer, query) {
  * 
  * Creates a clickable list item for each part group.
  * When clicked, the part(s) are highlighted in the 3D viewer.
+ * Groups with sub-assemblies get a caret that expands their children.
  * 
  * @param {SystemViewer} viewer - The viewer instance for highlighting parts
- * @param {Map<string, {displayName: string, ids: string[], description: string}>} groups - Part groups to display
+ * @param {Map<string, PartGroup>} groups - Part groups to display
+ * @param {boolean} [nested=true] - Whether to render children as a collapsible tree
  */
-function renderFilteredPartsList(viewer, groups) {
+function renderFilteredPartsList(viewer, groups, nested = true) {
     // Use cached container reference, or get it once
     if (!partsListContainer) {
         partsListContainer = document.getElementById('parts-list')
@@ -460,26 +1046,106 @@ function renderFilteredPartsList(viewer, groups) {
         return
     }
 
+    // Single DOM operation to add all items
+    partsListContainer.appendChild(createPartItems(viewer, groups, nested))
+
+    // Keep selection and visibility state when the list is re-rendered (e.g., by search)
+    markSelectedPartItems(viewer)
+    syncPartVisibility(viewer)
+}
+
+/**
+ * Update the sidebar items to show which parts are hidden.
+ * 
+ * Hidden items are dimmed and their eye button shows "show".
+ * 
+ * @param {SystemViewer} viewer - The viewer instance holding the hidden parts
+ */
+function syncPartVisibility(viewer) {
+    document.querySelectorAll('.part-item').forEach(el => {
+        const hidden = viewer.isPartHidden(JSON.parse(el.dataset.partIds || '[]'))
+        const button = el.querySelector('.part-visibility')
+
+        el.classList.toggle('part-hidden', hidden)
+        button.title = hidden ? 'Show' : 'Hide'
+        button.querySelector('i').className = `ph ${hidden ? 'ph-eye-slash' : 'ph-eye'}`
+    })
+}
+
+/**
+ * Mark sidebar items as selected when all of their parts are highlighted.
+ * 
+ * Needed when highlights come from outside a sidebar click
+ * (restored from a deep link, or kept across a search re-render).
+ * 
+ * @param {SystemViewer} viewer - The viewer instance holding the highlights
+ */
+function markSelectedPartItems(viewer) {
+    const highlighted = new Set(viewer.getHighlightedPartIds())
+    if (highlighted.size === 0) return
+
+    document.querySelectorAll('.part-item').forEach(el => {
+        const meshIds = viewer.getMeshIds(JSON.parse(el.dataset.partIds || '[]'))
+        if (meshIds.length > 0 && meshIds.every(id => highlighted.has(id))) {
+            el.classList.add('selected')
+        }
+    })
+}
+
+/**
+ * Create the list items for one level of part groups.
+ * 
+ * @param {SystemViewer} viewer - The viewer instance for highlighting parts
+ * @param {Map<string, PartGroup>} groups - Part groups to display
+ * @param {boolean} nested - Whether to render children as a collapsible tree
+ * @returns {DocumentFragment} Fragment containing the items
+ */
+function createPartItems(viewer, groups, nested) {
     // Use DocumentFragment for batch DOM insertion (better performance)
     const fragment = document.createDocumentFragment()
 
     // Create a list item for each group
-    groups.forEach((group, key) => {
+    groups.forEach(group => {
+        const hasChildren = nested && group.children.size > 0
+
         const el = document.createElement('div')
         el.className = 'part-item'
 
         // Store part IDs in data attribute for click handler
         el.dataset.partIds = JSON.stringify(group.ids)
 
-        // Render the part name with a caret icon
+        // Render the part name, the visibility/menu buttons and a caret icon
+        // (the caret toggles the sub-assembly for groups with children)
         el.innerHTML = `
-            <span class="part-name">${group.displayName}</span>
-            <i class="ph ph-caret-right"></i>
+            <span class="part-name"></span>
+            <button class="part-action part-visibility" title="Hide"><i class="ph ph-eye"></i></button>
+            <button class="part-action part-menu" title="More"><i class="ph ph-dots-three"></i></button>
+            <i class="ph ph-caret-right${hasChildren ? ' part-toggle' : ''}"></i>
         `
+        // Names can come from mesh names in dropped files - set as text, not HTML
+        el.querySelector('.part-name').textContent = group.displayName
+
+        // Eye button hides/shows the part (or whole group) without selecting it
+        el.querySelector('.part-visibility').addEventListener('click', (e) => {
+            e.stopPropagation()
+            viewer.togglePartsVisible(group.ids)
+        })
+
+        // "More" button and right-click open the isolate/x-ray menu
+        el.querySelector('.part-menu').addEventListener('click', (e) => {
+            e.stopPropagation()
+            const rect = e.currentTarget.getBoundingClientRect()
+            partContextMenu.open(rect.left, rect.bottom, group.ids, group.displayName)
+        })
+        el.addEventListener('contextmenu', (e) => {
+            e.preventDefault()
+            partContextMenu.open(e.clientX, e.clientY, group.ids, group.displayName)
+        })
 
         /**
          * Click handler for part selection.
-         * Toggles highlight on the associated 3D parts.
+         * Toggles highlight on the associated 3D parts
+         * (assemblies highlight their whole subtree).
          */
         el.addEventListener('click', () => {
             const partIds = JSON.parse(el.dataset.partIds)
@@ -490,15 +1156,36 @@ function renderFilteredPartsList(viewer, groups) {
                 el.classList.remove('selected')
                 viewer.unhighlightPart(partIds)
             } else {
-                // Not selected - highlight
+                // Not selected - highlight and fly the camera to it
                 el.classList.add('selected')
                 viewer.highlightPart(partIds)
+                viewer.frameParts(partIds)
             }
         })
 
-        fragment.appendChild(el)
+        if (!hasChildren) {
+            fragment.appendChild(el)
+            return
+        }
+
+        // ===== SUB-ASSEMBLY =====
+        // Wrap the item and its (collapsed) children in a tree node
+        const node = document.createElement('div')
+        node.className = 'part-node'
+
+        const children = document.createElement('div')
+        children.className = 'part-children'
+        children.appendChild(createPartItems(viewer, group.children, nested))
+
+        // Caret expands/collapses the children without selecting the group
+        el.querySelector('.part-toggle').addEventListener('click', (e) => {
+            e.stopPropagation()
+            node.classList.toggle('open')
+        })
+
+        node.append(el, children)
+        fragment.appendChild(node)
     })
 
-    // Single DOM operation to add all items
-    partsListContainer.appendChild(fragment)
+    return fragment
 }
@@ -0,0 +1,95 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: test/BillOfMaterials.test.js
+ * PURPOSE: Tests for the bill of materials totals
+ *
+ * Run with: npm test
+ * ================================================================================
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { buildBillOfMaterials } from '../src/BillOfMaterials.js'
+
+/**
+ * Build a part group as in the components list.
+ *
+ * @param {string} key - Group key (path of base names)
+ * @param {string[]} ids - Part IDs of the group
+ * @param {Object[]} [children] - Groups of the sub-assembly parts
+ * @returns {Object} Part group
+ */
+function group(key, ids, children = []) {
+    return {
+        key,
+        displayName: key,
+        ids,
+        description: '',
+        children: new Map(children.map(child => [child.key, child]))
+    }
+}
+
+test('parts of an assembly without figures are summed', () => {
+    const groups = new Map([
+        ['Module', group('Module', ['Module'], [group('Module/Cell', ['Cell_1', 'Cell_2'])])],
+        ['Lid', group('Lid', ['Lid'])]
+    ])
+    const config = {
+        parts: [
+            { id: 'Module' },
+            { id: 'Cell_1', cost: 5, mass: 0.1 },
+            { id: 'Cell_2', cost: 5, mass: 0.1 },
+            { id: 'Lid', cost: 2, mass: 0.5 }
+        ]
+    }
+
+    const { totals } = buildBillOfMaterials(groups, config)
+    assert.equal(totals.quantity, 3)
+    assert.equal(totals.cost, 12)
+    assert.equal(totals.mass, 0.7)
+})
+
+test('an assembly with its own figures is not summed again with its parts', () => {
+    const groups = new Map([
+        ['Module', group('Module', ['Module'], [group('Module/Cell', ['Cell_1', 'Cell_2'])])]
+    ])
+    const config = {
+        parts: [
+            { id: 'Module', cost: 30, mass: 1 },
+            { id: 'Cell_1', cost: 5, mass: 0.1 },
+            { id: 'Cell_2', cost: 5, mass: 0.1 }
+        ]
+    }
+
+    const { rows, totals } = buildBillOfMaterials(groups, config)
+    assert.equal(rows.length, 2)
+    assert.equal(totals.quantity, 2)
+    assert.equal(totals.cost, 30)
+    assert.equal(totals.mass, 1)
+})
+
+test('totals are null when no part has a cost or mass', () => {
+    const groups = new Map([['Leg', group('Leg', ['Leg_1', 'Leg_2'])]])
+
+    const { totals } = buildBillOfMaterials(groups, { parts: [] })
+    assert.deepEqual(totals, { quantity: 2, cost: null, mass: null })
+})
+
+test('parts of a group with different costs are each counted', () => {
+    const groups = new Map([['Leg', group('Leg', ['Leg_1', 'Leg_2', 'Leg_3'])]])
+    const config = {
+        parts: [
+            { id: 'Leg_1', cost: 4 },
+            { id: 'Leg_2', cost: 6 },
+            { id: 'Leg_3', cost: 6 }
+        ]
+    }
+
+    const { rows, totals } = buildBillOfMaterials(groups, config)
+    assert.equal(rows[0].unitCost, null)
+    assert.equal(rows[0].totalCost, 16)
+    assert.equal(totals.cost, 16)
+})
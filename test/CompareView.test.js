@@ -0,0 +1,70 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: test/CompareView.test.js
+ * PURPOSE: Tests for the part diff of the compare view
+ *
+ * Run with: npm test
+ * ================================================================================
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+
+import { diffModels } from '../src/CompareView.js'
+
+/**
+ * Build a stand-in for a SystemViewer with a loaded model.
+ *
+ * Like SystemViewer.loadModel, the model is moved so its bounding box is
+ * centered at the origin.
+ *
+ * @param {Object<string, number[]>} parts - Position per mesh name
+ * @returns {Object} Viewer with the model, parts and withAssembledPose()
+ */
+function createViewer(parts) {
+    const model = new THREE.Group()
+    const meshes = new Map()
+
+    Object.entries(parts).forEach(([name, position]) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1))
+        mesh.name = name
+        mesh.position.fromArray(position)
+        model.add(mesh)
+        meshes.set(name, mesh)
+    })
+
+    model.updateMatrixWorld(true)
+    const center = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3())
+    model.position.sub(center)
+    model.updateMatrixWorld(true)
+
+    return {
+        model,
+        parts: meshes,
+        withAssembledPose: fn => fn()
+    }
+}
+
+test('an added part is the only difference', () => {
+    const base = createViewer({ Top: [0, 1, 0], Leg: [0, 0, 0] })
+    const other = createViewer({ Top: [0, 1, 0], Leg: [0, 0, 0], Shelf: [4, 0, 0] })
+
+    assert.deepEqual(diffModels(base, other), { added: ['Shelf'], removed: [], moved: [] })
+})
+
+test('a removed part is the only difference', () => {
+    const base = createViewer({ Top: [0, 1, 0], Leg: [0, 0, 0], Shelf: [4, 0, 0] })
+    const other = createViewer({ Top: [0, 1, 0], Leg: [0, 0, 0] })
+
+    assert.deepEqual(diffModels(base, other), { added: [], removed: ['Shelf'], moved: [] })
+})
+
+test('a part at another position is moved', () => {
+    const base = createViewer({ Top: [0, 1, 0], Leg: [0, 0, 0] })
+    const other = createViewer({ Top: [0, 2, 0], Leg: [0, 0, 0] })
+
+    assert.deepEqual(diffModels(base, other), { added: [], removed: [], moved: ['Top'] })
+})
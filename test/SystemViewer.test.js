@@ -0,0 +1,96 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: test/SystemViewer.test.js
+ * PURPOSE: Tests for the explode offsets used per variant
+ *
+ * Run with: npm test
+ * ================================================================================
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import * as THREE from 'three'
+
+import { SystemViewer } from '../src/SystemViewer.js'
+
+const config = {
+    parts: [
+        { id: 'Top', name: 'Top' },
+        { id: 'Leg', name: 'Leg' },
+        { id: 'Shelf', name: 'Shelf' }
+    ],
+    variants: [
+        { id: 'standard', name: 'Standard', default: true, hide: ['Shelf'] },
+        {
+            id: 'shelf',
+            name: 'With shelf',
+            expandConfig: { Top: { x: 0, y: 2, z: 0 }, Leg: { x: 0, y: -1, z: 0 }, Shelf: { x: 1, y: 0, z: 0 } }
+        }
+    ]
+}
+
+/**
+ * Build a SystemViewer with a loaded model but no renderer, scene or
+ * explosion; only the variant and explode offset state is real.
+ *
+ * @param {Object<string, number[]>} parts - Position per mesh name
+ * @returns {SystemViewer} Viewer with the config loaded
+ */
+function createViewer(parts) {
+    const viewer = Object.create(SystemViewer.prototype)
+    viewer.model = new THREE.Group()
+    viewer.parts = new Map()
+    Object.entries(parts).forEach(([name, position]) => {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1))
+        mesh.name = name
+        mesh.position.fromArray(position)
+        viewer.model.add(mesh)
+        viewer.parts.set(name, mesh)
+    })
+    viewer.model.updateMatrixWorld(true)
+
+    Object.assign(viewer, {
+        baseConfig: config,
+        systemConfig: config,
+        expandConfigOverride: null,
+        generatedExpandConfig: null,
+        variantHiddenParts: new Set(),
+        _variantMaterials: new Map(),
+        getMeshIds: ids => [].concat(ids),
+        updateExplosion: change => change(),
+        withAssembledPose: fn => fn(),
+        exitAssembly() {},
+        clearSelection() {},
+        applyPartMaterials() {},
+        notifyVisibilityChange() {}
+    })
+    return viewer
+}
+
+test('a variant with its own offsets uses them on a config without any', () => {
+    const viewer = createViewer({ Top: [0, 2, 0], Leg: [0, 0, 0], Shelf: [0, 1, 0] })
+
+    viewer.setVariant('standard')
+    assert.ok(viewer.generatedExpandConfig)
+    assert.equal(viewer.getExpandConfig(), viewer.generatedExpandConfig)
+    assert.ok(!('Shelf' in viewer.getExpandConfig()))
+
+    viewer.setVariant('shelf')
+    assert.equal(viewer.generatedExpandConfig, null)
+    assert.deepEqual(viewer.getExpandConfig(), config.variants[1].expandConfig)
+})
+
+test('offsets set in author mode are kept when the variant changes', () => {
+    const viewer = createViewer({ Top: [0, 2, 0], Leg: [0, 0, 0], Shelf: [0, 1, 0] })
+    const authored = { Top: { x: 0, y: 3, z: 0 } }
+
+    viewer.setVariant('standard')
+    viewer.setExpandConfig(authored)
+    viewer.setVariant('shelf')
+    assert.equal(viewer.getExpandConfig(), authored)
+
+    viewer.setExpandConfig(null)
+    assert.deepEqual(viewer.getExpandConfig(), config.variants[1].expandConfig)
+})
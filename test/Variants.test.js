@@ -0,0 +1,45 @@
+/**
+ * ================================================================================
+ * TNKR - Interactive 3D Component Explorer
+ * ================================================================================
+ * FILE: test/Variants.test.js
+ * PURPOSE: Tests for resolving product variants
+ *
+ * Run with: npm test
+ * ================================================================================
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { resolveVariant } from '../src/Variants.js'
+
+const config = {
+    parts: [
+        { id: 'Top', name: 'Top' },
+        { id: 'Top_Large', name: 'Large Top' },
+        { id: 'Leg', name: 'Leg' },
+        { id: 'Felt', name: 'Felt' }
+    ],
+    materialPresets: [
+        { id: 'finish', name: 'Finish', parts: ['Top', 'Leg', 'Felt'], options: [{ id: 'natural', name: 'Natural' }] }
+    ],
+    variants: [
+        { id: 'standard', name: 'Standard', default: true },
+        { id: 'large', name: 'Large', swap: { Top: 'Top_Large' }, hide: ['Felt'] }
+    ]
+}
+
+test('a swapped-in part takes the place of the original in finish groups', () => {
+    const { config: resolved } = resolveVariant(config, 'large')
+
+    assert.deepEqual(resolved.materialPresets[0].parts, ['Top_Large', 'Leg'])
+    assert.deepEqual(resolved.parts.map(part => part.id), ['Top_Large', 'Leg'])
+})
+
+test('the default variant keeps the finish groups of the config', () => {
+    const { config: resolved, hidden } = resolveVariant(config, 'standard')
+
+    assert.deepEqual(resolved.materialPresets[0].parts, ['Top', 'Leg', 'Felt'])
+    assert.deepEqual(hidden, ['Top_Large'])
+})